@@ -0,0 +1,93 @@
+// Moves existing data to per-departure seat maps:
+//   - gives every route schedule entry an _id, which is the departure id
+//   - points seat availability documents and bookings that predate departure ids at the route's
+//     first schedule entry, the departure they were always created for
+//   - replaces the one-seat-map-per-route-and-date index with the per-departure one
+//
+// Safe to run more than once. Needs the same MongoDB settings as the API (.env). Usage:
+//   npm run migrate:departures
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import connectDB from '../src/config/database.js';
+import Route from '../src/models/circuit.model.js';
+import SeatAvailability from '../src/models/seat.model.js';
+import Booking from '../src/models/booking.model.js';
+
+const LEGACY_INDEX = 'routeId_1_travelDate_1';
+
+// Raw collection access throughout, so documents in the old shape are not rejected by validation
+const assignScheduleIds = async () => {
+  const routes = await Route.collection.find({ 'schedule.0': { $exists: true } }, { projection: { schedule: 1 } }).toArray();
+  let updated = 0;
+
+  for (const route of routes) {
+    if (route.schedule.every(entry => entry._id)) continue;
+
+    const schedule = route.schedule.map(entry => (entry._id ? entry : { _id: new mongoose.Types.ObjectId(), ...entry }));
+    await Route.collection.updateOne({ _id: route._id }, { $set: { schedule } });
+    updated++;
+  }
+
+  return updated;
+};
+
+const dropLegacyIndex = async () => {
+  const indexes = await SeatAvailability.collection.indexes();
+  if (!indexes.some(index => index.name === LEGACY_INDEX)) {
+    return false;
+  }
+
+  await SeatAvailability.collection.dropIndex(LEGACY_INDEX);
+  return true;
+};
+
+const backfill = async () => {
+  const routes = await Route.collection.find({ 'schedule.0': { $exists: true } }, { projection: { schedule: 1 } }).toArray();
+  const counts = { availabilities: 0, bookings: 0 };
+
+  for (const route of routes) {
+    const [first] = route.schedule;
+
+    const availabilities = await SeatAvailability.collection.updateMany(
+      { routeId: route._id, departureId: { $exists: false } },
+      { $set: { departureId: first._id, departureTime: first.departureTime } }
+    );
+    const bookings = await Booking.collection.updateMany(
+      { 'route.routeId': route._id, 'journey.departureId': { $exists: false } },
+      { $set: { 'journey.departureId': first._id } }
+    );
+
+    counts.availabilities += availabilities.modifiedCount;
+    counts.bookings += bookings.modifiedCount;
+  }
+
+  return counts;
+};
+
+const main = async () => {
+  await connectDB();
+
+  const routes = await assignScheduleIds();
+  console.log(`Assigned departure ids on ${routes} route(s)`);
+
+  if (await dropLegacyIndex()) {
+    console.log(`Dropped seat availability index ${LEGACY_INDEX}`);
+  }
+
+  const { availabilities, bookings } = await backfill();
+  console.log(`Backfilled departure ids on ${availabilities} seat availability document(s) and ${bookings} booking(s)`);
+
+  await SeatAvailability.createIndexes();
+  await Booking.createIndexes();
+  console.log('Per-departure indexes in place');
+};
+
+main()
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
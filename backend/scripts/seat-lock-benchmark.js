@@ -0,0 +1,131 @@
+// Compares seat-lock throughput of the old departure-wide mutex + load-modify-save flow
+// against the atomic conditional updates in SeatAvailability.
+//
+// Needs the same MongoDB and Redis settings as the API (.env). Usage:
+//   npm run benchmark:seat-locks -- [concurrentUsers=50] [rounds=3]
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+import connectDB from '../src/config/database.js';
+import { connectRedis, getRedisClient, cacheService } from '../src/config/redis.js';
+import SeatAvailability from '../src/models/seat.model.js';
+
+const concurrentUsers = parseInt(process.argv[2]) || 50;
+const rounds = parseInt(process.argv[3]) || 3;
+const LOCK_MINUTES = 15;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// One synthetic departure with a seat per virtual user
+const createDeparture = () => {
+  const seatsAvailable = Array.from({ length: concurrentUsers }, (_, i) => ({
+    seatNumber: `B${i + 1}`,
+    status: 'available',
+    price: 100,
+    seatType: 'window'
+  }));
+
+  return SeatAvailability.create({
+    routeId: new mongoose.Types.ObjectId(),
+    travelDate: new Date('2099-01-01'),
+    departureId: new mongoose.Types.ObjectId(),
+    seatsAvailable,
+    summary: { totalSeats: seatsAvailable.length, availableCount: seatsAvailable.length }
+  });
+};
+
+// The previous flow: SETNX mutex per departure, then load, mutate and save the whole document
+const mutexLock = async (departure, seatNumber, userId) => {
+  const lockKey = `booking_lock:${departure.routeId}:benchmark`;
+
+  // The old code failed straight away on a busy mutex - retry so both flows lock every seat
+  while (!(await cacheService.setNX(lockKey, userId.toString(), 30))) {
+    await sleep(5);
+  }
+
+  try {
+    const doc = await SeatAvailability.findById(departure._id);
+    const seat = doc.seatsAvailable.find(s => s.seatNumber === seatNumber);
+    if (seat.status !== 'available') {
+      throw new Error(`Seat ${seatNumber} is not available`);
+    }
+    seat.status = 'locked';
+    seat.lockedBy = userId;
+    seat.lockedAt = new Date();
+    seat.lockExpiry = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+    doc.summary.lockedCount += 1;
+    doc.summary.availableCount -= 1;
+    await doc.save();
+  } finally {
+    await cacheService.del(lockKey);
+  }
+};
+
+const atomicLock = (departure, seatNumber, userId) =>
+  departure.lockSeats([seatNumber], userId, LOCK_MINUTES);
+
+const run = async (name, lock) => {
+  const departure = await createDeparture();
+  const started = process.hrtime.bigint();
+
+  const results = await Promise.allSettled(
+    departure.seatsAvailable.map(seat => lock(departure, seat.seatNumber, new mongoose.Types.ObjectId()))
+  );
+
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+  const after = await SeatAvailability.findById(departure._id).lean();
+  await SeatAvailability.deleteOne({ _id: departure._id });
+
+  const locked = after.seatsAvailable.filter(s => s.status === 'locked').length;
+  return {
+    name,
+    elapsedMs,
+    succeeded: results.filter(r => r.status === 'fulfilled').length,
+    failed: results.filter(r => r.status === 'rejected').length,
+    locksPerSecond: (locked / elapsedMs) * 1000,
+    // Lost updates show up as a summary that disagrees with the seats
+    countersConsistent: after.summary.lockedCount === locked &&
+      after.summary.availableCount === after.summary.totalSeats - locked
+  };
+};
+
+const main = async () => {
+  await connectDB();
+  await connectRedis();
+
+  console.log(`Locking ${concurrentUsers} seats concurrently, ${rounds} round(s) per strategy\n`);
+
+  const totals = {};
+  for (let round = 1; round <= rounds; round++) {
+    for (const [name, lock] of [['mutex', mutexLock], ['atomic', atomicLock]]) {
+      const result = await run(name, lock);
+      totals[name] = (totals[name] || 0) + result.locksPerSecond;
+      console.log(
+        `round ${round} ${name.padEnd(6)} ${result.elapsedMs.toFixed(0).padStart(6)} ms  ` +
+        `${result.locksPerSecond.toFixed(1).padStart(8)} locks/s  ` +
+        `ok=${result.succeeded} failed=${result.failed} countersConsistent=${result.countersConsistent}`
+      );
+    }
+  }
+
+  const mutexAvg = totals.mutex / rounds;
+  const atomicAvg = totals.atomic / rounds;
+  console.log(`\nmutex  avg ${mutexAvg.toFixed(1)} locks/s`);
+  console.log(`atomic avg ${atomicAvg.toFixed(1)} locks/s (${(atomicAvg / mutexAvg).toFixed(1)}x)`);
+};
+
+main()
+  .catch(error => {
+    console.error('Benchmark failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+    try {
+      await getRedisClient().quit();
+    } catch {
+      // Redis never connected
+    }
+  });
@@ -1,12 +1,17 @@
 import redis from 'redis';
+import { randomUUID } from 'crypto';
 import logger from '../utils/logger.js';
 
 let redisClient;
 
+// Connection URL built from the REDIS_* settings in .env
+const getRedisUrl = () =>
+  `redis://default:${process.env.REDIS_PASSWORD}@${process.env.REDIS_HOST}:${process.env.REDIS_PORT}`;
+
 const connectRedis = async () => {
   try {
     redisClient = redis.createClient({
-      url: `redis://default:${process.env.REDIS_PASSWORD}@${process.env.REDIS_HOST}:${process.env.REDIS_PORT}`
+      url: getRedisUrl()
     });
 
     redisClient.on('connect', () => {
@@ -35,6 +40,19 @@ const connectRedis = async () => {
   }
 };
 
+// Open an extra connection with the same settings - pub/sub needs dedicated connections
+const createRedisConnection = async (name) => {
+  const client = redis.createClient({ url: getRedisUrl() });
+
+  client.on('error', (err) => {
+    logger.error(`Redis ${name} client error:`, err);
+  });
+
+  await client.connect();
+  logger.info(`Redis ${name} client connected`);
+  return client;
+};
+
 const getRedisClient = () => {
   if (!redisClient) {
     throw new Error('Redis client not initialized');
@@ -146,4 +164,94 @@ const cacheService = {
   }
 };
 
-export { connectRedis, getRedisClient, cacheService };
\ No newline at end of file
+// Delete / extend the key only while it still holds our token, in one atomic step
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+const RENEW_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Distributed lock utility functions. Every acquisition gets a random token, and only
+// the holder of that token can renew or release the lock - an expired holder can't
+// delete a lock someone else has since taken.
+const lockService = {
+  // Acquire a lock, retrying with exponential backoff. Resolves with the owner token, or null
+  async acquire(key, ttlMs = 30000, { retries = 0, retryDelayMs = 50, maxRetryDelayMs = 1000 } = {}) {
+    const token = randomUUID();
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const client = getRedisClient();
+        const result = await client.set(key, token, { NX: true, PX: ttlMs });
+        if (result === 'OK') {
+          return token;
+        }
+      } catch (error) {
+        logger.error('Lock acquire error:', error);
+      }
+
+      if (attempt < retries) {
+        // Jitter keeps competing callers from retrying in lockstep
+        const delay = Math.min(retryDelayMs * 2 ** attempt, maxRetryDelayMs);
+        await sleep(delay / 2 + Math.random() * delay / 2);
+      }
+    }
+
+    return null;
+  },
+
+  // Release a lock if the token still owns it
+  async release(key, token) {
+    try {
+      const client = getRedisClient();
+      const result = await client.eval(RELEASE_LOCK_SCRIPT, { keys: [key], arguments: [token] });
+      return result === 1;
+    } catch (error) {
+      logger.error('Lock release error:', error);
+      return false;
+    }
+  },
+
+  // Push out the expiry of a lock the token still owns
+  async renew(key, token, ttlMs = 30000) {
+    try {
+      const client = getRedisClient();
+      const result = await client.eval(RENEW_LOCK_SCRIPT, { keys: [key], arguments: [token, String(ttlMs)] });
+      return result === 1;
+    } catch (error) {
+      logger.error('Lock renew error:', error);
+      return false;
+    }
+  },
+
+  // Run fn while holding the lock, renewing it every third of the TTL until fn settles
+  async withLock(key, fn, { ttlMs = 30000, ...retryOptions } = {}) {
+    const token = await this.acquire(key, ttlMs, retryOptions);
+    if (!token) {
+      throw new Error(`Could not acquire lock ${key}`);
+    }
+
+    const renewal = setInterval(async () => {
+      if (!(await this.renew(key, token, ttlMs))) {
+        logger.warn(`Lost lock ${key} before the operation finished`);
+      }
+    }, Math.max(Math.floor(ttlMs / 3), 1));
+
+    try {
+      return await fn(token);
+    } finally {
+      clearInterval(renewal);
+      await this.release(key, token);
+    }
+  }
+};
+
+export { connectRedis, createRedisConnection, getRedisClient, getRedisUrl, cacheService, lockService };
\ No newline at end of file
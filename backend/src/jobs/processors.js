@@ -0,0 +1,76 @@
+import logger from '../utils/logger.js';
+import { QUEUE_NAMES, getQueue } from './queues.js';
+import { sendSMS, sendEmail, sendPushNotification } from '../services/notificationService.js';
+import paymentService from '../services/payment.service.js';
+import seatLockingService from '../services/seat-locking.service.js';
+import availabilityService from '../services/availability.service.js';
+import reminderService from '../services/reminder.service.js';
+import scheduleExceptionService from '../services/schedule-exception.service.js';
+import pushService from '../services/push.service.js';
+import Booking from '../models/booking.model.js';
+
+const NOTIFICATION_CONCURRENCY = parseInt(process.env.NOTIFICATION_CONCURRENCY) || 5;
+
+// Delivery per channel - a thrown error makes Bull retry with backoff
+const notificationSenders = {
+  sms: ({ to, message, event, bookingId, userId }) => sendSMS(to, message, { purpose: event, bookingId, userId }),
+  email: ({ to, subject, message, event, bookingId, language, data }) =>
+    sendEmail(to, subject, message, { purpose: event, bookingId, language, data }),
+  push: ({ to, subject, message, event, bookingId }) => sendPushNotification(to, subject, message, { purpose: event, bookingId })
+};
+
+// Register the processors for every queue. Each API instance runs them; Bull hands every
+// job to exactly one worker.
+export const startQueueWorkers = () => {
+  getQueue(QUEUE_NAMES.NOTIFICATIONS).process('send', NOTIFICATION_CONCURRENCY, async (job) => {
+    const send = notificationSenders[job.data.channel];
+    if (!send) {
+      throw new Error(`Unknown notification channel ${job.data.channel}`);
+    }
+    return send(job.data);
+  });
+
+  getQueue(QUEUE_NAMES.NOTIFICATIONS).process('departure-reminders', async () =>
+    reminderService.sendDueReminders()
+  );
+
+  getQueue(QUEUE_NAMES.NOTIFICATIONS).process('schedule-change', async (job) =>
+    scheduleExceptionService.handleScheduleChange(job.data)
+  );
+
+  getQueue(QUEUE_NAMES.NOTIFICATIONS).process('cleanup-push-subscriptions', async () => ({
+    removed: await pushService.removeExpiredSubscriptions()
+  }));
+
+  getQueue(QUEUE_NAMES.REFUNDS).process('retry-failed-refunds', async () =>
+    paymentService.retryFailedRefunds()
+  );
+
+  getQueue(QUEUE_NAMES.REFUNDS).process('process-refund', async (job) => {
+    const booking = await Booking.findOne({ bookingId: job.data.bookingId });
+    if (!booking) {
+      throw new Error(`Booking ${job.data.bookingId} not found`);
+    }
+
+    const updated = await paymentService.processRefund(booking);
+    if (updated.payment.refundDetails?.status === 'failed') {
+      throw new Error(updated.payment.refundDetails.failureReason || 'Refund failed');
+    }
+    return { bookingId: updated.bookingId, refundStatus: updated.payment.refundDetails?.status };
+  });
+
+  getQueue(QUEUE_NAMES.LOCK_CLEANUP).process('expired-seat-locks', async () => {
+    const result = await seatLockingService.cleanupExpiredLocks();
+    return result.metrics;
+  });
+
+  getQueue(QUEUE_NAMES.AVAILABILITY).process('pre-generate', async (job) =>
+    availabilityService.pregenerate(job.data)
+  );
+
+  getQueue(QUEUE_NAMES.AVAILABILITY).process('archive-past', async (job) =>
+    availabilityService.archivePast(job.data)
+  );
+
+  logger.info('Queue workers started');
+};
@@ -0,0 +1,145 @@
+import Queue from 'bull';
+import logger from '../utils/logger.js';
+import { getRedisUrl } from '../config/redis.js';
+
+export const QUEUE_NAMES = {
+  NOTIFICATIONS: 'notifications',
+  REFUNDS: 'refunds',
+  LOCK_CLEANUP: 'lock-cleanup',
+  AVAILABILITY: 'availability',
+  // Jobs that used up every retry, kept for inspection
+  DEAD_LETTER: 'dead-letter'
+};
+
+const defaultJobOptions = {
+  attempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+  backoff: {
+    type: 'exponential',
+    delay: parseInt(process.env.JOB_BACKOFF_DELAY) || 5000
+  },
+  removeOnComplete: 100,
+  removeOnFail: 500
+};
+
+const queues = new Map();
+
+// Park a job that failed for the last time on the dead-letter queue
+const moveToDeadLetter = async (queueName, job, error) => {
+  const attempts = job.opts.attempts || 1;
+  if (job.attemptsMade < attempts) return;
+
+  try {
+    await getQueue(QUEUE_NAMES.DEAD_LETTER).add(job.name, {
+      queue: queueName,
+      jobId: job.id,
+      data: job.data,
+      failedReason: error?.message || job.failedReason,
+      attemptsMade: job.attemptsMade,
+      failedAt: new Date()
+    });
+    logger.warn(`Job ${queueName}/${job.name}#${job.id} moved to dead-letter queue after ${job.attemptsMade} attempt(s)`);
+  } catch (dlqError) {
+    logger.error(`Failed to dead-letter job ${queueName}/${job.name}#${job.id}:`, dlqError);
+  }
+};
+
+/**
+ * Get (or lazily create) a named queue
+ * @param {string} name - One of QUEUE_NAMES
+ * @returns {Queue} - Bull queue
+ */
+export const getQueue = (name) => {
+  if (!Object.values(QUEUE_NAMES).includes(name)) {
+    throw new Error(`Unknown queue ${name}`);
+  }
+
+  if (!queues.has(name)) {
+    const isDeadLetter = name === QUEUE_NAMES.DEAD_LETTER;
+    const queue = new Queue(name, getRedisUrl(), {
+      defaultJobOptions: isDeadLetter ? { removeOnComplete: true, removeOnFail: false } : defaultJobOptions
+    });
+
+    queue.on('error', (error) => {
+      logger.error(`Queue ${name} error:`, error);
+    });
+
+    if (!isDeadLetter) {
+      queue.on('failed', (job, error) => {
+        logger.warn(`Job ${name}/${job.name}#${job.id} failed (attempt ${job.attemptsMade}): ${error.message}`);
+        moveToDeadLetter(name, job, error);
+      });
+    }
+
+    queues.set(name, queue);
+  }
+
+  return queues.get(name);
+};
+
+/**
+ * Add a job to a queue
+ * @param {string} queueName - One of QUEUE_NAMES
+ * @param {string} jobName - Job name the queue's processor handles
+ * @param {Object} data - Job payload
+ * @param {Object} options - Bull job options (jobId makes adds idempotent)
+ * @returns {Promise<Object>} - Bull job
+ */
+export const addJob = (queueName, jobName, data = {}, options = {}) =>
+  getQueue(queueName).add(jobName, data, options);
+
+/**
+ * Job counts per queue for monitoring
+ * @returns {Promise<Array>} - [{ name, paused, waiting, active, completed, failed, delayed }]
+ */
+export const getQueueStats = async () => Promise.all(
+  Object.values(QUEUE_NAMES).map(async (name) => {
+    const queue = getQueue(name);
+    const [counts, paused] = await Promise.all([queue.getJobCounts(), queue.isPaused()]);
+    return { name, paused, ...counts };
+  })
+);
+
+/**
+ * Failed jobs of a queue, newest first
+ * @param {string} name - One of QUEUE_NAMES
+ * @param {number} start - Offset
+ * @param {number} limit - Page size
+ * @returns {Promise<Array>} - Failed jobs
+ */
+export const getFailedJobs = async (name, start = 0, limit = 20) => {
+  const queue = getQueue(name);
+  // The dead-letter queue has no worker, so its jobs sit in waiting rather than failed
+  const jobs = name === QUEUE_NAMES.DEAD_LETTER
+    ? await queue.getWaiting(start, start + limit - 1)
+    : await queue.getFailed(start, start + limit - 1);
+
+  return jobs.filter(Boolean).map(job => ({
+    id: job.id,
+    name: job.name,
+    data: job.data,
+    failedReason: job.failedReason,
+    attemptsMade: job.attemptsMade,
+    createdAt: new Date(job.timestamp),
+    finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+  }));
+};
+
+/**
+ * Put a failed job back on its queue
+ * @param {string} name - One of QUEUE_NAMES
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} - Whether a failed job was found and retried
+ */
+export const retryFailedJob = async (name, jobId) => {
+  const job = await getQueue(name).getJob(jobId);
+  if (!job || !(await job.isFailed())) {
+    return false;
+  }
+  await job.retry();
+  return true;
+};
+
+export const closeQueues = async () => {
+  await Promise.all([...queues.values()].map(queue => queue.close()));
+  queues.clear();
+};
@@ -1,24 +1,91 @@
 import cron from 'node-cron';
 import logger from '../utils/logger.js';
+import { lockService } from '../config/redis.js';
+import { QUEUE_NAMES, addJob } from './queues.js';
 
-// Clean up expired sessions every hour
-cron.schedule('0 * * * *', async () => {
-  try {
-    logger.info('Running scheduled job: Clean up expired sessions');
-    // Placeholder - implement actual cleanup logic
-  } catch (error) {
-    logger.error('Scheduled job error (cleanup):', error);
+// Only one instance - the leader - turns cron ticks into queue jobs. It holds this lock
+// and keeps renewing it; if it dies, another instance takes over once the TTL runs out.
+const LEADER_KEY = 'scheduler:leader';
+const LEADER_TTL_MS = (parseInt(process.env.SCHEDULER_LEADER_TTL) || 30) * 1000;
+
+let leaderToken = null;
+
+const electLeader = async () => {
+  if (leaderToken) {
+    if (!(await lockService.renew(LEADER_KEY, leaderToken, LEADER_TTL_MS))) {
+      leaderToken = null;
+      logger.warn('Lost scheduler leadership');
+    }
+    return;
   }
-});
 
-// Send reminder notifications every 30 minutes
-cron.schedule('*/30 * * * *', async () => {
+  leaderToken = await lockService.acquire(LEADER_KEY, LEADER_TTL_MS);
+  if (leaderToken) {
+    logger.info('This instance is now the scheduler leader');
+  }
+};
+
+// Tick id shared by every instance, so a job is queued once per tick even if leadership changes mid-tick
+const tickId = (jobName, intervalMinutes) =>
+  `${jobName}:${Math.floor(Date.now() / (intervalMinutes * 60 * 1000))}`;
+
+// Run a cron task on the leader only
+const onLeader = (name, task) => async () => {
+  if (!leaderToken) return;
+
   try {
-    logger.info('Running scheduled job: Send reminder notifications');
-    // Placeholder - implement actual notification logic
+    logger.info(`Running scheduled job: ${name}`);
+    await task();
   } catch (error) {
-    logger.error('Scheduled job error (notifications):', error);
+    logger.error(`Scheduled job error (${name}):`, error);
   }
-});
+};
+
+export const isSchedulerLeader = () => Boolean(leaderToken);
+
+export const startScheduledJobs = async () => {
+  await electLeader();
+  setInterval(() => {
+    electLeader().catch(error => logger.error('Scheduler leader election error:', error));
+  }, Math.floor(LEADER_TTL_MS / 3));
+
+  // Clean up expired sessions every hour
+  cron.schedule('0 * * * *', onLeader('Clean up expired sessions', async () => {
+    // Placeholder - implement actual cleanup logic
+  }));
+
+  // Send reminder notifications every 30 minutes
+  cron.schedule('*/30 * * * *', onLeader('Send reminder notifications', () =>
+    addJob(QUEUE_NAMES.NOTIFICATIONS, 'departure-reminders', {}, { jobId: tickId('departure-reminders', 30) })
+  ));
+
+  // Drop web push subscriptions past their expiry every hour
+  cron.schedule('30 * * * *', onLeader('Clean up expired push subscriptions', () =>
+    addJob(QUEUE_NAMES.NOTIFICATIONS, 'cleanup-push-subscriptions', {}, { jobId: tickId('cleanup-push-subscriptions', 60) })
+  ));
+
+  // Retry refunds the payment gateway rejected every 15 minutes
+  cron.schedule('*/15 * * * *', onLeader('Retry failed refunds', () =>
+    addJob(QUEUE_NAMES.REFUNDS, 'retry-failed-refunds', {}, { jobId: tickId('retry-failed-refunds', 15) })
+  ));
+
+  // Free seats whose lock expired every minute - the next tick covers a failed run
+  cron.schedule('* * * * *', onLeader('Release expired seat locks', () =>
+    addJob(QUEUE_NAMES.LOCK_CLEANUP, 'expired-seat-locks', {}, {
+      jobId: tickId('expired-seat-locks', 1),
+      attempts: 1
+    })
+  ));
+
+  // Create upcoming departures every night
+  cron.schedule('0 2 * * *', onLeader('Pre-generate seat availability', () =>
+    addJob(QUEUE_NAMES.AVAILABILITY, 'pre-generate', {}, { jobId: tickId('pre-generate', 24 * 60) })
+  ));
+
+  // Move departures whose date has passed into the history collection every night
+  cron.schedule('0 3 * * *', onLeader('Archive past seat availability', () =>
+    addJob(QUEUE_NAMES.AVAILABILITY, 'archive-past', {}, { jobId: tickId('archive-past', 24 * 60) })
+  ));
 
-logger.info('Scheduled jobs initialized'); 
\ No newline at end of file
+  logger.info('Scheduled jobs initialized');
+};
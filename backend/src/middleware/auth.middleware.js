@@ -52,6 +52,35 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Socket.IO middleware - authenticate the handshake with the same access token as `protect`
+const authenticateSocket = async (socket, next) => {
+  const authHeader = socket.handshake.headers?.authorization;
+  const token = socket.handshake.auth?.token ||
+    (authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+
+  if (!token) {
+    return next(new Error('Not authorized, token missing'));
+  }
+
+  try {
+    const { id } = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(id).select('-password -refreshToken.token');
+
+    if (!user || !user.isActive) {
+      return next(new Error('Not authorized, user not found'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (err) {
+    const message =
+      err.name === 'TokenExpiredError'
+        ? 'Access token expired'
+        : 'Not authorized, token invalid';
+    next(new Error(message));
+  }
+};
+
 /**
  * Convert duration string to milliseconds
  * Examples:
@@ -278,6 +307,7 @@ export default {
   generateToken,
   generateRefreshToken,
   protect,
+  authenticateSocket,
   authorize,
   optionalAuth,
   adminOnly,
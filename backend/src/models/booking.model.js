@@ -1,4 +1,9 @@
 import { Schema, model } from 'mongoose';
+import cancellationPolicyService from '../services/cancellation-policy.service.js';
+import { zonedTime } from '../utils/timezone.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
 
 const bookingSchema = new Schema({
   bookingId: {
@@ -44,13 +49,23 @@ const bookingSchema = new Schema({
       type: String,
       required: true
     },
-    vehicleNumber: String
+    vehicleNumber: String,
+    // The route's timezone, which the journey's times of day are in
+    timezone: String
   },
   journey: {
     travelDate: {
       type: Date,
       required: true
     },
+    // Schedule entry on the route the booking is for
+    departureId: {
+      type: Schema.Types.ObjectId,
+      required: true
+    },
+    // Stops boarded at and left at, as indexes into the route's origin, stops and destination
+    fromStop: Number,
+    toStop: Number,
     departureTime: {
       type: String,
       required: true,
@@ -70,7 +85,13 @@ const bookingSchema = new Schema({
         type: String,
         required: true
       },
-      coordinates: [Number] // [longitude, latitude]
+      coordinates: [Number], // [longitude, latitude]
+      // Minutes after the route's departure the vehicle reaches the point; time is that moment on this booking's departure
+      offsetMinutes: Number,
+      time: {
+        type: String,
+        match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format']
+      }
     },
     dropPoint: {
       name: {
@@ -81,7 +102,12 @@ const bookingSchema = new Schema({
         type: String,
         required: true
       },
-      coordinates: [Number] // [longitude, latitude]
+      coordinates: [Number], // [longitude, latitude]
+      offsetMinutes: Number,
+      time: {
+        type: String,
+        match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format']
+      }
     }
   },
   passengers: [{
@@ -172,7 +198,20 @@ const bookingSchema = new Schema({
       enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded', 'partially-refunded'],
       default: 'pending'
     },
+    // Charge attempts so far, for the booking and its modifications - each gets its own idempotency key, so a retry after a decline is a new charge
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    // Why the last attempt was declined; the booking stays pending and the seats stay held
+    failureReason: String,
     paidAt: Date,
+    // What was charged - totalAmount drops when passengers are cancelled, this does not
+    paidAmount: {
+      type: Number,
+      min: 0
+    },
+    // The latest refund; earlier completed ones move to `refunds`
     refundDetails: {
       amount: {
         type: Number,
@@ -184,20 +223,77 @@ const bookingSchema = new Schema({
       status: {
         type: String,
         enum: ['initiated', 'processing', 'completed', 'failed']
-      }
-    },
+      },
+      destination: {
+        type: String,
+        enum: ['original', 'wallet'],
+        default: 'original'
+      },
+      initiatedAt: Date,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      lastAttemptAt: Date,
+      failureReason: String,
+      // One gateway refund per charge the money goes back to
+      parts: [{
+        _id: false,
+        amount: Number,
+        gateway: {
+          name: String,
+          transactionId: String,
+          gatewayOrderId: String
+        },
+        refundId: String,
+        status: {
+          type: String,
+          enum: ['pending', 'processing', 'succeeded', 'failed'],
+          default: 'pending'
+        }
+      }]
+    },
+    refunds: [{
+      _id: false,
+      amount: Number,
+      reason: String,
+      refundId: String,
+      destination: String,
+      initiatedAt: Date,
+      processedAt: Date
+    }],
     gateway: {
       name: {
         type: String,
-        enum: ['stripe', 'razorpay', 'paytm', 'phonepe']
+        enum: ['stripe', 'razorpay', 'paytm', 'phonepe', 'wallet', 'fake']
       },
       transactionId: String,
       gatewayOrderId: String
-    }
+    },
+    // Charges taken after the booking was paid, e.g. for a modification; refunds go back to them first
+    charges: [{
+      _id: false,
+      amount: {
+        type: Number,
+        min: 0
+      },
+      purpose: String,
+      gateway: {
+        name: String,
+        transactionId: String,
+        gatewayOrderId: String
+      },
+      chargedAt: Date,
+      refundedAmount: {
+        type: Number,
+        default: 0
+      }
+    }]
   },
   status: {
     type: String,
-    enum: ['confirmed', 'cancelled', 'completed', 'no-show', 'in-transit'],
+    // 'pending' until the payment gateway confirms the charge
+    enum: ['pending', 'confirmed', 'cancelled', 'completed', 'no-show', 'in-transit'],
     default: 'confirmed'
   },
   cancellation: {
@@ -220,6 +316,41 @@ const bookingSchema = new Schema({
     },
     notes: String
   },
+  // The route's policies as they stood when the booking was made
+  policies: {
+    cancellation: {
+      allowCancellation: {
+        type: Boolean,
+        default: true
+      },
+      rules: [{
+        _id: false,
+        timeBeforeDeparture: {
+          type: Number, // Hours before departure
+          required: true
+        },
+        refundPercentage: {
+          type: Number,
+          min: 0,
+          max: 100,
+          required: true
+        }
+      }],
+      capturedAt: Date
+    },
+    modification: {
+      allowModification: {
+        type: Boolean,
+        default: true
+      },
+      modificationFee: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      capturedAt: Date
+    }
+  },
   modifications: [{
     _id: false,
     modifiedAt: {
@@ -237,6 +368,23 @@ const bookingSchema = new Schema({
     },
     reason: String
   }],
+  // Set when the operator cancels or reschedules the booked departure. Until the passenger
+  // rebooks or cancels, either is free of charge.
+  disruption: {
+    type: {
+      type: String,
+      enum: ['cancelled', 'rescheduled']
+    },
+    // Schedule change that caused it, so a retried job never handles the same change twice
+    changeId: String,
+    reason: String,
+    reportedAt: Date,
+    resolution: {
+      type: String,
+      enum: ['pending', 'rebooked', 'refunded', 'withdrawn']
+    },
+    resolvedAt: Date
+  },
   notifications: {
     bookingConfirmation: {
       sms: {
@@ -331,9 +479,15 @@ bookingSchema.index({ bookingId: 1 });
 bookingSchema.index({ 'user.userId': 1 });
 bookingSchema.index({ 'route.routeId': 1 });
 bookingSchema.index({ 'journey.travelDate': 1 });
+bookingSchema.index({ 'route.routeId': 1, 'journey.travelDate': 1, 'journey.departureId': 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ 'payment.status': 1 });
 bookingSchema.index({ 'payment.paymentId': 1 });
+bookingSchema.index({ 'payment.gateway.gatewayOrderId': 1 });
+bookingSchema.index({ 'payment.refundDetails.status': 1 });
+// Refund webhooks find their booking by the gateway's refund id
+bookingSchema.index({ 'payment.refundDetails.refundId': 1 }, { sparse: true });
+bookingSchema.index({ 'payment.refundDetails.parts.refundId': 1 }, { sparse: true });
 bookingSchema.index({ createdAt: -1 });
 
 // Virtual for total passengers
@@ -366,50 +520,74 @@ bookingSchema.pre('save', async function(next) {
   next();
 });
 
-// Method to check if booking can be cancelled
-bookingSchema.methods.canBeCancelled = function() {
+// Method to get the moment the trip leaves the boarding stop, on the route's clock. The travel date
+// is the day the route leaves its origin, so a later stop can be reached past midnight.
+bookingSchema.methods.getDepartureDateTime = function() {
+  const [hours, minutes] = this.journey.departureTime.split(':').map(Number);
+  // Boarding at a later stop, the pickup point is the stop and carries its offset from the origin
+  const stopOffset = this.journey.fromStop > 0 ? this.journey.pickupPoint?.offsetMinutes || 0 : 0;
+  const originMinutes = (((hours * 60 + minutes - stopOffset) % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+
+  const originDeparture = zonedTime(this.journey.travelDate, originMinutes, this.route.timezone);
+  return new Date(originDeparture.getTime() + stopOffset * MINUTE_MS);
+};
+
+// Method to get when the passenger is picked up - departure plus the pickup point's offset
+bookingSchema.methods.getPickupDateTime = function() {
+  const departure = this.getDepartureDateTime();
+  // Origin pickup points are reached some minutes after the route departs; a later stop is the departure itself
+  const offset = this.journey.fromStop > 0 ? 0 : this.journey.pickupPoint?.offsetMinutes || 0;
+  return new Date(departure.getTime() + offset * MINUTE_MS);
+};
+
+// Method to check if an operator schedule change still awaits the passenger's choice
+bookingSchema.methods.hasPendingDisruption = function() {
+  return this.disruption?.resolution === 'pending';
+};
+
+// Method to preview cancelling now: eligibility and refund under the snapshotted policy
+bookingSchema.methods.getCancellationQuote = function(now = new Date()) {
   if (this.status !== 'confirmed') {
-    return { allowed: false, reason: 'Booking is not in confirmed status' };
+    return {
+      allowed: false,
+      reason: 'Booking is not in confirmed status',
+      refundPercentage: 0,
+      refundAmount: 0,
+      cancellationFee: this.payment.totalAmount,
+      appliedRule: null
+    };
   }
-  
-  const now = new Date();
-  const travelDateTime = new Date(this.journey.travelDate);
-  const [hours, minutes] = this.journey.departureTime.split(':').map(Number);
-  travelDateTime.setHours(hours, minutes);
-  
-  const hoursUntilDeparture = (travelDateTime - now) / (1000 * 60 * 60);
-  
-  if (hoursUntilDeparture < 2) {
-    return { allowed: false, reason: 'Cannot cancel booking less than 2 hours before departure' };
+
+  // The operator changed the trip, so the passenger gets back everything they paid
+  if (this.hasPendingDisruption()) {
+    return {
+      allowed: true,
+      reason: null,
+      hoursUntilDeparture: (this.getDepartureDateTime() - now) / (60 * 60 * 1000),
+      cutoffHours: null,
+      refundPercentage: 100,
+      refundAmount: this.payment.totalAmount,
+      cancellationFee: 0,
+      appliedRule: null
+    };
   }
-  
-  return { allowed: true, hoursUntilDeparture };
+
+  return cancellationPolicyService.quote(this.policies?.cancellation, {
+    departure: this.getDepartureDateTime(),
+    amount: this.payment.totalAmount,
+    now
+  });
+};
+
+// Method to check if booking can be cancelled
+bookingSchema.methods.canBeCancelled = function(now = new Date()) {
+  const { allowed, reason, hoursUntilDeparture } = this.getCancellationQuote(now);
+  return allowed ? { allowed, hoursUntilDeparture } : { allowed, reason };
 };
 
 // Method to calculate cancellation fee
-bookingSchema.methods.calculateCancellationFee = function() {
-  const cancellationCheck = this.canBeCancelled();
-  
-  if (!cancellationCheck.allowed) {
-    return { refundAmount: 0, cancellationFee: this.payment.totalAmount };
-  }
-  
-  const hoursUntilDeparture = cancellationCheck.hoursUntilDeparture;
-  let refundPercentage = 0;
-  
-  if (hoursUntilDeparture >= 48) {
-    refundPercentage = 90; // 10% cancellation fee
-  } else if (hoursUntilDeparture >= 24) {
-    refundPercentage = 75; // 25% cancellation fee
-  } else if (hoursUntilDeparture >= 4) {
-    refundPercentage = 50; // 50% cancellation fee
-  } else {
-    refundPercentage = 0; // 100% cancellation fee
-  }
-  
-  const refundAmount = Math.round((this.payment.totalAmount * refundPercentage) / 100);
-  const cancellationFee = this.payment.totalAmount - refundAmount;
-  
+bookingSchema.methods.calculateCancellationFee = function(now = new Date()) {
+  const { refundAmount, cancellationFee, refundPercentage } = this.getCancellationQuote(now);
   return { refundAmount, cancellationFee, refundPercentage };
 };
 
@@ -432,6 +610,13 @@ bookingSchema.methods.updateStatus = async function(newStatus, reason = null) {
   return await this.save();
 };
 
+// Method to sum completed refunds, including the latest one
+bookingSchema.methods.getRefundedAmount = function() {
+  const earlier = (this.payment.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+  const latest = this.payment.refundDetails?.status === 'completed' ? this.payment.refundDetails.amount : 0;
+  return earlier + latest;
+};
+
 // Method to add passenger
 bookingSchema.methods.addPassenger = function(passengerData) {
   this.passengers.push(passengerData);
@@ -1,4 +1,16 @@
 import { Schema, model as _model } from 'mongoose';
+import { DEFAULT_TIMEZONE, zonedTime } from '../utils/timezone.js';
+
+export { DEFAULT_TIMEZONE };
+
+const isValidTimezone = timeZone => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
 
 const routeSchema = new Schema({
   routeCode: {
@@ -68,7 +80,13 @@ const routeSchema = new Schema({
         type: [Number],
       },
       landmark: String,
-      contactNumber: String
+      contactNumber: String,
+      // Minutes after departure the vehicle reaches the pickup point
+      offsetMinutes: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
     }]
   },
   destination: {
@@ -106,7 +124,12 @@ const routeSchema = new Schema({
         type: [Number],
       },
       landmark: String,
-      contactNumber: String
+      contactNumber: String,
+      // Minutes after departure the vehicle reaches the drop point - the scheduled arrival if unset
+      offsetMinutes: {
+        type: Number,
+        min: 0
+      }
     }]
   },
   vehicle: {
@@ -201,8 +224,46 @@ const routeSchema = new Schema({
       }
     }]
   },
+  // Stops between origin and destination, in travel order. Bookings number stops from the origin
+  // (0) to the destination (stops.length + 1); a segment is the stretch between two consecutive stops.
+  stops: {
+    type: [{
+      _id: false,
+      city: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      location: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      coordinates: {
+        type: [Number] // [longitude, latitude]
+      },
+      offsetMinutes: {
+        type: Number, // Minutes after departure the vehicle reaches the stop
+        required: true,
+        min: 1
+      }
+    }],
+    validate: {
+      validator: stops => stops.every((stop, i) => i === 0 || stop.offsetMinutes > stops[i - 1].offsetMinutes),
+      message: 'Stops must be listed in travel order'
+    }
+  },
+  // IANA timezone the schedule's times of day are in
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Unknown timezone'
+    }
+  },
+  // Each entry is a departure; its _id is the departure id bookings and seat availability refer to
   schedule: [{
-    _id: false,
     departureTime: {
       type: String,
       required: true,
@@ -226,6 +287,8 @@ const routeSchema = new Schema({
       type: String,
       enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
     }],
+    // Calendar dates a 'specific-dates' departure runs on
+    specificDates: [Date],
     validFrom: {
       type: Date,
       required: true
@@ -239,12 +302,59 @@ const routeSchema = new Schema({
       default: true
     }
   }],
+  // Dated overrides of the regular schedule. An 'added' run's _id is its departure id.
+  scheduleExceptions: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['cancelled', 'added', 'rescheduled'],
+      required: true
+    },
+    // Departure the exception applies to - a cancellation without one takes out the whole day
+    departureId: Schema.Types.ObjectId,
+    departureTime: {
+      type: String,
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Departure time must be in HH:MM format']
+    },
+    arrivalTime: {
+      type: String,
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Arrival time must be in HH:MM format']
+    },
+    duration: Number, // Duration in minutes
+    reason: {
+      type: String,
+      maxlength: 200
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   pricing: {
     baseFare: {
       type: Number,
       required: true,
       min: 0
     },
+    // Fare of each segment, origin first. A journey pays the seat's price times its segments' share
+    // of the total; without segment fares every segment weighs the same.
+    segmentFares: {
+      type: [{ type: Number, min: 0 }],
+      validate: {
+        // Only checkable against a document - update queries skip it
+        validator: function(fares) {
+          return !Array.isArray(this.stops) || fares.length === 0 || fares.length === this.stops.length + 1;
+        },
+        message: 'Give one segment fare per segment - one more than there are stops'
+      }
+    },
     currency: {
       type: String,
       enum: ['INR', 'USD'],
@@ -391,25 +501,92 @@ routeSchema.index({ status: 1 });
 routeSchema.index({ 'origin.coordinates': '2dsphere' });
 routeSchema.index({ 'destination.coordinates': '2dsphere' });
 routeSchema.index({ 'schedule.validFrom': 1, 'schedule.validUntil': 1 });
+routeSchema.index({ 'scheduleExceptions.date': 1 });
+routeSchema.index({ 'stops.city': 1 });
 
 // Virtual for route display name
 routeSchema.virtual('routeName').get(function() {
   return `${this.origin.city} to ${this.destination.city}`;
 });
 
-// Method to check if route is available on a specific date
-routeSchema.methods.isAvailableOnDate = function(date) {
-  const dayName = date.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-  
-  return this.schedule.some(schedule => {
-    const isDateInRange = date >= schedule.validFrom && date <= schedule.validUntil;
-    const isDayActive = schedule.frequency === 'daily' || 
-                       (schedule.frequency === 'weekdays' && !['saturday', 'sunday'].includes(dayName)) ||
-                       (schedule.frequency === 'weekends' && ['saturday', 'sunday'].includes(dayName)) ||
-                       (schedule.frequency === 'specific-dates' && schedule.activeDays.includes(dayName));
-    
-    return isDateInRange && isDayActive && schedule.isActive;
-  });
+// Travel dates are stored as midnight UTC, so compare calendar days in UTC
+const dayKey = date => new Date(date).toISOString().slice(0, 10);
+
+// Whether a schedule entry runs on a specific date
+const runsOnDate = (schedule, date) => {
+  const dayName = date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' }).toLowerCase();
+
+  const isDateInRange = date >= schedule.validFrom && date <= schedule.validUntil;
+  const isDayActive = schedule.frequency === 'daily' || 
+                     (schedule.frequency === 'weekdays' && !['saturday', 'sunday'].includes(dayName)) ||
+                     (schedule.frequency === 'weekends' && ['saturday', 'sunday'].includes(dayName)) ||
+                     (schedule.frequency === 'specific-dates' && runsOnSpecificDate(schedule, date, dayName));
+
+  return isDateInRange && isDayActive && schedule.isActive;
+};
+
+// Entries saved before specificDates existed listed weekdays in activeDays instead
+const runsOnSpecificDate = (schedule, date, dayName) => (schedule.specificDates?.length > 0
+  ? schedule.specificDates.some(specificDate => dayKey(specificDate) === dayKey(date))
+  : schedule.activeDays.includes(dayName));
+
+// A departure as it runs on one date, with any rescheduled times applied
+const toDeparture = (entry, reschedule = null) => ({
+  _id: entry._id,
+  departureTime: reschedule?.departureTime || entry.departureTime,
+  arrivalTime: reschedule?.arrivalTime || entry.arrivalTime,
+  duration: reschedule?.duration || entry.duration,
+  extra: entry.type === 'added',
+  rescheduled: Boolean(reschedule)
+});
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && a.toString() === b.toString();
+
+// Method to list the schedule exceptions on a specific date
+routeSchema.methods.getExceptionsOnDate = function(date) {
+  return this.scheduleExceptions.filter(exception => dayKey(exception.date) === dayKey(date));
+};
+
+// Method to find a departure by its id - a schedule entry or an added run
+routeSchema.methods.getDeparture = function(departureId) {
+  if (!departureId) return null;
+
+  const entry = this.schedule.id(departureId) ||
+    this.scheduleExceptions.find(exception => exception.type === 'added' && sameId(exception._id, departureId));
+  return entry ? toDeparture(entry) : null;
+};
+
+// Method to list the departures running on a specific date, earliest first: the regular schedule
+// plus added runs, less cancellations, with rescheduled times applied
+routeSchema.methods.getDeparturesOnDate = function(date) {
+  const exceptions = this.getExceptionsOnDate(date);
+  const ofType = type => exceptions.filter(exception => exception.type === type);
+
+  const isCancelled = departureId => ofType('cancelled').some(exception =>
+    !exception.departureId || sameId(exception.departureId, departureId));
+
+  return [...this.schedule.filter(schedule => runsOnDate(schedule, date)), ...ofType('added')]
+    .filter(entry => !isCancelled(entry._id))
+    .map(entry => toDeparture(entry, ofType('rescheduled').find(exception => sameId(exception.departureId, entry._id))))
+    .sort((a, b) => a.departureTime.localeCompare(b.departureTime, 'en', { numeric: true }));
+};
+
+// Method to find one departure as it runs on a specific date
+routeSchema.methods.getDepartureOnDate = function(date, departureId) {
+  return this.getDeparturesOnDate(date).find(departure => sameId(departure._id, departureId)) || null;
+};
+
+// Method to find the moment a time of day on a travel date comes round on the route's clock
+routeSchema.methods.getDepartsAt = function(date, time) {
+  return zonedTime(date, toMinutes(time), this.timezone);
+};
+
+// Method to check if route - or one of its departures - is available on a specific date
+routeSchema.methods.isAvailableOnDate = function(date, departureId = null) {
+  const departures = this.getDeparturesOnDate(date);
+  return departureId
+    ? departures.some(departure => sameId(departure._id, departureId))
+    : departures.length > 0;
 };
 
 // Method to get available seats for a date
@@ -419,8 +596,131 @@ routeSchema.methods.getAvailableSeats = function(date) {
   return this.seating.seatMap.filter(seat => !seat.isBlocked);
 };
 
-// Method to calculate fare with dynamic pricing
-routeSchema.methods.calculateFare = function(seatNumbers, date) {
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (totalMinutes) => {
+  const minutes = ((totalMinutes % (24 * 60)) + 24 * 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Method to count the segments a seat can be sold for
+routeSchema.methods.getSegmentCount = function() {
+  return this.stops.length + 1;
+};
+
+// Method to list every stop in travel order, origin and destination included
+routeSchema.methods.getStops = function() {
+  return [
+    { index: 0, city: this.origin.city, location: this.origin.location, offsetMinutes: 0 },
+    ...this.stops.map((stop, i) => ({
+      index: i + 1,
+      city: stop.city,
+      location: stop.location,
+      offsetMinutes: stop.offsetMinutes
+    })),
+    { index: this.stops.length + 1, city: this.destination.city, location: this.destination.location, offsetMinutes: null }
+  ];
+};
+
+// Method to fill in a journey's stops - the whole route by default. Null if they are not a valid pair.
+routeSchema.methods.resolveJourney = function(fromStop, toStop) {
+  const journey = {
+    fromStop: fromStop ?? 0,
+    toStop: toStop ?? this.getSegmentCount()
+  };
+
+  const valid = Number.isInteger(journey.fromStop) && Number.isInteger(journey.toStop) &&
+    journey.fromStop >= 0 && journey.toStop <= this.getSegmentCount() && journey.fromStop < journey.toStop;
+  return valid ? journey : null;
+};
+
+// Method to work out when a departure reaches a journey's first and last stops
+routeSchema.methods.getStopTimes = function(departure, journey = {}) {
+  const { fromStop, toStop } = this.resolveJourney(journey.fromStop, journey.toStop) || this.resolveJourney();
+  const lastStop = this.getSegmentCount();
+  const timeAt = stop => {
+    if (stop === lastStop) return departure.arrivalTime;
+    return stop === 0 ? departure.departureTime : toTime(toMinutes(departure.departureTime) + this.stops[stop - 1].offsetMinutes);
+  };
+
+  return { departureTime: timeAt(fromStop), arrivalTime: timeAt(toStop) };
+};
+
+// Method to list where a journey can be picked up - the origin's pickup points, or the stop boarded at
+routeSchema.methods.getPickupPoints = function(journey = {}) {
+  const { fromStop } = this.resolveJourney(journey.fromStop, journey.toStop) || this.resolveJourney();
+
+  if (fromStop > 0) {
+    const stop = this.stops[fromStop - 1];
+    return [{ name: stop.location, address: stop.city, coordinates: stop.coordinates, offsetMinutes: stop.offsetMinutes }];
+  }
+  if (this.origin.pickupPoints.length === 0) {
+    return [{ name: this.origin.location, address: this.origin.city, coordinates: this.origin.coordinates, offsetMinutes: 0 }];
+  }
+  return this.origin.pickupPoints.map(point => ({
+    name: point.name,
+    address: point.address,
+    coordinates: point.coordinates,
+    landmark: point.landmark,
+    offsetMinutes: point.offsetMinutes || 0
+  }));
+};
+
+// Method to list where a journey can be dropped - the destination's drop points, or the stop left at
+routeSchema.methods.getDropPoints = function(journey = {}) {
+  const { toStop } = this.resolveJourney(journey.fromStop, journey.toStop) || this.resolveJourney();
+
+  if (toStop < this.getSegmentCount()) {
+    const stop = this.stops[toStop - 1];
+    return [{ name: stop.location, address: stop.city, coordinates: stop.coordinates, offsetMinutes: stop.offsetMinutes }];
+  }
+  if (this.destination.dropPoints.length === 0) {
+    return [{ name: this.destination.location, address: this.destination.city, coordinates: this.destination.coordinates }];
+  }
+  return this.destination.dropPoints.map(point => ({
+    name: point.name,
+    address: point.address,
+    coordinates: point.coordinates,
+    landmark: point.landmark,
+    offsetMinutes: point.offsetMinutes
+  }));
+};
+
+// Method to work out when a departure reaches a booking's pickup and drop points. Pickups without
+// an offset are at departure; drops without one at the scheduled arrival.
+routeSchema.methods.getPointTimes = function(departure, { pickupPoint, dropPoint } = {}) {
+  const timeAt = offsetMinutes => toTime(toMinutes(departure.departureTime) + offsetMinutes);
+
+  return {
+    pickupTime: timeAt(pickupPoint?.offsetMinutes ?? 0),
+    dropTime: dropPoint?.offsetMinutes != null ? timeAt(dropPoint.offsetMinutes) : departure.arrivalTime
+  };
+};
+
+// Method to work out the share of a seat's full-route price a journey pays
+routeSchema.methods.getFareShare = function(journey = {}) {
+  const { fromStop, toStop } = this.resolveJourney(journey.fromStop, journey.toStop) || this.resolveJourney();
+  const fares = this.pricing.segmentFares?.length > 0
+    ? this.pricing.segmentFares
+    : Array(this.getSegmentCount()).fill(1);
+
+  const total = fares.reduce((sum, fare) => sum + fare, 0);
+  if (total === 0) return 1;
+
+  return fares.slice(fromStop, toStop).reduce((sum, fare) => sum + fare, 0) / total;
+};
+
+// Method to price a seat for a journey, from its full-route price
+routeSchema.methods.getJourneyPrice = function(price, journey = {}) {
+  const share = this.getFareShare(journey);
+  return share === 1 ? price : Math.round(price * share);
+};
+
+// Method to calculate fare with dynamic pricing, for the whole route or one journey on it
+routeSchema.methods.calculateFare = function(seatNumbers, date, journey = {}) {
   let totalFare = 0;
   
   seatNumbers.forEach(seatNumber => {
@@ -432,6 +732,8 @@ routeSchema.methods.calculateFare = function(seatNumbers, date) {
       if (seat.type === 'window') {
         fare += seat.price.premium;
       }
+
+      fare = this.getJourneyPrice(fare, journey);
       
       // Apply dynamic pricing if enabled
       if (this.pricing.dynamicPricing.enabled) {
@@ -0,0 +1,45 @@
+import { Schema, model } from 'mongoose';
+
+// In-app inbox entry for a user
+const notificationSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Notification event, e.g. booking-confirmation, booking-cancellation, trip-reminder
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  // Whatever the client needs to act on it, e.g. { bookingId }
+  payload: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, read: 1 });
+// MongoDB removes notifications once they expire
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default model('Notification', notificationSchema);
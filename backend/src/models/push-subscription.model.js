@@ -0,0 +1,38 @@
+import { Schema, model } from 'mongoose';
+
+// A browser/device a user allowed to receive web push notifications
+const pushSubscriptionSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  // Set by the browser when the subscription has a fixed lifetime
+  expirationTime: Date,
+  deviceName: String,
+  userAgent: String,
+  lastSuccessAt: Date,
+  lastFailureAt: Date
+}, {
+  timestamps: true
+});
+
+pushSubscriptionSchema.index({ userId: 1 });
+pushSubscriptionSchema.index({ expirationTime: 1 });
+
+export default model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,55 @@
+import { Schema, model } from 'mongoose';
+
+// Compact record of a departure's seat map once its date has passed: the final counts and
+// which seats were sold, without any lock state
+const seatAvailabilityHistorySchema = new Schema({
+  routeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  travelDate: {
+    type: Date,
+    required: true
+  },
+  departureId: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  departureTime: String,
+  summary: {
+    totalSeats: {
+      type: Number,
+      required: true
+    },
+    bookedCount: {
+      type: Number,
+      default: 0
+    },
+    blockedCount: {
+      type: Number,
+      default: 0
+    },
+    // Everything neither booked nor blocked - seats still locked at archive time went unsold
+    unsoldCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  bookedSeats: [{
+    _id: false,
+    seatNumber: String,
+    bookingId: String,
+    price: Number
+  }],
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Archiving upserts on this key, so a retried run never duplicates a departure
+seatAvailabilityHistorySchema.index({ routeId: 1, travelDate: 1, departureId: 1 }, { unique: true });
+seatAvailabilityHistorySchema.index({ travelDate: 1 });
+
+export default model('SeatAvailabilityHistory', seatAvailabilityHistorySchema);
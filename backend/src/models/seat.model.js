@@ -1,4 +1,80 @@
 import mongoose from 'mongoose';
+import { emitSeatChanges } from '../services/seat-events.service.js';
+
+// Shape of a seat in a seat-status diff
+const toSeatDiff = seat => ({
+  seatNumber: seat.seatNumber,
+  ...(seat.segment != null && { segment: seat.segment }),
+  status: seat.status,
+  ...(seat.status === 'locked' && { lockExpiry: seat.lockExpiry })
+});
+
+const isSegmented = doc => (doc.segmentCount || 1) > 1;
+
+/**
+ * Segments a journey rides on a seat map, or null when the seat map has a single segment
+ * @param {Object} availability - Seat availability document
+ * @param {Object} journey - { fromStop, toStop }; missing stops default to the ends of the route
+ * @returns {Array<number>|null}
+ */
+export const journeySegments = (availability, journey = {}) => {
+  const segmentCount = availability.segmentCount || 1;
+  const fromStop = journey?.fromStop ?? 0;
+  const toStop = journey?.toStop ?? segmentCount;
+
+  if (!Number.isInteger(fromStop) || !Number.isInteger(toStop) || fromStop < 0 || toStop > segmentCount || fromStop >= toStop) {
+    throw new Error('Invalid stops for this departure');
+  }
+  if (segmentCount === 1) return null;
+
+  return Array.from({ length: toStop - fromStop }, (_, i) => fromStop + i);
+};
+
+// Whether a seat entry belongs to one of the seats, on one of the segments (any segment when null)
+const coversEntry = (seatNumbers, segments) => seat =>
+  seatNumbers.includes(seat.seatNumber) && (!segments || segments.includes(seat.segment));
+
+// Seat entries for some seats on some segments - one per seat when there are no segments. A seat named
+// twice is one entry, or the summary counters would move twice for it.
+const toEntries = (seatNumbers, segments) => {
+  const unique = [...new Set(seatNumbers)];
+  return segments
+    ? unique.flatMap(seatNumber => segments.map(segment => ({ seatNumber, segment })))
+    : unique.map(seatNumber => ({ seatNumber }));
+};
+
+// A seat is as taken as its most taken segment on the journey
+const STATUS_PRECEDENCE = ['booked', 'blocked', 'locked', 'available'];
+
+/**
+ * The seats as one journey sees them: a seat is booked, blocked or locked if it is on any segment the journey rides
+ * @param {Object} availability - Seat availability document
+ * @param {Object} journey - { fromStop, toStop }
+ * @returns {Array} - One entry per seat
+ */
+export const seatsForJourney = (availability, journey = {}) => {
+  const segments = journeySegments(availability, journey);
+  if (!segments) return availability.seatsAvailable;
+
+  const seats = new Map();
+  for (const seat of availability.seatsAvailable.filter(s => segments.includes(s.segment))) {
+    const current = seats.get(seat.seatNumber);
+    if (!current || STATUS_PRECEDENCE.indexOf(seat.status) < STATUS_PRECEDENCE.indexOf(current.status)) {
+      const { segment, ...rest } = typeof seat.toObject === 'function' ? seat.toObject() : seat;
+      seats.set(seat.seatNumber, rest);
+    }
+  }
+  return [...seats.values()];
+};
+
+// Seat counts for a list of seats, in the shape of the stored summary
+export const summarizeSeats = seats => ({
+  totalSeats: seats.length,
+  availableCount: seats.filter(s => s.status === 'available').length,
+  lockedCount: seats.filter(s => s.status === 'locked').length,
+  bookedCount: seats.filter(s => s.status === 'booked').length,
+  blockedCount: seats.filter(s => s.status === 'blocked').length
+});
 
 const seatAvailabilitySchema = new mongoose.Schema({
   routeId: {
@@ -10,12 +86,26 @@ const seatAvailabilitySchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Schedule entry on the route this seat map belongs to
+  departureId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  departureTime: String,
+  // Legs between consecutive stops - each seat is sold separately on every one of them
+  segmentCount: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   seatsAvailable: [{
     _id: false,
     seatNumber: {
       type: String,
       required: true
     },
+    // Leg of the route this entry covers, on routes with stops
+    segment: Number,
     status: {
       type: String,
       enum: ['available', 'locked', 'booked', 'blocked'],
@@ -44,6 +134,7 @@ const seatAvailabilitySchema = new mongoose.Schema({
       required: true
     }
   }],
+  // Counts entries - seats on a route without stops, seat-segments on one with stops
   summary: {
     totalSeats: {
       type: Number,
@@ -70,189 +161,337 @@ const seatAvailabilitySchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Compound index for route and date
-seatAvailabilitySchema.index({ routeId: 1, travelDate: 1 }, { unique: true });
+// One seat map per departure: route, date and schedule entry
+seatAvailabilitySchema.index({ routeId: 1, travelDate: 1, departureId: 1 }, { unique: true });
+// Archiving sweeps past travel dates across all routes
+seatAvailabilitySchema.index({ travelDate: 1 });
 seatAvailabilitySchema.index({ 'seatsAvailable.lockedBy': 1 });
 seatAvailabilitySchema.index({ 'seatsAvailable.lockExpiry': 1 });
 
-// Method to lock seats
-seatAvailabilitySchema.methods.lockSeats = async function(seatNumbers, userId, lockDurationMinutes = 15) {
-  const lockExpiry = new Date(Date.now() + lockDurationMinutes * 60 * 1000);
-  
-  // Check if seats are available
-  const unavailableSeats = [];
-  seatNumbers.forEach(seatNumber => {
-    const seat = this.seatsAvailable.find(s => s.seatNumber === seatNumber);
-    if (!seat || seat.status !== 'available') {
-      unavailableSeats.push(seatNumber);
+// Move seats from one state to another in a single conditional update. The filter only matches
+// while every seat is still in the expected state, so concurrent writers can neither take the
+// same seat twice nor skew the summary counters - a null result means another writer got there first.
+// Given segments, each seat moves on every one of them.
+const transitionSeats = (model, _id, seatNumbers, { match, set = {}, unset = [], inc, segments = null }) => {
+  const seatPath = field => `seatsAvailable.$[seat].${field}`;
+  const entries = toEntries(seatNumbers, segments);
+
+  const update = {
+    $set: Object.fromEntries(Object.entries(set).map(([field, value]) => [seatPath(field), value])),
+    $inc: Object.fromEntries(Object.entries(inc).map(([counter, sign]) => [`summary.${counter}`, sign * entries.length]))
+  };
+  if (unset.length > 0) {
+    update.$unset = Object.fromEntries(unset.map(field => [seatPath(field), '']));
+  }
+
+  return model.findOneAndUpdate(
+    {
+      _id,
+      $and: entries.map(entry => ({
+        seatsAvailable: { $elemMatch: { ...entry, ...match } }
+      }))
+    },
+    update,
+    {
+      new: true,
+      arrayFilters: [{
+        'seat.seatNumber': { $in: seatNumbers },
+        ...(segments && { 'seat.segment': { $in: segments } })
+      }]
     }
-  });
-  
-  if (unavailableSeats.length > 0) {
-    throw new Error(`Seats ${unavailableSeats.join(', ')} are not available`);
+  );
+};
+
+// Seats from an updated document, in the shape of a seat-status diff
+const changedSeats = (doc, seatNumbers, segments = null) =>
+  doc.seatsAvailable.filter(coversEntry(seatNumbers, segments)).map(toSeatDiff);
+
+// How many times a variable-size transition is retried after losing a race
+const MAX_TRANSITION_ATTEMPTS = 3;
+
+// Group seat entries by the segments they cover, so each group of seats moves in one transition.
+// Without segments that is a single group.
+const groupEntries = (entries, segmented) => {
+  const segmentsBySeat = new Map();
+  for (const entry of entries) {
+    segmentsBySeat.set(entry.seatNumber, [...(segmentsBySeat.get(entry.seatNumber) || []), entry.segment]);
   }
-  
-  // Lock the seats
-  seatNumbers.forEach(seatNumber => {
-    const seat = this.seatsAvailable.find(s => s.seatNumber === seatNumber);
-    if (seat) {
-      seat.status = 'locked';
-      seat.lockedBy = userId;
-      seat.lockedAt = new Date();
-      seat.lockExpiry = lockExpiry;
+
+  const groups = new Map();
+  for (const [seatNumber, segments] of segmentsBySeat) {
+    const key = segmented ? segments.sort((a, b) => a - b).join(',') : '';
+    if (!groups.has(key)) {
+      groups.set(key, { seatNumbers: [], segments: segmented ? segments : null });
+    }
+    groups.get(key).seatNumbers.push(seatNumber);
+  }
+  return [...groups.values()];
+};
+
+// Move whichever seat entries `pick` selects, picking them from the latest read and retrying if
+// another writer changes one of them in between
+const transitionPicked = async (model, doc, pick, transition, reason) => {
+  const result = { seatNumbers: new Set(), conflicts: 0, settled: false };
+  let current = doc;
+
+  for (let attempt = 1; attempt <= MAX_TRANSITION_ATTEMPTS; attempt++) {
+    const entries = current.seatsAvailable.filter(pick);
+    if (entries.length === 0) {
+      result.settled = true;
+      break;
     }
+
+    let conflict = false;
+    for (const { seatNumbers, segments } of groupEntries(entries, isSegmented(current))) {
+      const updated = await transitionSeats(model, doc._id, seatNumbers, { ...transition, segments });
+      if (updated) {
+        emitSeatChanges(doc, changedSeats(updated, seatNumbers, segments), reason);
+        seatNumbers.forEach(seatNumber => result.seatNumbers.add(seatNumber));
+      } else {
+        conflict = true;
+      }
+    }
+
+    if (!conflict) {
+      result.settled = true;
+      break;
+    }
+
+    result.conflicts++;
+    current = await model.findById(doc._id, { seatsAvailable: 1, segmentCount: 1 }).lean();
+    if (!current) break;
+  }
+
+  return { ...result, seatNumbers: [...result.seatNumbers] };
+};
+
+// Method to lock seats for a journey - the whole route unless stops are given
+seatAvailabilitySchema.methods.lockSeats = async function(seatNumbers, userId, lockDurationMinutes = 15, journey = {}) {
+  const now = new Date();
+  const lockExpiry = new Date(now.getTime() + lockDurationMinutes * 60 * 1000);
+  const segments = journeySegments(this, journey);
+
+  const updated = await transitionSeats(this.constructor, this._id, seatNumbers, {
+    match: { status: 'available' },
+    set: { status: 'locked', lockedBy: userId, lockedAt: now, lockExpiry },
+    inc: { lockedCount: 1, availableCount: -1 },
+    segments
   });
-  
-  // Update counts
-  this.summary.lockedCount += seatNumbers.length;
-  this.summary.availableCount -= seatNumbers.length;
-  
-  await this.save();
+
+  if (!updated) {
+    // Re-read to tell the caller which seats were taken
+    const current = await this.constructor.findById(this._id, { seatsAvailable: 1 }).lean();
+    const unavailableSeats = seatNumbers.filter(seatNumber => {
+      const entries = current?.seatsAvailable.filter(coversEntry([seatNumber], segments)) || [];
+      return entries.length === 0 || entries.some(s => s.status !== 'available');
+    });
+    throw new Error(`Seats ${(unavailableSeats.length ? unavailableSeats : seatNumbers).join(', ')} are not available`);
+  }
+
+  emitSeatChanges(this, changedSeats(updated, seatNumbers, segments), 'locked');
   return { success: true, lockExpiry };
 };
 
-// Method to confirm booking (convert locked to booked)
-seatAvailabilitySchema.methods.confirmBooking = async function(seatNumbers, userId, bookingId) {
-  console.log('Seats Available: ', this.seatsAvailable);
-  const lockedSeats = this.seatsAvailable.filter(
-    s => seatNumbers.includes(s.seatNumber) && 
-        s.status === 'locked' && 
-        s.lockedBy.toString() === userId.toString()
-  );
-  console.log('Locked Seats: ', lockedSeats);
-  
-  if (lockedSeats.length !== seatNumbers.length) {
+// Method to check that seats are still locked by a user, on every segment of the journey
+seatAvailabilitySchema.methods.areSeatsLockedBy = function(seatNumbers, userId, journey = {}) {
+  const now = new Date();
+  const segments = journeySegments(this, journey);
+
+  return seatNumbers.every(seatNumber => {
+    const entries = this.seatsAvailable.filter(coversEntry([seatNumber], segments));
+    return entries.length === (segments?.length || 1) && entries.every(seat =>
+      seat.status === 'locked' &&
+      seat.lockedBy?.toString() === userId.toString() &&
+      (!seat.lockExpiry || seat.lockExpiry > now));
+  });
+};
+
+// Method to confirm booking (convert locked to booked) for a journey
+seatAvailabilitySchema.methods.confirmBooking = async function(seatNumbers, userId, bookingId, journey = {}) {
+  const segments = journeySegments(this, journey);
+
+  const updated = await transitionSeats(this.constructor, this._id, seatNumbers, {
+    match: { status: 'locked', lockedBy: userId },
+    set: { status: 'booked', bookedBy: userId, bookedAt: new Date(), bookingId },
+    unset: ['lockedBy', 'lockedAt', 'lockExpiry'],
+    inc: { bookedCount: 1, lockedCount: -1 },
+    segments
+  });
+
+  if (!updated) {
     throw new Error('Some seats are not properly locked by this user');
   }
-  
-  // Convert to booked
-  lockedSeats.forEach(seat => {
-    seat.status = 'booked';
-    seat.bookedBy = userId;
-    seat.bookedAt = new Date();
-    seat.bookingId = bookingId;
-    seat.lockedBy = undefined;
-    seat.lockedAt = undefined;
-    seat.lockExpiry = undefined;
-  });
-  
-  // Update counts
-  this.summary.bookedCount += seatNumbers.length;
-  this.summary.lockedCount -= seatNumbers.length;
-  
-  await this.save();
+
+  emitSeatChanges(this, changedSeats(updated, seatNumbers, segments), 'booked');
   return { success: true };
 };
 
-// Method to release locks
+// Method to release locks, on whichever segments the seats are locked
 seatAvailabilitySchema.methods.releaseLocks = async function(seatNumbers, userId = null) {
-  let releasedCount = 0;
-  
-  this.seatsAvailable.forEach(seat => {
-    if (seatNumbers.includes(seat.seatNumber) && 
-        seat.status === 'locked' && 
-        (!userId || seat.lockedBy.toString() === userId.toString())) {
-      seat.status = 'available';
-      seat.lockedBy = undefined;
-      seat.lockedAt = undefined;
-      seat.lockExpiry = undefined;
-      releasedCount++;
-    }
-  });
-  
-  // Update counts
-  this.summary.availableCount += releasedCount;
-  this.summary.lockedCount -= releasedCount;
-  
-  if (releasedCount > 0) {
-    await this.save();
+  // Only some of the requested seats may be releasable
+  const result = await transitionPicked(
+    this.constructor,
+    this,
+    s => seatNumbers.includes(s.seatNumber) &&
+      s.status === 'locked' &&
+      (!userId || s.lockedBy?.toString() === userId.toString()),
+    {
+      match: { status: 'locked', ...(userId && { lockedBy: userId }) },
+      set: { status: 'available' },
+      unset: ['lockedBy', 'lockedAt', 'lockExpiry'],
+      inc: { availableCount: 1, lockedCount: -1 }
+    },
+    'released'
+  );
+
+  if (!result.settled) {
+    throw new Error('Seat locks changed concurrently, please retry');
   }
-  
-  return { success: true, releasedCount };
+  return { success: true, releasedCount: result.seatNumbers.length };
 };
 
-// Method to cancel booking (convert booked back to available)
-seatAvailabilitySchema.methods.cancelBooking = async function(bookingId) {
-  const bookedSeats = this.seatsAvailable.filter(
-    s => s.bookingId === bookingId && s.status === 'booked'
-  );
-  
-  if (bookedSeats.length === 0) {
+// Method to cancel booking (convert booked back to available) - all of its seats, or only the given ones
+seatAvailabilitySchema.methods.cancelBooking = async function(bookingId, seatNumbers = null) {
+  const isBooked = s =>
+    s.bookingId === bookingId &&
+    s.status === 'booked' &&
+    (!seatNumbers || seatNumbers.includes(s.seatNumber));
+
+  if (!this.seatsAvailable.some(isBooked)) {
     throw new Error('No booked seats found for this booking');
   }
-  
-  // Convert back to available
-  bookedSeats.forEach(seat => {
-    seat.status = 'available';
-    seat.bookedBy = undefined;
-    seat.bookedAt = undefined;
-    seat.bookingId = undefined;
-  });
-  
-  // Update counts
-  this.summary.availableCount += bookedSeats.length;
-  this.summary.bookedCount -= bookedSeats.length;
-  
-  await this.save();
-  return { success: true, releasedSeats: bookedSeats.length };
+
+  const result = await transitionPicked(this.constructor, this, isBooked, {
+    match: { status: 'booked', bookingId },
+    set: { status: 'available' },
+    unset: ['bookedBy', 'bookedAt', 'bookingId'],
+    inc: { availableCount: 1, bookedCount: -1 }
+  }, 'cancelled');
+
+  if (!result.settled) {
+    throw new Error('Booked seats changed concurrently, please retry');
+  }
+  return { success: true, releasedSeats: result.seatNumbers.length };
 };
 
-// Static method to release expired locks
-seatAvailabilitySchema.statics.releaseExpiredLocks = async function() {
-  const now = new Date();
-  
-  const result = await this.updateMany(
-    { 'seatsAvailable.lockExpiry': { $lt: now }, 'seatsAvailable.status': 'locked' },
+// Method to move a booking off some of its seats and onto seats the same user has locked, in a
+// single conditional update - the booking never holds both sets of seats, or neither
+seatAvailabilitySchema.methods.swapBookedSeats = async function(bookingId, userId, releaseSeats, claimSeats, journey = {}) {
+  const segments = journeySegments(this, journey);
+  const perSeat = segments?.length || 1;
+  const released = field => `seatsAvailable.$[released].${field}`;
+  const claimed = field => `seatsAvailable.$[claimed].${field}`;
+
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      $and: [
+        ...toEntries(releaseSeats, segments).map(entry => ({
+          seatsAvailable: { $elemMatch: { ...entry, status: 'booked', bookingId } }
+        })),
+        ...toEntries(claimSeats, segments).map(entry => ({
+          seatsAvailable: { $elemMatch: { ...entry, status: 'locked', lockedBy: userId } }
+        }))
+      ]
+    },
     {
       $set: {
-        'seatsAvailable.$.status': 'available',
-        'seatsAvailable.$.lockedBy': null,
-        'seatsAvailable.$.lockedAt': null,
-        'seatsAvailable.$.lockExpiry': null
+        [released('status')]: 'available',
+        [claimed('status')]: 'booked',
+        [claimed('bookedBy')]: userId,
+        [claimed('bookedAt')]: new Date(),
+        [claimed('bookingId')]: bookingId
+      },
+      $unset: {
+        [released('bookedBy')]: '',
+        [released('bookedAt')]: '',
+        [released('bookingId')]: '',
+        [claimed('lockedBy')]: '',
+        [claimed('lockedAt')]: '',
+        [claimed('lockExpiry')]: ''
+      },
+      $inc: {
+        'summary.availableCount': releaseSeats.length * perSeat,
+        'summary.bookedCount': (claimSeats.length - releaseSeats.length) * perSeat,
+        'summary.lockedCount': -claimSeats.length * perSeat
       }
+    },
+    {
+      new: true,
+      arrayFilters: [
+        { 'released.seatNumber': { $in: releaseSeats }, ...(segments && { 'released.segment': { $in: segments } }) },
+        { 'claimed.seatNumber': { $in: claimSeats }, ...(segments && { 'claimed.segment': { $in: segments } }) }
+      ]
     }
   );
-  
-  // Update counts for affected documents
-  const expiredLockDocs = await this.find({
-    'seatsAvailable': {
-      $elemMatch: {
-        lockExpiry: { $lt: now },
-        status: 'locked'
-      }
-    }
-  });
-  
-  for (const doc of expiredLockDocs) {
-    const expiredSeats = doc.seatsAvailable.filter(
-      s => s.lockExpiry && s.lockExpiry < now && s.status === 'locked'
+
+  if (!updated) {
+    throw new Error('Seats changed before the swap, please lock the new seats again');
+  }
+
+  emitSeatChanges(this, changedSeats(updated, [...releaseSeats, ...claimSeats], segments), 'modified');
+  return { success: true };
+};
+
+// Static method to release expired locks
+seatAvailabilitySchema.statics.releaseExpiredLocks = async function() {
+  const now = new Date();
+  const expiredMatch = { status: 'locked', lockExpiry: { $lt: now } };
+  const stats = { scannedDocuments: 0, modifiedCount: 0, releasedSeats: 0, conflicts: 0 };
+
+  const docs = await this.find(
+    { seatsAvailable: { $elemMatch: expiredMatch } },
+    { routeId: 1, travelDate: 1, departureId: 1, segmentCount: 1, seatsAvailable: 1 }
+  ).lean();
+
+  for (const doc of docs) {
+    stats.scannedDocuments++;
+
+    // Same conditional transition as a manual release, so every expired seat in the
+    // document is freed and the counters move by exactly that many
+    const result = await transitionPicked(
+      this,
+      doc,
+      s => s.status === 'locked' && s.lockExpiry && s.lockExpiry < now,
+      {
+        match: expiredMatch,
+        set: { status: 'available' },
+        unset: ['lockedBy', 'lockedAt', 'lockExpiry'],
+        inc: { availableCount: 1, lockedCount: -1 }
+      },
+      'expired'
     );
-    
-    if (expiredSeats.length > 0) {
-      doc.summary.availableCount += expiredSeats.length;
-      doc.summary.lockedCount -= expiredSeats.length;
-      await doc.save();
+
+    stats.conflicts += result.conflicts;
+    if (result.seatNumbers.length > 0) {
+      stats.modifiedCount++;
+      stats.releasedSeats += result.seatNumbers.length;
     }
   }
-  
-  return result;
+
+  return stats;
 };
 
-// Static method to initialize seat availability for a route and date
-seatAvailabilitySchema.statics.initializeForRoute = async function(routeId, travelDate, routeData) {
-  const existingAvailability = await this.findOne({ routeId, travelDate });
-  
-  if (existingAvailability) {
-    return existingAvailability;
-  }
-  
-  // Create new availability record
-  const seatsAvailable = routeData.seating.seatMap.map(seat => ({
-    seatNumber: seat.seatNumber,
-    status: seat.isBlocked ? 'blocked' : 'available',
-    price: seat.price.base + (seat.type === 'window' ? seat.price.premium : 0),
-    seatType: seat.type
-  }));
+// Static method to find the seat map a booking's seats live on
+seatAvailabilitySchema.statics.findForBooking = function(booking) {
+  return this.findOne({
+    routeId: booking.route.routeId,
+    travelDate: booking.journey.travelDate,
+    departureId: booking.journey.departureId
+  });
+};
+
+// Static method to build - without saving - the seat map of one departure of a route on a date
+seatAvailabilitySchema.statics.buildForRoute = function(routeId, travelDate, routeData, departure) {
+  const segmentCount = routeData.getSegmentCount();
+  const seatsAvailable = routeData.seating.seatMap.flatMap(seat =>
+    Array.from({ length: segmentCount }, (_, segment) => ({
+      seatNumber: seat.seatNumber,
+      ...(segmentCount > 1 && { segment }),
+      status: seat.isBlocked ? 'blocked' : 'available',
+      price: seat.price.base + (seat.type === 'window' ? seat.price.premium : 0),
+      seatType: seat.type
+    })));
   
   const summary = {
     totalSeats: seatsAvailable.length,
@@ -262,14 +501,37 @@ seatAvailabilitySchema.statics.initializeForRoute = async function(routeId, trav
     blockedCount: seatsAvailable.filter(s => s.status === 'blocked').length
   };
   
-  const availability = new this({
+  return new this({
     routeId,
     travelDate,
+    departureId: departure._id,
+    departureTime: departure.departureTime,
+    segmentCount,
     seatsAvailable,
     summary
   });
+};
+
+// Static method to initialize seat availability for one departure of a route on a date
+seatAvailabilitySchema.statics.initializeForRoute = async function(routeId, travelDate, routeData, departure) {
+  const departureId = departure._id;
+  const existingAvailability = await this.findOne({ routeId, travelDate, departureId });
+  
+  if (existingAvailability) {
+    return existingAvailability;
+  }
   
-  return await availability.save();
+  const availability = this.buildForRoute(routeId, travelDate, routeData, departure);
+
+  try {
+    return await availability.save();
+  } catch (error) {
+    // Another request initialised the same departure first
+    if (error.code === 11000) {
+      return this.findOne({ routeId, travelDate, departureId });
+    }
+    throw error;
+  }
 };
 
 const SeatAvailability = mongoose.model('SeatAvailability', seatAvailabilitySchema);
@@ -0,0 +1,34 @@
+import { Schema, model } from 'mongoose';
+
+// Runtime settings admins can change without a redeploy, one document per key
+const settingSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: Schema.Types.Mixed,
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting, falling back to a default when it was never set
+settingSchema.statics.getValue = async function(key, fallback = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting?.value ?? fallback;
+};
+
+// Static method to store a setting
+settingSchema.statics.setValue = function(key, value, userId = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy: userId } },
+    { upsert: true, new: true }
+  );
+};
+
+export default model('Setting', settingSchema);
@@ -0,0 +1,57 @@
+import { Schema, model } from 'mongoose';
+import { SMS_STATUSES } from '../services/sms/sms-provider.js';
+
+// Every SMS we send, with the delivery state reported by the provider
+const smsMessageSchema = new Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  messageId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  // otp, booking-confirmation, trip-reminder, ... - the notification event that sent it
+  purpose: {
+    type: String,
+    default: 'other'
+  },
+  bookingId: String,
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: SMS_STATUSES,
+    default: 'queued'
+  },
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: SMS_STATUSES
+    },
+    errorCode: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  errorCode: String,
+  errorMessage: String,
+  sentAt: Date,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+smsMessageSchema.index({ bookingId: 1 });
+smsMessageSchema.index({ to: 1, createdAt: -1 });
+
+export default model('SmsMessage', smsMessageSchema);
@@ -192,19 +192,22 @@ userSchema.methods.updateLastLogin = function() {
   return this.save({ validateBeforeSave: false });
 };
 
-// Add to wallet
-userSchema.methods.addToWallet = function(amount) {
-  this.walletBalance += amount;
-  return this.save({ validateBeforeSave: false });
+// Add to wallet - goes through the ledger so every change is recorded
+userSchema.methods.addToWallet = async function(amount, options = {}) {
+  const walletService = (await import('../services/wallet.service.js')).default;
+  const entry = await walletService.credit(this._id, amount, options);
+  this.walletBalance = entry.balanceAfter;
+  this.unmarkModified('walletBalance'); // Never let a later save() overwrite the atomic update
+  return entry;
 };
 
-// Deduct from wallet
-userSchema.methods.deductFromWallet = function(amount) {
-  if (this.walletBalance < amount) {
-    throw new Error('Insufficient wallet balance');
-  }
-  this.walletBalance -= amount;
-  return this.save({ validateBeforeSave: false });
+// Deduct from wallet - atomic, throws 'Insufficient wallet balance' instead of overspending
+userSchema.methods.deductFromWallet = async function(amount, options = {}) {
+  const walletService = (await import('../services/wallet.service.js')).default;
+  const entry = await walletService.debit(this._id, amount, options);
+  this.walletBalance = entry.balanceAfter;
+  this.unmarkModified('walletBalance'); // Never let a later save() overwrite the atomic update
+  return entry;
 };
 
 export default model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { Schema, model } from 'mongoose';
+
+// Ledger entry for every change to User.walletBalance
+const walletTransactionSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  category: {
+    type: String,
+    enum: ['top-up', 'booking-payment', 'refund', 'adjustment'],
+    required: true
+  },
+  status: {
+    type: String,
+    // awaiting-payment: top-up waiting on the gateway
+    // pending: ready to apply, processing: balance update in flight
+    enum: ['awaiting-payment', 'pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  balanceAfter: Number,
+  bookingId: String,
+  gatewayOrderId: String,
+  description: String,
+  failureReason: String,
+  // Stops retried requests and duplicate webhooks from applying twice
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+walletTransactionSchema.index({ bookingId: 1 });
+walletTransactionSchema.index({ gatewayOrderId: 1 });
+
+export default model('WalletTransaction', walletTransactionSchema);
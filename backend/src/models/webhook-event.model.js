@@ -0,0 +1,32 @@
+import { Schema, model } from 'mongoose';
+
+// Record of processed payment webhook deliveries, used to drop duplicates
+const webhookEventSchema = new Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  bookingId: String,
+  status: {
+    type: String,
+    enum: ['processing', 'processed'],
+    default: 'processing'
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Gateways stop retrying long before this, so old records can go
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,178 @@
+import { Router } from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import asyncHandler from 'express-async-handler';
+
+import authMiddleware from '../middleware/auth.middleware.js';
+const { protect, authorize } = authMiddleware;
+import { ApiResponse } from '../utils/apiResponse.js';
+import { QUEUE_NAMES, addJob, getQueueStats, getFailedJobs, retryFailedJob } from '../jobs/queues.js';
+import { isSchedulerLeader } from '../jobs/scheduledJobs.js';
+import availabilityService, { MAX_HORIZON_DAYS } from '../services/availability.service.js';
+
+const router = Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(
+      ApiResponse.error('Validation failed', 400, 'VALIDATION_ERROR', errors.array())
+    );
+  }
+  next();
+};
+
+/**
+ * @desc    Get job counts for every background queue
+ * @route   GET /api/v1/admin/queues
+ * @access  Private (Admin)
+ */
+const getQueues = asyncHandler(async (req, res) => {
+  const queues = await getQueueStats();
+
+  res.status(200).json(
+    ApiResponse.success({
+      queues,
+      // Leadership of the instance that served this request
+      schedulerLeader: isSchedulerLeader()
+    }, 'Queue statistics retrieved successfully')
+  );
+});
+
+/**
+ * @desc    List failed jobs of a queue (dead-lettered jobs for the dead-letter queue)
+ * @route   GET /api/v1/admin/queues/:name/failed
+ * @access  Private (Admin)
+ */
+const getQueueFailedJobs = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+
+  const start = (parseInt(page) - 1) * parseInt(limit);
+  const jobs = await getFailedJobs(name, start, parseInt(limit));
+
+  res.status(200).json(
+    ApiResponse.success({ queue: name, page: parseInt(page), limit: parseInt(limit), jobs }, 'Failed jobs retrieved successfully')
+  );
+});
+
+/**
+ * @desc    Retry a failed job
+ * @route   POST /api/v1/admin/queues/:name/jobs/:jobId/retry
+ * @access  Private (Admin)
+ */
+const retryQueueJob = asyncHandler(async (req, res) => {
+  const { name, jobId } = req.params;
+
+  const retried = await retryFailedJob(name, jobId);
+
+  if (!retried) {
+    return res.status(404).json(
+      ApiResponse.error('Failed job not found', 404, 'JOB_NOT_FOUND')
+    );
+  }
+
+  res.status(200).json(
+    ApiResponse.success({ queue: name, jobId }, 'Job queued for retry')
+  );
+});
+
+/**
+ * @desc    Get the availability horizon and how many departures are live and archived
+ * @route   GET /api/v1/admin/availability
+ * @access  Private (Admin)
+ */
+const getAvailabilityStatus = asyncHandler(async (req, res) => {
+  const status = await availabilityService.getStatus();
+
+  res.status(200).json(
+    ApiResponse.success(status, 'Availability status retrieved successfully')
+  );
+});
+
+/**
+ * @desc    Change how many days ahead seat availability is pre-generated
+ * @route   PUT /api/v1/admin/availability/horizon
+ * @access  Private (Admin)
+ */
+const updateAvailabilityHorizon = asyncHandler(async (req, res) => {
+  const days = parseInt(req.body.days);
+  const previous = await availabilityService.getHorizonDays();
+
+  const horizonDays = await availabilityService.setHorizonDays(days, req.user._id);
+
+  // A longer horizon is filled straight away instead of at the next nightly run
+  let job = null;
+  if (horizonDays > previous) {
+    job = await addJob(QUEUE_NAMES.AVAILABILITY, 'pre-generate', { days: horizonDays }, {
+      jobId: `pre-generate:horizon:${horizonDays}:${Date.now()}`
+    });
+  }
+
+  res.status(200).json(
+    ApiResponse.success({ horizonDays, previousHorizonDays: previous, jobId: job?.id || null }, 'Availability horizon updated')
+  );
+});
+
+/**
+ * @desc    Queue pre-generation of seat availability now, for all routes or one
+ * @route   POST /api/v1/admin/availability/backfill
+ * @access  Private (Admin)
+ */
+const backfillAvailability = asyncHandler(async (req, res) => {
+  const { routeId } = req.body;
+  const days = req.body.days ? parseInt(req.body.days) : await availabilityService.getHorizonDays();
+
+  const job = await addJob(QUEUE_NAMES.AVAILABILITY, 'pre-generate', { days, ...(routeId && { routeId }) }, {
+    jobId: `pre-generate:backfill:${routeId || 'all'}:${Date.now()}`
+  });
+
+  res.status(202).json(
+    ApiResponse.success({ jobId: job.id, days, routeId: routeId || null }, 'Availability backfill queued')
+  );
+});
+
+/**
+ * @desc    Queue archival of past departures now
+ * @route   POST /api/v1/admin/availability/archive
+ * @access  Private (Admin)
+ */
+const archiveAvailability = asyncHandler(async (req, res) => {
+  const olderThanDays = req.body.olderThanDays !== undefined ? parseInt(req.body.olderThanDays) : undefined;
+
+  const job = await addJob(QUEUE_NAMES.AVAILABILITY, 'archive-past', { ...(olderThanDays !== undefined && { olderThanDays }) }, {
+    jobId: `archive-past:manual:${Date.now()}`
+  });
+
+  res.status(202).json(
+    ApiResponse.success({ jobId: job.id }, 'Availability archival queued')
+  );
+});
+
+const validateQueueName = [
+  param('name').isIn(Object.values(QUEUE_NAMES)).withMessage('Unknown queue')
+];
+
+// Routes
+router.use(protect, authorize('admin'));
+
+router.get('/queues', getQueues);
+router.get('/queues/:name/failed', validateQueueName, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, getQueueFailedJobs);
+router.post('/queues/:name/jobs/:jobId/retry', validateQueueName, handleValidationErrors, retryQueueJob);
+
+router.get('/availability', getAvailabilityStatus);
+router.put('/availability/horizon', [
+  body('days').isInt({ min: 1, max: MAX_HORIZON_DAYS }).withMessage(`Horizon must be between 1 and ${MAX_HORIZON_DAYS} days`)
+], handleValidationErrors, updateAvailabilityHorizon);
+router.post('/availability/backfill', [
+  body('days').optional().isInt({ min: 1, max: MAX_HORIZON_DAYS }).withMessage(`Days must be between 1 and ${MAX_HORIZON_DAYS}`),
+  body('routeId').optional().isMongoId().withMessage('Invalid route ID')
+], handleValidationErrors, backfillAvailability);
+router.post('/availability/archive', [
+  body('olderThanDays').optional().isInt({ min: 1 }).withMessage('Days must be a positive number')
+], handleValidationErrors, archiveAvailability);
+
+export default router;
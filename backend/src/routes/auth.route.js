@@ -7,7 +7,8 @@ import User from '../models/user.model.js';
 import authMiddleware from '../middleware/auth.middleware.js';
 const { generateToken, generateRefreshToken, protect } = authMiddleware;
 import { ApiResponse } from '../utils/apiResponse.js';
-import { sendSMS } from '../services/notificationService.js';
+import { sendSMS, sendEmail } from '../services/notificationService.js';
+import { renderMessage, SUPPORTED_LANGUAGES } from '../services/i18n/index.js';
 import { cacheService } from '../config/redis.js';
 import { info, error as _error } from '../utils/logger.js';
 import asyncHandler from 'express-async-handler';
@@ -34,6 +35,10 @@ const validateSendOTP = [
   body('phone')
     .matches(/^\+?[1-9]\d{1,14}$/)
     .withMessage('Please provide a valid phone number'),
+  body('language')
+    .optional()
+    .isIn(SUPPORTED_LANGUAGES)
+    .withMessage('Unsupported language'),
 ];
 
 const validateVerifyOTP = [
@@ -112,11 +117,12 @@ const sendOTP = async (req, res) => {
       attempts: 0
     }, 600); // 10 minutes
 
-    // Send OTP via SMS
-    const message = `Your Seat Selekta Pro verification code is: ${otp}. Valid for 10 minutes. Do not share this code with anyone.`;
+    // Send OTP via SMS, in the user's language when we know it
+    const language = existingUser?.preferences?.language || req.body.language;
+    const { subject, message } = renderMessage('otp', language, { otp, minutes: 10 });
     
     try {
-      await sendSMS(phone, message);
+      await sendSMS(phone, message, { purpose: 'otp' });
       info(`OTP sent to phone: ${phone}`);
     } catch (smsError) {
       _error('SMS sending failed:', smsError);
@@ -128,6 +134,19 @@ const sendOTP = async (req, res) => {
       }
     }
 
+    // Registered users with an email on file get the code there too
+    if (existingUser?.email && existingUser.preferences?.notifications?.email !== false) {
+      try {
+        await sendEmail(existingUser.email, subject, message, {
+          purpose: 'otp',
+          language,
+          data: { otp, expiresInMinutes: 10 }
+        });
+      } catch (emailError) {
+        _error('OTP email sending failed:', emailError);
+      }
+    }
+
     res.status(200).json(
       ApiResponse.success({
         message: 'OTP sent successfully',
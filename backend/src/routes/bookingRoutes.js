@@ -1,5 +1,5 @@
 import express from 'express';
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import asyncHandler from 'express-async-handler';
 
 import Booking from '../models/booking.model.js';
@@ -10,6 +10,10 @@ import authMiddleware from '../middleware/auth.middleware.js';
 const { protect, authorize } = authMiddleware;
 import { ApiResponse } from '../utils/apiResponse.js';
 import seatLockingService from '../services/seat-locking.service.js';
+import paymentService from '../services/payment.service.js';
+import bookingNotificationService from '../services/booking-notification.service.js';
+import cancellationPolicyService, { DEFAULT_CANCELLATION_RULES } from '../services/cancellation-policy.service.js';
+import bookingModificationService from '../services/booking-modification.service.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -31,7 +35,7 @@ const handleValidationErrors = (req, res, next) => {
  * @access  Private
  */
 const lockSeats = asyncHandler(async (req, res) => {
-  const { routeId, travelDate, seatNumbers } = req.body;
+  const { routeId, travelDate, departureId, seatNumbers, fromStop, toStop } = req.body;
   const userId = req.user._id;
 
   // Validate route exists and is active
@@ -42,11 +46,19 @@ const lockSeats = asyncHandler(async (req, res) => {
     );
   }
 
-  // Check if route is available on travel date
+  // Check if the departure runs on travel date
   const dateObj = new Date(travelDate);
-  if (!route.isAvailableOnDate(dateObj)) {
+  if (!route.isAvailableOnDate(dateObj, departureId)) {
     return res.status(400).json(
-      ApiResponse.error('Route not available on selected date', 400, 'ROUTE_NOT_AVAILABLE')
+      ApiResponse.error('Departure not available on selected date', 400, 'ROUTE_NOT_AVAILABLE')
+    );
+  }
+
+  // Stops the customer boards and leaves at - the whole route unless given
+  const journey = route.resolveJourney(fromStop, toStop);
+  if (!journey) {
+    return res.status(400).json(
+      ApiResponse.error('Invalid stops for this route', 400, 'INVALID_STOPS')
     );
   }
 
@@ -55,9 +67,11 @@ const lockSeats = asyncHandler(async (req, res) => {
     const lockResult = await seatLockingService.lockSeats(
       routeId,
       travelDate,
+      departureId,
       seatNumbers,
       userId,
-      15 // 15 minutes lock duration
+      15, // 15 minutes lock duration
+      journey
     );
 
     res.status(200).json(
@@ -65,6 +79,8 @@ const lockSeats = asyncHandler(async (req, res) => {
         ...lockResult,
         routeId,
         travelDate,
+        departureId,
+        journey,
         userId,
         lockDurationMinutes: 15
       }, 'Seats locked successfully')
@@ -86,10 +102,13 @@ const createBooking = asyncHandler(async (req, res) => {
   const { 
     routeId, 
     travelDate, 
+    departureId,
     passengers, 
     paymentMethod,
     pickupPoint,
-    dropPoint 
+    dropPoint,
+    fromStop,
+    toStop
   } = req.body;
   const userId = req.user._id;
 
@@ -101,10 +120,43 @@ const createBooking = asyncHandler(async (req, res) => {
     );
   }
 
+  // Times as the departure runs on that date, after any rescheduling
+  const departure = route.getDepartureOnDate(new Date(travelDate), departureId);
+  if (!departure) {
+    return res.status(404).json(
+      ApiResponse.error('Departure not found on selected date', 404, 'DEPARTURE_NOT_FOUND')
+    );
+  }
+
+  const journey = route.resolveJourney(fromStop, toStop);
+  if (!journey) {
+    return res.status(400).json(
+      ApiResponse.error('Invalid stops for this route', 400, 'INVALID_STOPS')
+    );
+  }
+  const stops = route.getStops();
+  const stopTimes = route.getStopTimes(departure, journey);
+
+  // Pickup and drop points must be ones the route serves for these stops
+  const pickup = route.getPickupPoints(journey).find(point => point.name === pickupPoint.name);
+  if (!pickup) {
+    return res.status(400).json(
+      ApiResponse.error('Pickup point does not belong to this route', 400, 'INVALID_PICKUP_POINT')
+    );
+  }
+  const drop = route.getDropPoints(journey).find(point => point.name === dropPoint.name);
+  if (!drop) {
+    return res.status(400).json(
+      ApiResponse.error('Drop point does not belong to this route', 400, 'INVALID_DROP_POINT')
+    );
+  }
+  const pointTimes = route.getPointTimes(departure, { pickupPoint: pickup, dropPoint: drop });
+
   // Get seat availability
   const availability = await SeatAvailability.findOne({
     routeId,
-    travelDate: new Date(travelDate)
+    travelDate: new Date(travelDate),
+    departureId: departure._id
   });
 
   if (!availability) {
@@ -115,12 +167,28 @@ const createBooking = asyncHandler(async (req, res) => {
 
   const seatNumbers = passengers.map(p => p.seatNumber);
 
-  try {
-    // Confirm seat locks (convert locked seats to booked)
-    // await availability.confirmBooking(seatNumbers, userId, null); // bookingId will be set after save
+  // Seats stay locked until payment succeeds, so they must still be held by this user
+  if (!availability.areSeatsLockedBy(seatNumbers, userId, journey)) {
+    return res.status(409).json(
+      ApiResponse.error('Seats are not locked by this user or the lock has expired', 409, 'SEATS_NOT_LOCKED')
+    );
+  }
+
+  // Every seat is priced here from the seat map, for the stops travelled - whatever fare the client sent is ignored
+  const pricedPassengers = [];
+  for (const passenger of passengers) {
+    const seat = availability.seatsAvailable.find(s => s.seatNumber === passenger.seatNumber);
+    if (!seat) {
+      return res.status(400).json(
+        ApiResponse.error(`Seat ${passenger.seatNumber} does not exist on this departure`, 400, 'INVALID_SEATS')
+      );
+    }
+    pricedPassengers.push({ ...passenger, fare: route.getJourneyPrice(seat.price, journey) });
+  }
 
+  try {
     // Calculate total amount
-    const totalAmount = passengers.reduce((sum, p) => sum + p.fare, 0);
+    const totalAmount = pricedPassengers.reduce((sum, p) => sum + p.fare, 0);
     const baseFare = totalAmount; // Simplified - no taxes for now
     
     // Create booking document
@@ -134,27 +202,35 @@ const createBooking = asyncHandler(async (req, res) => {
       route: {
         routeId,
         routeCode: route.routeCode,
-        origin: route.origin.city,
-        destination: route.destination.city,
+        origin: stops[journey.fromStop].city,
+        destination: stops[journey.toStop].city,
         operatorName: route.operator.name,
-        vehicleNumber: route.vehicle.vehicleNumber
+        vehicleNumber: route.vehicle.vehicleNumber,
+        timezone: route.timezone
       },
       journey: {
         travelDate: new Date(travelDate),
-        departureTime: route.schedule[0].departureTime, // Use first schedule
-        estimatedArrivalTime: route.schedule[0].arrivalTime,
+        departureId: departure._id,
+        fromStop: journey.fromStop,
+        toStop: journey.toStop,
+        departureTime: stopTimes.departureTime,
+        estimatedArrivalTime: stopTimes.arrivalTime,
         pickupPoint: {
-          name: pickupPoint.name,
-          address: pickupPoint.address,
-          coordinates: pickupPoint.coordinates
+          name: pickup.name,
+          address: pickup.address,
+          coordinates: pickup.coordinates,
+          offsetMinutes: pickup.offsetMinutes,
+          time: pointTimes.pickupTime
         },
         dropPoint: {
-          name: dropPoint.name,
-          address: dropPoint.address,
-          coordinates: dropPoint.coordinates
+          name: drop.name,
+          address: drop.address,
+          coordinates: drop.coordinates,
+          offsetMinutes: drop.offsetMinutes,
+          time: pointTimes.dropTime
         }
       },
-      passengers,
+      passengers: pricedPassengers,
       payment: {
         totalAmount,
         baseFare,
@@ -164,7 +240,12 @@ const createBooking = asyncHandler(async (req, res) => {
         paymentMethod,
         status: 'pending'
       },
-      status: 'confirmed', // Will be confirmed after payment
+      status: 'pending', // Confirmed by the payment service once the charge succeeds
+      // Later changes to the route's rules don't affect tickets already sold
+      policies: {
+        cancellation: cancellationPolicyService.snapshot(route),
+        modification: bookingModificationService.snapshot(route)
+      },
       metadata: {
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
@@ -175,19 +256,6 @@ const createBooking = asyncHandler(async (req, res) => {
     const booking = new Booking(bookingData);
     await booking.save();
 
-    // Update seat availability with booking ID
-    console.log('SEAT numbers, userId, bookingID: ', seatNumbers, " ", userId, " ", booking.bookingId);
-    await availability.confirmBooking(seatNumbers, userId, booking.bookingId);
-
-    // TODO: Integrate with payment gateway
-    // For now, mark payment as completed for development
-    booking.payment.status = 'completed';
-    booking.payment.paidAt = new Date();
-    await booking.save();
-
-    // Clear user's seat locks from cache
-    await seatLockingService.releaseSeats(routeId, travelDate, seatNumbers, userId);
-
     res.status(201).json(
       ApiResponse.success({
         booking: {
@@ -197,14 +265,19 @@ const createBooking = asyncHandler(async (req, res) => {
           passengers: booking.passengers.length,
           seatNumbers: booking.passengers.map(p => p.seatNumber),
           travelDate: booking.journey.travelDate,
+          departureId: booking.journey.departureId,
+          departureTime: booking.journey.departureTime,
+          pickupTime: booking.journey.pickupPoint.time,
+          dropTime: booking.journey.dropPoint.time,
           route: `${booking.route.origin} to ${booking.route.destination}`
         },
         payment: {
           status: booking.payment.status,
           paymentMethod: booking.payment.paymentMethod,
-          paidAt: booking.payment.paidAt
+          amount: booking.payment.totalAmount,
+          currency: booking.payment.currency
         }
-      }, 'Booking created successfully')
+      }, 'Booking created, awaiting payment')
     );
 
   } catch (error) {
@@ -296,6 +369,52 @@ const getMyBookings = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * @desc    Preview the refund for cancelling a booking now
+ * @route   GET /api/v1/bookings/:bookingId/cancellation-quote
+ * @access  Private
+ */
+const getCancellationQuote = asyncHandler(async (req, res) => {
+  const { bookingId } = req.params;
+
+  const booking = await Booking.findOne({ bookingId });
+
+  if (!booking) {
+    return res.status(404).json(
+      ApiResponse.error('Booking not found', 404, 'BOOKING_NOT_FOUND')
+    );
+  }
+
+  // Check ownership
+  if (booking.user.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json(
+      ApiResponse.error('Access denied', 403, 'ACCESS_DENIED')
+    );
+  }
+
+  const quotedAt = new Date();
+  const quote = booking.getCancellationQuote(quotedAt);
+
+  res.status(200).json(
+    ApiResponse.success({
+      bookingId: booking.bookingId,
+      allowed: quote.allowed,
+      reason: quote.reason,
+      totalAmount: booking.payment.totalAmount,
+      refundPercentage: quote.refundPercentage,
+      refundAmount: quote.refundAmount,
+      cancellationFee: quote.cancellationFee,
+      currency: booking.payment.currency,
+      hoursUntilDeparture: quote.hoursUntilDeparture,
+      appliedRule: quote.appliedRule,
+      rules: booking.policies?.cancellation?.rules?.length > 0
+        ? booking.policies.cancellation.rules
+        : DEFAULT_CANCELLATION_RULES,
+      quotedAt
+    }, 'Cancellation quote retrieved successfully')
+  );
+});
+
 /**
  * @desc    Cancel booking
  * @route   PUT /api/v1/bookings/:bookingId/cancel
@@ -303,7 +422,7 @@ const getMyBookings = asyncHandler(async (req, res) => {
  */
 const cancelBooking = asyncHandler(async (req, res) => {
   const { bookingId } = req.params;
-  const { reason } = req.body;
+  const { reason, refundTo = 'original' } = req.body;
 
   const booking = await Booking.findOne({ bookingId });
 
@@ -320,17 +439,23 @@ const cancelBooking = asyncHandler(async (req, res) => {
     );
   }
 
-  // Check if booking can be cancelled
-  const cancellationCheck = booking.canBeCancelled();
-  if (!cancellationCheck.allowed) {
+  // Check if booking can be cancelled under the policy snapshotted at purchase
+  const quote = booking.getCancellationQuote();
+  if (!quote.allowed) {
     return res.status(400).json(
-      ApiResponse.error(cancellationCheck.reason, 400, 'CANCELLATION_NOT_ALLOWED')
+      ApiResponse.error(quote.reason, 400, 'CANCELLATION_NOT_ALLOWED')
+    );
+  }
+
+  // Only one refund runs at a time - e.g. a passenger cancelled moments ago
+  if (paymentService.hasRefundInProgress(booking)) {
+    return res.status(409).json(
+      ApiResponse.error('A previous refund for this booking is still in progress, please try again later', 409, 'REFUND_IN_PROGRESS')
     );
   }
 
   try {
-    // Calculate refund
-    const { refundAmount, cancellationFee } = booking.calculateCancellationFee();
+    const { refundAmount, cancellationFee } = quote;
 
     // Update booking status
     booking.status = 'cancelled';
@@ -341,25 +466,27 @@ const cancelBooking = asyncHandler(async (req, res) => {
       refundAmount,
       cancellationFee
     };
-    booking.payment.refundDetails = {
-      amount: refundAmount,
-      processedAt: new Date(),
-      status: 'completed' // TODO: Integrate with payment gateway
-    };
+
+    if (booking.hasPendingDisruption()) {
+      booking.disruption.resolution = 'refunded';
+      booking.disruption.resolvedAt = new Date();
+    }
 
     await booking.save();
 
     // Release seats in availability
-    const availability = await SeatAvailability.findOne({
-      routeId: booking.route.routeId,
-      travelDate: booking.journey.travelDate
-    });
+    const availability = await SeatAvailability.findForBooking(booking);
 
     if (availability) {
       await availability.cancelBooking(booking.bookingId);
     }
 
-    // TODO: Process actual refund via payment gateway
+    // Failed refunds are picked up again by the refund retry job
+    const refunded = await paymentService.refundBooking(booking, refundAmount, reason || 'user-request', {
+      destination: refundTo
+    });
+
+    await bookingNotificationService.sendCancellation(refunded);
 
     res.status(200).json(
       ApiResponse.success({
@@ -367,7 +494,8 @@ const cancelBooking = asyncHandler(async (req, res) => {
         status: booking.status,
         refundAmount,
         cancellationFee,
-        refundStatus: 'completed'
+        refundStatus: refunded.payment.refundDetails?.status || null,
+        refundTo: refunded.payment.refundDetails?.destination || null
       }, 'Booking cancelled successfully')
     );
 
@@ -379,6 +507,242 @@ const cancelBooking = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Cancel one passenger of a booking
+ * @route   PUT /api/v1/bookings/:bookingId/passengers/:seatNumber/cancel
+ * @access  Private
+ */
+const cancelPassenger = asyncHandler(async (req, res) => {
+  const { bookingId, seatNumber } = req.params;
+  const { reason, refundTo = 'original' } = req.body;
+
+  const booking = await Booking.findOne({ bookingId });
+
+  if (!booking) {
+    return res.status(404).json(
+      ApiResponse.error('Booking not found', 404, 'BOOKING_NOT_FOUND')
+    );
+  }
+
+  // Check ownership
+  if (booking.user.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json(
+      ApiResponse.error('Access denied', 403, 'ACCESS_DENIED')
+    );
+  }
+
+  const passenger = booking.passengers.find(p => p.seatNumber === seatNumber);
+  if (!passenger) {
+    return res.status(404).json(
+      ApiResponse.error('Passenger not found on this booking', 404, 'PASSENGER_NOT_FOUND')
+    );
+  }
+
+  if (booking.passengers.length === 1) {
+    return res.status(400).json(
+      ApiResponse.error('This is the only passenger - cancel the whole booking instead', 400, 'LAST_PASSENGER')
+    );
+  }
+
+  const quote = booking.getCancellationQuote();
+  if (!quote.allowed) {
+    return res.status(400).json(
+      ApiResponse.error(quote.reason, 400, 'CANCELLATION_NOT_ALLOWED')
+    );
+  }
+
+  // Checked before anything changes, so the refund can't be turned down once the passenger is gone
+  if (!paymentService.isRefundable(booking)) {
+    return res.status(400).json(
+      ApiResponse.error(`Cannot refund a payment that is ${booking.payment.status}`, 400, 'PAYMENT_NOT_REFUNDABLE')
+    );
+  }
+
+  if (paymentService.hasRefundInProgress(booking)) {
+    return res.status(409).json(
+      ApiResponse.error('A previous refund for this booking is still in progress, please try again later', 409, 'REFUND_IN_PROGRESS')
+    );
+  }
+
+  try {
+    // The policy's refund percentage applies to this passenger's fare only
+    const refundAmount = Math.round((passenger.fare * quote.refundPercentage) / 100);
+    const cancellationFee = passenger.fare - refundAmount;
+
+    // The booking lets go of the passenger and records the refund before the seat is freed: if freeing it
+    // fails, the seat stays booked to nobody rather than being sold while the booking still holds it
+    booking.modifications.push({
+      modifiedAt: new Date(),
+      modifiedBy: req.user._id,
+      changes: {
+        field: 'passengers',
+        oldValue: { name: passenger.name, seatNumber, fare: passenger.fare },
+        newValue: null
+      },
+      reason: reason || 'user-request'
+    });
+    await booking.removePassenger(seatNumber);
+
+    // Failed refunds are picked up again by the refund retry job
+    const refunded = await paymentService.refundBooking(booking, refundAmount, reason || 'passenger-cancellation', {
+      destination: refundTo
+    });
+
+    try {
+      const availability = await SeatAvailability.findForBooking(booking);
+
+      if (availability) {
+        await availability.cancelBooking(booking.bookingId, [seatNumber]);
+      }
+    } catch (error) {
+      logger.error(`Failed to free seat ${seatNumber} of booking ${booking.bookingId} after cancelling its passenger:`, error);
+    }
+
+    res.status(200).json(
+      ApiResponse.success({
+        bookingId: booking.bookingId,
+        seatNumber,
+        remainingSeats: booking.passengers.map(p => p.seatNumber),
+        totalAmount: booking.payment.totalAmount,
+        refundAmount,
+        cancellationFee,
+        refundStatus: refunded.payment.refundDetails?.status || null,
+        refundTo: refunded.payment.refundDetails?.destination || null
+      }, 'Passenger cancelled successfully')
+    );
+
+  } catch (error) {
+    logger.error('Cancel passenger error:', error);
+    res.status(500).json(
+      ApiResponse.error('Failed to cancel passenger', 500, 'PASSENGER_CANCELLATION_FAILED')
+    );
+  }
+});
+
+// Shape of a modification quote in API responses
+const modificationSummary = quote => ({
+  travelDate: quote.travelDate,
+  departureId: quote.departureId,
+  departureTime: quote.departureTime,
+  seatChanges: quote.seatChanges,
+  fareDifference: quote.fareDifference,
+  modificationFee: quote.modificationFee,
+  waivedAmount: quote.waivedAmount,
+  amountDue: quote.amountDue
+});
+
+// Status codes for rejected modifications
+const MODIFICATION_ERROR_STATUS = {
+  ROUTE_NOT_FOUND: 404,
+  DEPARTURE_NOT_FOUND: 404,
+  AVAILABILITY_NOT_FOUND: 404,
+  SEATS_NOT_LOCKED: 409,
+  REFUND_IN_PROGRESS: 409,
+  MODIFICATION_IN_PROGRESS: 409,
+  PAYMENT_FAILED: 402
+};
+
+// Load a booking for a modification request, replying with the error if it can't be modified by this user
+const findBookingForUser = async (req, res) => {
+  const booking = await Booking.findOne({ bookingId: req.params.bookingId });
+
+  if (!booking) {
+    res.status(404).json(
+      ApiResponse.error('Booking not found', 404, 'BOOKING_NOT_FOUND')
+    );
+    return null;
+  }
+
+  // Check ownership
+  if (booking.user.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json(
+      ApiResponse.error('Access denied', 403, 'ACCESS_DENIED')
+    );
+    return null;
+  }
+
+  return booking;
+};
+
+/**
+ * @desc    Preview the cost of changing a booking's date, departure or seats
+ * @route   GET /api/v1/bookings/:bookingId/modification-quote
+ * @access  Private
+ */
+const getModificationQuote = asyncHandler(async (req, res) => {
+  const booking = await findBookingForUser(req, res);
+  if (!booking) return;
+
+  const { travelDate, departureId, seatNumbers } = req.query;
+  const quote = await bookingModificationService.quote(booking, {
+    travelDate,
+    departureId,
+    seatNumbers: seatNumbers ? seatNumbers.split(',').map(seat => seat.trim()) : undefined
+  }, { userId: req.user._id });
+
+  if (!quote.allowed) {
+    return res.status(MODIFICATION_ERROR_STATUS[quote.code] || 400).json(
+      ApiResponse.error(quote.reason, MODIFICATION_ERROR_STATUS[quote.code] || 400, quote.code)
+    );
+  }
+
+  res.status(200).json(
+    ApiResponse.success({
+      bookingId: booking.bookingId,
+      ...modificationSummary(quote),
+      currency: booking.payment.currency,
+      seatsToLock: quote.claimSeats,
+      seatsLocked: quote.seatsLocked
+    }, 'Modification quote retrieved successfully')
+  );
+});
+
+/**
+ * @desc    Change a booking's date, departure or seats
+ * @route   PUT /api/v1/bookings/:bookingId/modify
+ * @access  Private
+ */
+const modifyBooking = asyncHandler(async (req, res) => {
+  const booking = await findBookingForUser(req, res);
+  if (!booking) return;
+
+  const { travelDate, departureId, seatNumbers, paymentMethodId, refundTo = 'original' } = req.body;
+
+  try {
+    const result = await bookingModificationService.modify(booking, { travelDate, departureId, seatNumbers }, {
+      userId: req.user._id,
+      paymentMethodId,
+      refundTo
+    });
+
+    if (result.status !== 'modified') {
+      const statusCode = MODIFICATION_ERROR_STATUS[result.code] || 400;
+      return res.status(statusCode).json(
+        ApiResponse.error(result.reason, statusCode, result.code)
+      );
+    }
+
+    const updated = result.booking;
+    res.status(200).json(
+      ApiResponse.success({
+        bookingId: updated.bookingId,
+        status: updated.status,
+        ...modificationSummary(result.quote),
+        seatNumbers: updated.seatNumbers,
+        totalAmount: updated.payment.totalAmount,
+        currency: updated.payment.currency,
+        refundStatus: result.quote.amountDue < 0 ? updated.payment.refundDetails?.status || null : null
+      }, 'Booking modified successfully')
+    );
+
+  } catch (error) {
+    logger.error('Modify booking error:', error);
+    res.status(500).json(
+      ApiResponse.error(error.message || 'Failed to modify booking', 500, 'MODIFICATION_FAILED')
+    );
+  }
+});
+
 /**
  * @desc    Extend seat lock
  * @route   PUT /api/v1/bookings/extend-lock
@@ -408,13 +772,14 @@ const extendLock = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const releaseLocks = asyncHandler(async (req, res) => {
-  const { routeId, travelDate, seatNumbers } = req.body;
+  const { routeId, travelDate, departureId, seatNumbers } = req.body;
   const userId = req.user._id;
 
   try {
     const result = await seatLockingService.releaseSeats(
       routeId,
       travelDate,
+      departureId,
       seatNumbers,
       userId
     );
@@ -434,24 +799,30 @@ const releaseLocks = asyncHandler(async (req, res) => {
 const validateLockSeats = [
   body('routeId').isMongoId().withMessage('Invalid route ID'),
   body('travelDate').isISO8601().withMessage('Invalid travel date'),
-  body('seatNumbers').isArray({ min: 1 }).withMessage('At least one seat number required'),
-  body('seatNumbers.*').notEmpty().withMessage('Seat number cannot be empty')
+  body('departureId').isMongoId().withMessage('Invalid departure ID'),
+  body('seatNumbers').isArray({ min: 1 }).withMessage('At least one seat number required')
+    .customSanitizer(seatNumbers => [...new Set(seatNumbers)]),
+  body('seatNumbers.*').notEmpty().withMessage('Seat number cannot be empty'),
+  body('fromStop').optional().isInt({ min: 0 }).withMessage('Invalid boarding stop').toInt(),
+  body('toStop').optional().isInt({ min: 1 }).withMessage('Invalid alighting stop').toInt()
 ];
 
 const validateCreateBooking = [
   body('routeId').isMongoId().withMessage('Invalid route ID'),
   body('travelDate').isISO8601().withMessage('Invalid travel date'),
+  body('departureId').isMongoId().withMessage('Invalid departure ID'),
   body('passengers').isArray({ min: 1 }).withMessage('At least one passenger required'),
   body('passengers.*.name').notEmpty().withMessage('Passenger name required'),
   body('passengers.*.age').isInt({ min: 1, max: 120 }).withMessage('Valid age required'),
   body('passengers.*.gender').isIn(['male', 'female', 'other']).withMessage('Valid gender required'),
   body('passengers.*.seatNumber').notEmpty().withMessage('Seat number required'),
-  body('passengers.*.fare').isNumeric().withMessage('Valid fare required'),
   body('paymentMethod').isIn(['card', 'wallet', 'upi', 'netbanking']).withMessage('Valid payment method required'),
   body('pickupPoint.name').notEmpty().withMessage('Pickup point name required'),
   body('pickupPoint.address').notEmpty().withMessage('Pickup point address required'),
   body('dropPoint.name').notEmpty().withMessage('Drop point name required'),
-  body('dropPoint.address').notEmpty().withMessage('Drop point address required')
+  body('dropPoint.address').notEmpty().withMessage('Drop point address required'),
+  body('fromStop').optional().isInt({ min: 0 }).withMessage('Invalid boarding stop').toInt(),
+  body('toStop').optional().isInt({ min: 1 }).withMessage('Invalid alighting stop').toInt()
 ];
 
 // Routes
@@ -459,11 +830,36 @@ router.post('/lock', protect, validateLockSeats, handleValidationErrors, lockSea
 router.post('/', protect, validateCreateBooking, handleValidationErrors, createBooking);
 router.get('/mine', protect, getMyBookings);
 router.get('/:bookingId', protect, getBooking);
+router.get('/:bookingId/cancellation-quote', protect, getCancellationQuote);
 router.put('/:bookingId/cancel', protect, [
   param('bookingId').notEmpty().withMessage('Booking ID required'),
-  body('reason').optional().isLength({ max: 200 }).withMessage('Reason too long')
+  body('reason').optional().isLength({ max: 200 }).withMessage('Reason too long'),
+  body('refundTo').optional().isIn(['original', 'wallet']).withMessage('Refund destination must be original or wallet')
 ], handleValidationErrors, cancelBooking);
+router.get('/:bookingId/modification-quote', protect, [
+  query('travelDate').optional().isISO8601().withMessage('Invalid travel date'),
+  query('departureId').optional().isMongoId().withMessage('Invalid departure ID')
+], handleValidationErrors, getModificationQuote);
+router.put('/:bookingId/modify', protect, [
+  param('bookingId').notEmpty().withMessage('Booking ID required'),
+  body('travelDate').optional().isISO8601().withMessage('Invalid travel date'),
+  body('departureId').optional().isMongoId().withMessage('Invalid departure ID'),
+  body('seatNumbers').optional().isArray({ min: 1 }).withMessage('Seat numbers must be a list'),
+  body('seatNumbers.*').optional().notEmpty().withMessage('Seat number cannot be empty'),
+  body('refundTo').optional().isIn(['original', 'wallet']).withMessage('Refund destination must be original or wallet')
+], handleValidationErrors, modifyBooking);
+router.put('/:bookingId/passengers/:seatNumber/cancel', protect, [
+  param('bookingId').notEmpty().withMessage('Booking ID required'),
+  param('seatNumber').notEmpty().withMessage('Seat number required'),
+  body('reason').optional().isLength({ max: 200 }).withMessage('Reason too long'),
+  body('refundTo').optional().isIn(['original', 'wallet']).withMessage('Refund destination must be original or wallet')
+], handleValidationErrors, cancelPassenger);
 router.put('/extend-lock', protect, extendLock);
-router.delete('/lock', protect, releaseLocks);
+router.delete('/lock', protect, [
+  body('routeId').isMongoId().withMessage('Invalid route ID'),
+  body('travelDate').isISO8601().withMessage('Invalid travel date'),
+  body('departureId').isMongoId().withMessage('Invalid departure ID'),
+  body('seatNumbers').isArray({ min: 1 }).withMessage('At least one seat number required')
+], handleValidationErrors, releaseLocks);
 
 export default router;
\ No newline at end of file
@@ -1,15 +1,93 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import Route from '../models/circuit.model.js';
-import SeatAvailability from '../models/seat.model.js';
+import SeatAvailability, { seatsForJourney, summarizeSeats } from '../models/seat.model.js';
 import authMiddleware from '../middleware/auth.middleware.js';
 const { protect, authorize, verifyRouteOwnership } = authMiddleware;
 import { ApiResponse } from '../utils/apiResponse.js';
 import { cacheService } from '../config/redis.js';
+import scheduleExceptionService from '../services/schedule-exception.service.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Seat counts for a departure nobody has booked yet
+const emptySummary = route => ({
+  totalSeats: route.seating.totalSeats,
+  availableCount: route.seating.totalSeats,
+  lockedCount: 0,
+  bookedCount: 0,
+  blockedCount: 0
+});
+
+// Seat counts for one journey - on a route with stops the stored summary counts seat-segments
+const journeySummary = (route, availability, journey) => {
+  if (!availability) return emptySummary(route);
+  return (availability.segmentCount || 1) > 1
+    ? summarizeSeats(seatsForJourney(availability, journey))
+    : availability.summary;
+};
+
+// What departure lists read from seat availability - seat statuses only matter on routes with stops
+const SUMMARY_PROJECTION = {
+  departureId: 1,
+  summary: 1,
+  segmentCount: 1,
+  'seatsAvailable.seatNumber': 1,
+  'seatsAvailable.segment': 1,
+  'seatsAvailable.status': 1
+};
+
+// Shape of a departure in API responses, timed at the journey's stops when given
+const departureSummary = (departure, summary, stopTimes = departure) => ({
+  departureId: departure._id,
+  departureTime: stopTimes.departureTime,
+  arrivalTime: stopTimes.arrivalTime,
+  duration: departure.duration,
+  extra: departure.extra,
+  rescheduled: departure.rescheduled,
+  seatAvailability: summary
+});
+
+// Operators may only manage their own routes
+const canManageRoute = (route, user) =>
+  user.role === 'admin' || route.operator.operatorId.toString() === user._id.toString();
+
+// Enough of a route to work out the stops a search matches on it
+const JOURNEY_FIELDS = 'origin destination stops pricing.segmentFares';
+
+// Case-insensitive match on part of a city name, taking the search text literally
+const cityPattern = city => new RegExp(String(city).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+// Stops a search's origin and destination match on a route - the first stop matching the origin, the last
+// matching the destination after it. Null if the route doesn't run from one to the other.
+const findJourney = (route, origin, destination) => {
+  const stops = route.getStops();
+  const matches = (stop, city) => cityPattern(city).test(stop.city);
+
+  const fromStop = origin ? stops.findIndex(stop => matches(stop, origin)) : 0;
+  if (fromStop === -1) return null;
+
+  const toStop = destination
+    ? stops.findLastIndex(stop => stop.index > fromStop && matches(stop, destination))
+    : stops.length - 1;
+  if (toStop <= fromStop) return null;
+
+  return {
+    fromStop,
+    toStop,
+    origin: stops[fromStop].city,
+    destination: stops[toStop].city,
+    fareShare: route.getFareShare({ fromStop, toStop })
+  };
+};
+
+const EXCEPTION_ERROR_STATUS = {
+  DEPARTURE_NOT_FOUND: 404,
+  EXCEPTION_NOT_FOUND: 404,
+  DUPLICATE_EXCEPTION: 409
+};
+
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -45,12 +123,21 @@ const searchRoutes = async (req, res) => {
     // Build search query
     const searchQuery = { status: 'active' };
 
+    // Either end of a journey may be a stop along the way
+    const conditions = [];
+
     if (origin) {
-      searchQuery['origin.city'] = { $regex: origin, $options: 'i' };
+      conditions.push({ $or: [
+        { 'origin.city': cityPattern(origin) },
+        { 'stops.city': cityPattern(origin) }
+      ] });
     }
 
     if (destination) {
-      searchQuery['destination.city'] = { $regex: destination, $options: 'i' };
+      conditions.push({ $or: [
+        { 'destination.city': cityPattern(destination) },
+        { 'stops.city': cityPattern(destination) }
+      ] });
     }
 
     if (vehicleType) {
@@ -71,8 +158,15 @@ const searchRoutes = async (req, res) => {
     // Check route availability for specific travel date
     if (travelDate) {
       const dateObj = new Date(travelDate);
-      searchQuery['schedule.validFrom'] = { $lte: dateObj };
-      searchQuery['schedule.validUntil'] = { $gte: dateObj };
+      conditions.push({ $or: [
+        { 'schedule.validFrom': { $lte: dateObj }, 'schedule.validUntil': { $gte: dateObj } },
+        // Extra runs may fall outside the regular schedule
+        { scheduleExceptions: { $elemMatch: { type: 'added', date: dateObj } } }
+      ] });
+    }
+
+    if (conditions.length > 0) {
+      searchQuery.$and = conditions;
     }
 
     // Build sort object
@@ -92,37 +186,78 @@ const searchRoutes = async (req, res) => {
     let result = await cacheService.get(cacheKey);
 
     if (!result) {
-      const routes = await Route.find(searchQuery)
-        .populate('operator.operatorId', 'firstName lastName profileImage rating')
-        .sort(sortObj)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean();
+      let routes;
+      let totalRoutes;
+
+      if (origin || destination) {
+        // Work out which stops each route is boarded and left at; a route that reaches the destination
+        // before the origin can't carry the journey. The query can't check stop order, so every
+        // candidate is matched before paginating, and only the page's routes are loaded in full.
+        const candidates = await Route.find(searchQuery)
+          .select(JOURNEY_FIELDS)
+          .sort(sortObj)
+          .lean();
+
+        const journeys = candidates
+          .map(candidate => ({ routeId: candidate._id, journey: findJourney(Route.hydrate(candidate), origin, destination) }))
+          .filter(({ journey }) => journey !== null);
+        totalRoutes = journeys.length;
+
+        const pageJourneys = journeys.slice(skip, skip + parseInt(limit));
+        const pageRoutes = await Route.find({ _id: { $in: pageJourneys.map(({ routeId }) => routeId) } })
+          .populate('operator.operatorId', 'firstName lastName profileImage rating')
+          .lean();
+
+        routes = pageJourneys
+          .map(({ routeId, journey }) => {
+            const route = pageRoutes.find(candidate => candidate._id.equals(routeId));
+            return route && { ...route, journey };
+          })
+          .filter(Boolean);
+      } else {
+        routes = await Route.find(searchQuery)
+          .populate('operator.operatorId', 'firstName lastName profileImage rating')
+          .sort(sortObj)
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean();
+        totalRoutes = await Route.countDocuments(searchQuery);
 
-      const totalRoutes = await Route.countDocuments(searchQuery);
+        routes.forEach(route => {
+          route.journey = findJourney(Route.hydrate(route), origin, destination);
+        });
+      }
 
-      // Get seat availability for each route if travel date is provided
+      // List each route's departures on the travel date with their seat availability
       if (travelDate && routes.length > 0) {
+        const dateObj = new Date(travelDate);
         const routeIds = routes.map(route => route._id);
         const availabilities = await SeatAvailability.find({
           routeId: { $in: routeIds },
-          travelDate: new Date(travelDate)
-        }).lean();
+          travelDate: dateObj
+        }, SUMMARY_PROJECTION).lean();
 
-        // Map availability data to routes
+        // Map availability data to departures
         const availabilityMap = {};
         availabilities.forEach(avail => {
-          availabilityMap[avail.routeId.toString()] = avail.summary;
+          availabilityMap[avail.departureId.toString()] = avail;
         });
 
         routes.forEach(route => {
-          route.seatAvailability = availabilityMap[route._id.toString()] || {
-            totalSeats: route.seating.totalSeats,
-            availableCount: route.seating.totalSeats,
-            lockedCount: 0,
-            bookedCount: 0,
-            blockedCount: 0
-          };
+          const hydrated = Route.hydrate(route);
+          route.departures = hydrated.getDeparturesOnDate(dateObj).map(departure =>
+            departureSummary(
+              departure,
+              journeySummary(route, availabilityMap[departure._id.toString()], route.journey),
+              hydrated.getStopTimes(departure, route.journey)
+            )
+          );
+
+          // Totals across the day's departures
+          route.seatAvailability = route.departures.reduce((total, { seatAvailability }) => {
+            Object.keys(total).forEach(counter => { total[counter] += seatAvailability[counter] || 0; });
+            return total;
+          }, { totalSeats: 0, availableCount: 0, lockedCount: 0, bookedCount: 0, blockedCount: 0 });
         });
       }
 
@@ -196,14 +331,72 @@ const getRoute = async (req, res) => {
 };
 
 /**
- * @desc    Get seat availability for a route and date
+ * @desc    List a route's departures on a date
+ * @route   GET /api/v1/routes/:id/departures
+ * @access  Public
+ */
+const getDepartures = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { travelDate, fromStop, toStop } = req.query;
+
+    const route = await Route.findById(id);
+    if (!route) {
+      return res.status(404).json(
+        ApiResponse.error('Route not found', 404, 'ROUTE_NOT_FOUND')
+      );
+    }
+
+    if (route.status !== 'active') {
+      return res.status(403).json(
+        ApiResponse.error('Route is not available', 403, 'ROUTE_INACTIVE')
+      );
+    }
+
+    const journey = route.resolveJourney(fromStop, toStop);
+    if (!journey) {
+      return res.status(400).json(
+        ApiResponse.error('Invalid stops for this route', 400, 'INVALID_STOPS')
+      );
+    }
+
+    const dateObj = new Date(travelDate);
+    const departures = route.getDeparturesOnDate(dateObj);
+
+    const availabilities = await SeatAvailability.find(
+      { routeId: id, travelDate: dateObj },
+      SUMMARY_PROJECTION
+    ).lean();
+
+    res.status(200).json(
+      ApiResponse.success({
+        routeId: id,
+        travelDate: dateObj,
+        stops: route.getStops(),
+        journey,
+        departures: departures.map(departure => {
+          const availability = availabilities.find(a => a.departureId.equals(departure._id));
+          return departureSummary(departure, journeySummary(route, availability, journey), route.getStopTimes(departure, journey));
+        })
+      }, 'Departures retrieved successfully')
+    );
+  } catch (error) {
+    logger.error('Get departures error:', error);
+    res.status(500).json(
+      ApiResponse.error('Server error while fetching departures', 500, 'SERVER_ERROR')
+    );
+  }
+};
+
+/**
+ * @desc    Get seat availability for a departure
  * @route   GET /api/v1/routes/:id/availability
  * @access  Public
  */
 const getSeatAvailability = async (req, res) => {
   try {
     const { id } = req.params;
-    const { travelDate } = req.query;
+    const { travelDate, departureId, fromStop, toStop } = req.query;
 
     if (!travelDate) {
       return res.status(400).json(
@@ -226,33 +419,52 @@ const getSeatAvailability = async (req, res) => {
 
     const dateObj = new Date(travelDate);
     
-    // Check if route is available on this date
-    if (!route.isAvailableOnDate(dateObj)) {
+    // Check if the departure runs on this date
+    if (!route.isAvailableOnDate(dateObj, departureId)) {
+      return res.status(400).json(
+        ApiResponse.error('Departure is not available on the selected date', 400, 'ROUTE_NOT_AVAILABLE_ON_DATE')
+      );
+    }
+
+    const journey = route.resolveJourney(fromStop, toStop);
+    if (!journey) {
       return res.status(400).json(
-        ApiResponse.error('Route is not available on the selected date', 400, 'ROUTE_NOT_AVAILABLE_ON_DATE')
+        ApiResponse.error('Invalid stops for this route', 400, 'INVALID_STOPS')
       );
     }
 
-    // Get or create seat availability
-    let availability = await SeatAvailability.findOne({
+    const departure = route.getDepartureOnDate(dateObj, departureId);
+    const stopTimes = route.getStopTimes(departure, journey);
+
+    // Departures are pre-generated up to the availability horizon. Past it, show the route's
+    // seat map unsaved - the first seat lock creates the departure.
+    const availability = await SeatAvailability.findOne({
       routeId: id,
-      travelDate: dateObj
-    });
+      travelDate: dateObj,
+      departureId: departure._id
+    }).lean() || SeatAvailability.buildForRoute(id, dateObj, route, departure).toObject();
 
-    if (!availability) {
-      availability = await SeatAvailability.initializeForRoute(id, dateObj, route);
-    }
+    // Seats as this journey sees them, priced for the stretch travelled
+    const seatsAvailable = seatsForJourney(availability, journey).map(seat => ({
+      ...seat,
+      price: route.getJourneyPrice(seat.price, journey)
+    }));
 
     // Cache the availability data
-    const cacheKey = `availability:${id}:${travelDate}`;
+    const cacheKey = `availability:${id}:${travelDate}:${departureId}`;
     await cacheService.set(cacheKey, availability, 300); // 5 minutes
 
     res.status(200).json(
       ApiResponse.success({
         routeId: id,
         travelDate: dateObj,
-        seatsAvailable: availability.seatsAvailable,
-        summary: availability.summary,
+        departureId: departure._id,
+        departureTime: stopTimes.departureTime,
+        arrivalTime: stopTimes.arrivalTime,
+        stops: route.getStops(),
+        journey,
+        seatsAvailable,
+        summary: journeySummary(route, availability, journey),
         seatLayout: {
           layout: route.seating.layout,
           totalSeats: route.seating.totalSeats,
@@ -458,6 +670,167 @@ const getMyRoutes = async (req, res) => {
   }
 };
 
+/**
+ * @desc    List a route's upcoming schedule exceptions
+ * @route   GET /api/v1/routes/:id/exceptions
+ * @access  Private (Operator/Admin)
+ */
+const getScheduleExceptions = async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id);
+    if (!route) {
+      return res.status(404).json(
+        ApiResponse.error('Route not found', 404, 'ROUTE_NOT_FOUND')
+      );
+    }
+
+    if (!canManageRoute(route, req.user)) {
+      return res.status(403).json(
+        ApiResponse.error('Not authorized to manage this route', 403, 'ACCESS_DENIED')
+      );
+    }
+
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const exceptions = route.scheduleExceptions
+      .filter(exception => exception.date >= today)
+      .sort((a, b) => a.date - b.date);
+
+    res.status(200).json(
+      ApiResponse.success({ routeId: route._id, exceptions }, 'Schedule exceptions retrieved successfully')
+    );
+  } catch (error) {
+    logger.error('Get schedule exceptions error:', error);
+    res.status(500).json(
+      ApiResponse.error('Server error while fetching schedule exceptions', 500, 'SERVER_ERROR')
+    );
+  }
+};
+
+/**
+ * @desc    Cancel a date or departure, add an extra run or change a departure's times
+ * @route   POST /api/v1/routes/:id/exceptions
+ * @access  Private (Operator/Admin)
+ */
+const addScheduleException = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const route = await Route.findById(id);
+    if (!route) {
+      return res.status(404).json(
+        ApiResponse.error('Route not found', 404, 'ROUTE_NOT_FOUND')
+      );
+    }
+
+    if (!canManageRoute(route, req.user)) {
+      return res.status(403).json(
+        ApiResponse.error('Not authorized to manage this route', 403, 'ACCESS_DENIED')
+      );
+    }
+
+    const { date, type, departureId, departureTime, arrivalTime, duration, reason } = req.body;
+    const result = await scheduleExceptionService.addException(
+      route,
+      { date, type, departureId, departureTime, arrivalTime, duration, reason },
+      req.user._id
+    );
+
+    if (result.status === 'rejected') {
+      const status = EXCEPTION_ERROR_STATUS[result.code] || 400;
+      return res.status(status).json(
+        ApiResponse.error(result.reason, status, result.code)
+      );
+    }
+
+    // Search results and seat maps list the date's departures
+    await cacheService.delPattern(`routes:search:*`);
+    await cacheService.delPattern(`availability:${id}:*`);
+
+    res.status(201).json(
+      ApiResponse.success({
+        exception: result.exception,
+        departures: result.departures,
+        impact: result.impact
+      }, 'Schedule exception added successfully')
+    );
+  } catch (error) {
+    logger.error('Add schedule exception error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json(
+        ApiResponse.error('Validation failed', 400, 'VALIDATION_ERROR', Object.values(error.errors).map(e => e.message))
+      );
+    }
+
+    res.status(500).json(
+      ApiResponse.error('Server error while adding schedule exception', 500, 'SERVER_ERROR')
+    );
+  }
+};
+
+/**
+ * @desc    Remove a schedule exception, restoring the regular schedule for that date
+ * @route   DELETE /api/v1/routes/:id/exceptions/:exceptionId
+ * @access  Private (Operator/Admin)
+ */
+const removeScheduleException = async (req, res) => {
+  try {
+    const { id, exceptionId } = req.params;
+
+    const route = await Route.findById(id);
+    if (!route) {
+      return res.status(404).json(
+        ApiResponse.error('Route not found', 404, 'ROUTE_NOT_FOUND')
+      );
+    }
+
+    if (!canManageRoute(route, req.user)) {
+      return res.status(403).json(
+        ApiResponse.error('Not authorized to manage this route', 403, 'ACCESS_DENIED')
+      );
+    }
+
+    const result = await scheduleExceptionService.removeException(route, exceptionId);
+
+    if (result.status === 'rejected') {
+      const status = EXCEPTION_ERROR_STATUS[result.code] || 400;
+      return res.status(status).json(
+        ApiResponse.error(result.reason, status, result.code)
+      );
+    }
+
+    await cacheService.delPattern(`routes:search:*`);
+    await cacheService.delPattern(`availability:${id}:*`);
+
+    res.status(200).json(
+      ApiResponse.success({
+        exception: result.exception,
+        departures: result.departures,
+        impact: result.impact
+      }, 'Schedule exception removed successfully')
+    );
+  } catch (error) {
+    logger.error('Remove schedule exception error:', error);
+    res.status(500).json(
+      ApiResponse.error('Server error while removing schedule exception', 500, 'SERVER_ERROR')
+    );
+  }
+};
+
+// Validation middleware for schedule exceptions
+const validateScheduleException = [
+  param('id').isMongoId().withMessage('Invalid route ID'),
+  body('date').isISO8601().withMessage('Invalid date format'),
+  body('type').isIn(['cancelled', 'added', 'rescheduled']).withMessage('Type must be cancelled, added or rescheduled'),
+  body('departureId')
+    .if(body('type').equals('rescheduled')).notEmpty().withMessage('Departure ID is required to reschedule a departure'),
+  body('departureId').optional().isMongoId().withMessage('Invalid departure ID'),
+  body('departureTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Departure time must be in HH:MM format'),
+  body('arrivalTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Arrival time must be in HH:MM format'),
+  body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be a positive number of minutes').toInt(),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+];
+
 // Validation middleware for route creation
 const validateCreateRoute = [
   body('routeCode').optional().matches(/^[A-Z0-9-]+$/).withMessage('Route code must contain only uppercase letters, numbers, and hyphens'),
@@ -465,21 +838,48 @@ const validateCreateRoute = [
   body('origin.location').notEmpty().withMessage('Origin location is required'),
   body('destination.city').notEmpty().withMessage('Destination city is required'),
   body('destination.location').notEmpty().withMessage('Destination location is required'),
+  body('origin.pickupPoints.*.offsetMinutes').optional().isInt({ min: 0 }).withMessage('Pickup offset must be a number of minutes'),
+  body('destination.dropPoints.*.offsetMinutes').optional().isInt({ min: 0 }).withMessage('Drop offset must be a number of minutes'),
   body('vehicle.vehicleType').isIn(['ertiga-cab']).withMessage('Invalid vehicle type'),
   body('vehicle.vehicleNumber').notEmpty().withMessage('Vehicle number is required'),
   body('seating.totalSeats').isInt({ min: 1 }).withMessage('Total seats must be at least 1'),
-  body('pricing.baseFare').isNumeric().withMessage('Base fare must be a number')
+  body('pricing.baseFare').isNumeric().withMessage('Base fare must be a number'),
+  body('stops').optional().isArray().withMessage('Stops must be a list'),
+  body('stops.*.city').notEmpty().withMessage('Stop city is required'),
+  body('stops.*.location').notEmpty().withMessage('Stop location is required'),
+  body('stops.*.offsetMinutes').isInt({ min: 1 }).withMessage('Stop offset must be a positive number of minutes'),
+  body('pricing.segmentFares').optional().isArray().withMessage('Segment fares must be a list'),
+  body('pricing.segmentFares.*').isFloat({ min: 0 }).withMessage('Segment fares must be non-negative numbers'),
+  body('timezone').optional().isString().withMessage('Timezone must be an IANA timezone name')
 ];
 
 // Routes
 router.get('/search', searchRoutes);
 router.get('/my-routes', protect, authorize('operator', 'admin', 'passenger'), getMyRoutes);
 router.get('/:id', getRoute);
+router.get('/:id/departures', [
+  param('id').isMongoId().withMessage('Invalid route ID'),
+  query('travelDate').isISO8601().withMessage('Invalid travel date format'),
+  query('fromStop').optional().isInt({ min: 0 }).withMessage('Invalid boarding stop').toInt(),
+  query('toStop').optional().isInt({ min: 1 }).withMessage('Invalid alighting stop').toInt()
+], handleValidationErrors, getDepartures);
 router.get('/:id/availability', [
   param('id').isMongoId().withMessage('Invalid route ID'),
-  query('travelDate').isISO8601().withMessage('Invalid travel date format')
+  query('travelDate').isISO8601().withMessage('Invalid travel date format'),
+  query('departureId').isMongoId().withMessage('Invalid departure ID'),
+  query('fromStop').optional().isInt({ min: 0 }).withMessage('Invalid boarding stop').toInt(),
+  query('toStop').optional().isInt({ min: 1 }).withMessage('Invalid alighting stop').toInt()
 ], handleValidationErrors, getSeatAvailability);
 
+router.get('/:id/exceptions', protect, authorize('operator', 'admin'), [
+  param('id').isMongoId().withMessage('Invalid route ID')
+], handleValidationErrors, getScheduleExceptions);
+router.post('/:id/exceptions', protect, authorize('operator', 'admin'), validateScheduleException, handleValidationErrors, addScheduleException);
+router.delete('/:id/exceptions/:exceptionId', protect, authorize('operator', 'admin'), [
+  param('id').isMongoId().withMessage('Invalid route ID'),
+  param('exceptionId').isMongoId().withMessage('Invalid exception ID')
+], handleValidationErrors, removeScheduleException);
+
 router.post('/', protect, authorize('operator', 'admin'), validateCreateRoute, handleValidationErrors, createRoute);
 router.put('/:id', protect, authorize('operator', 'admin'), verifyRouteOwnership, updateRoute);
 router.delete('/:id', protect, authorize('admin'), deleteRoute);
@@ -1,7 +1,12 @@
 import { Router } from 'express';
+import mongoose from 'mongoose';
 import authMiddleware from '../middleware/auth.middleware.js';
 const { protect } = authMiddleware;
 import { ApiResponse } from '../utils/apiResponse.js';
+import { handleSmsStatusCallback } from '../services/notificationService.js';
+import notificationInboxService from '../services/notification-inbox.service.js';
+import pushService from '../services/push.service.js';
+import logger from '../utils/logger.js';
 
 const router = Router();
 
@@ -10,24 +15,180 @@ const router = Router();
 // @access  Private
 router.get('/', protect, async (req, res) => {
   try {
-    // Placeholder - implement actual notification logic
-    res.json(ApiResponse.success([], 'Notifications retrieved successfully'));
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { type } = req.query;
+    const read = req.query.read === 'true' ? true : req.query.read === 'false' ? false : undefined;
+
+    const { notifications, total, unreadCount } = await notificationInboxService.list(req.user._id, {
+      page,
+      limit,
+      read,
+      type
+    });
+
+    res.json({
+      ...ApiResponse.paginated(notifications, page, limit, total, 'Notifications retrieved successfully'),
+      unreadCount
+    });
   } catch (error) {
+    logger.error('List notifications error:', error);
     res.status(500).json(ApiResponse.error('Failed to retrieve notifications'));
   }
 });
 
+// @desc    Mark all notifications as read
+// @route   PUT /api/v1/notifications/read-all
+// @access  Private
+router.put('/read-all', protect, async (req, res) => {
+  try {
+    const updated = await notificationInboxService.markAllRead(req.user._id);
+    res.json(ApiResponse.success({ updated }, 'All notifications marked as read'));
+  } catch (error) {
+    logger.error('Mark all notifications read error:', error);
+    res.status(500).json(ApiResponse.error('Failed to mark notifications as read'));
+  }
+});
+
 // @desc    Mark notification as read
 // @route   PUT /api/v1/notifications/:id/read
 // @access  Private
 router.put('/:id/read', protect, async (req, res) => {
   try {
     const { id } = req.params;
-    // Placeholder - implement actual notification logic
-    res.json(ApiResponse.success({ id }, 'Notification marked as read'));
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json(ApiResponse.error('Invalid notification ID', 400, 'INVALID_ID'));
+    }
+
+    const notification = await notificationInboxService.markRead(req.user._id, id);
+    if (!notification) {
+      return res.status(404).json(ApiResponse.error('Notification not found', 404, 'NOTIFICATION_NOT_FOUND'));
+    }
+
+    res.json(ApiResponse.success(notification, 'Notification marked as read'));
   } catch (error) {
+    logger.error('Mark notification read error:', error);
     res.status(500).json(ApiResponse.error('Failed to mark notification as read'));
   }
 });
 
+// @desc    Get the VAPID public key browsers subscribe with
+// @route   GET /api/v1/notifications/push/public-key
+// @access  Private
+router.get('/push/public-key', protect, (req, res) => {
+  const publicKey = pushService.getPublicKey();
+  if (!publicKey) {
+    return res.status(503).json(ApiResponse.error('Push notifications are not configured', 503, 'PUSH_NOT_CONFIGURED'));
+  }
+  res.json(ApiResponse.success({ publicKey }, 'VAPID public key retrieved successfully'));
+});
+
+// @desc    List devices subscribed to push notifications
+// @route   GET /api/v1/notifications/push/subscriptions
+// @access  Private
+router.get('/push/subscriptions', protect, async (req, res) => {
+  try {
+    const subscriptions = await pushService.listSubscriptions(req.user._id);
+    res.json(ApiResponse.success(subscriptions, 'Push subscriptions retrieved successfully'));
+  } catch (error) {
+    logger.error('List push subscriptions error:', error);
+    res.status(500).json(ApiResponse.error('Failed to retrieve push subscriptions'));
+  }
+});
+
+// @desc    Register this device for push notifications
+// @route   POST /api/v1/notifications/push/subscriptions
+// @access  Private
+router.post('/push/subscriptions', protect, async (req, res) => {
+  try {
+    const { subscription, deviceName } = req.body;
+
+    if (!subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+      return res.status(400).json(ApiResponse.error('Valid push subscription required', 400, 'INVALID_SUBSCRIPTION'));
+    }
+
+    const saved = await pushService.subscribe(req.user._id, subscription, {
+      deviceName,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json(ApiResponse.success({
+      id: saved._id,
+      endpoint: saved.endpoint,
+      deviceName: saved.deviceName,
+      expirationTime: saved.expirationTime
+    }, 'Push subscription saved', 201));
+  } catch (error) {
+    logger.error('Save push subscription error:', error);
+    res.status(500).json(ApiResponse.error('Failed to save push subscription'));
+  }
+});
+
+// @desc    Revoke a device's push subscription
+// @route   DELETE /api/v1/notifications/push/subscriptions
+// @access  Private
+router.delete('/push/subscriptions', protect, async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+    if (!endpoint) {
+      return res.status(400).json(ApiResponse.error('Subscription endpoint required', 400, 'ENDPOINT_REQUIRED'));
+    }
+
+    const removed = await pushService.unsubscribe(req.user._id, endpoint);
+    if (!removed) {
+      return res.status(404).json(ApiResponse.error('Push subscription not found', 404, 'SUBSCRIPTION_NOT_FOUND'));
+    }
+
+    res.json(ApiResponse.success({ endpoint }, 'Push subscription removed'));
+  } catch (error) {
+    logger.error('Remove push subscription error:', error);
+    res.status(500).json(ApiResponse.error('Failed to remove push subscription'));
+  }
+});
+
+// @desc    Delete notification
+// @route   DELETE /api/v1/notifications/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json(ApiResponse.error('Invalid notification ID', 400, 'INVALID_ID'));
+    }
+
+    const deleted = await notificationInboxService.remove(req.user._id, id);
+    if (!deleted) {
+      return res.status(404).json(ApiResponse.error('Notification not found', 404, 'NOTIFICATION_NOT_FOUND'));
+    }
+
+    res.json(ApiResponse.success({ id }, 'Notification deleted'));
+  } catch (error) {
+    logger.error('Delete notification error:', error);
+    res.status(500).json(ApiResponse.error('Failed to delete notification'));
+  }
+});
+
+// @desc    Receive SMS delivery receipts from the SMS provider
+// @route   POST /api/v1/notifications/sms/status
+// @access  Public (signature verified)
+router.post('/sms/status', async (req, res) => {
+  try {
+    // The provider signs the exact public URL it called
+    const url = process.env.SMS_STATUS_CALLBACK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const sms = await handleSmsStatusCallback(url, req.body, req.headers);
+
+    res.json(ApiResponse.success(
+      sms ? { messageId: sms.messageId, status: sms.status } : null,
+      sms ? 'Delivery status recorded' : 'Unknown message ignored'
+    ));
+  } catch (error) {
+    if (error.message === 'Invalid status callback signature') {
+      logger.warn('Rejected SMS status callback: invalid signature');
+      return res.status(403).json(ApiResponse.error('Invalid signature', 403, 'INVALID_SIGNATURE'));
+    }
+    logger.error('SMS status callback error:', error);
+    res.status(500).json(ApiResponse.error('Failed to record delivery status'));
+  }
+});
+
 export default router; 
\ No newline at end of file
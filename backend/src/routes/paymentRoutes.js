@@ -1,32 +1,250 @@
 import { Router } from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import asyncHandler from 'express-async-handler';
+
+import Booking from '../models/booking.model.js';
 import authMiddleware from '../middleware/auth.middleware.js';
-const { protect } = authMiddleware;
+const { protect, authorize } = authMiddleware;
 import { ApiResponse } from '../utils/apiResponse.js';
+import paymentService from '../services/payment.service.js';
+import logger from '../utils/logger.js';
 
 const router = Router();
 
-// @desc    Get payment history
-// @route   GET /api/v1/payments
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(
+      ApiResponse.error('Validation failed', 400, 'VALIDATION_ERROR', errors.array())
+    );
+  }
+  next();
+};
+
+/**
+ * @desc    Get payment history
+ * @route   GET /api/v1/payments
+ * @access  Private
+ */
+const getPaymentHistory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+  const query = { 'user.userId': req.user._id };
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const bookings = await Booking.find(query)
+    .select('bookingId status payment route.origin route.destination journey.travelDate createdAt')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Booking.countDocuments(query);
+
+  const payments = bookings.map(booking => ({
+    bookingId: booking.bookingId,
+    bookingStatus: booking.status,
+    route: `${booking.route.origin} to ${booking.route.destination}`,
+    travelDate: booking.journey.travelDate,
+    amount: booking.payment.totalAmount,
+    currency: booking.payment.currency,
+    paymentMethod: booking.payment.paymentMethod,
+    status: booking.payment.status,
+    paidAt: booking.payment.paidAt,
+    gateway: booking.payment.gateway?.name,
+    transactionId: booking.payment.gateway?.transactionId,
+    refundDetails: booking.payment.refundDetails,
+    createdAt: booking.createdAt
+  }));
+
+  res.status(200).json(
+    ApiResponse.paginated(payments, page, limit, total, 'Payment history retrieved successfully')
+  );
+});
+
+/**
+ * @desc    Pay for a pending booking
+ * @route   POST /api/v1/payments
+ * @access  Private
+ */
+const processPayment = asyncHandler(async (req, res) => {
+  const { bookingId, paymentMethodId } = req.body;
+
+  const booking = await Booking.findOne({ bookingId });
+
+  if (!booking) {
+    return res.status(404).json(
+      ApiResponse.error('Booking not found', 404, 'BOOKING_NOT_FOUND')
+    );
+  }
+
+  if (booking.user.userId.toString() !== req.user._id.toString()) {
+    return res.status(403).json(
+      ApiResponse.error('Access denied', 403, 'ACCESS_DENIED')
+    );
+  }
+
+  if (booking.payment.paymentMethod !== 'wallet' && !paymentMethodId) {
+    return res.status(400).json(
+      ApiResponse.error('Payment method ID required', 400, 'PAYMENT_METHOD_REQUIRED')
+    );
+  }
+
+  if (booking.status !== 'pending' || booking.payment.status !== 'pending') {
+    return res.status(409).json(
+      ApiResponse.error(
+        `Booking payment is already ${booking.payment.status}`,
+        409,
+        'PAYMENT_NOT_PENDING'
+      )
+    );
+  }
+
   try {
-    // Placeholder - implement actual payment logic
-    res.json(ApiResponse.success([], 'Payment history retrieved successfully'));
+    const result = await paymentService.processPayment(booking, { paymentMethodId });
+
+    const data = {
+      bookingId: result.booking.bookingId,
+      bookingStatus: result.booking.status,
+      payment: {
+        status: result.booking.payment.status,
+        amount: result.booking.payment.totalAmount,
+        currency: result.booking.payment.currency,
+        gateway: result.booking.payment.gateway?.name,
+        transactionId: result.booking.payment.gateway?.transactionId,
+        paidAt: result.booking.payment.paidAt
+      },
+      ...(result.clientSecret && result.status === 'processing' && { clientSecret: result.clientSecret })
+    };
+
+    if (result.status === 'failed') {
+      return res.status(402).json(
+        ApiResponse.error(result.failureReason || 'Payment failed', 402, 'PAYMENT_FAILED', data)
+      );
+    }
+
+    if (result.status === 'processing') {
+      return res.status(202).json(
+        ApiResponse.success(data, 'Payment is being processed', 202)
+      );
+    }
+
+    res.status(200).json(
+      ApiResponse.success(data, 'Payment processed successfully')
+    );
   } catch (error) {
-    res.status(500).json(ApiResponse.error('Failed to retrieve payment history'));
+    logger.error('Process payment error:', error);
+    res.status(502).json(
+      ApiResponse.error(error.message || 'Failed to process payment', 502, 'PAYMENT_PROCESSING_FAILED')
+    );
   }
 });
 
-// @desc    Process payment
-// @route   POST /api/v1/payments
-// @access  Private
-router.post('/', protect, async (req, res) => {
+/**
+ * @desc    Receive signed payment gateway webhooks
+ * @route   POST /api/v1/payments/webhook
+ * @access  Public (signature verified)
+ */
+const handleWebhook = asyncHandler(async (req, res) => {
+  if (!req.rawBody) {
+    return res.status(400).json(
+      ApiResponse.error('Webhook body missing', 400, 'WEBHOOK_BODY_MISSING')
+    );
+  }
+
+  let result;
   try {
-    // Placeholder - implement actual payment logic
-    res.json(ApiResponse.success({}, 'Payment processed successfully'));
+    result = await paymentService.handleWebhook(process.env.PAYMENT_GATEWAY || 'fake', req.rawBody, req.headers);
   } catch (error) {
-    res.status(500).json(ApiResponse.error('Failed to process payment'));
+    if (error.type === 'StripeSignatureVerificationError' || error.message === 'Invalid webhook signature') {
+      logger.warn(`Rejected payment webhook: ${error.message}`);
+      return res.status(400).json(
+        ApiResponse.error('Invalid webhook signature', 400, 'INVALID_WEBHOOK_SIGNATURE')
+      );
+    }
+
+    // Non-2xx makes the gateway retry the delivery later
+    logger.error('Payment webhook error:', error);
+    return res.status(500).json(
+      ApiResponse.error('Failed to process webhook', 500, 'WEBHOOK_PROCESSING_FAILED')
+    );
   }
+
+  res.status(200).json(
+    ApiResponse.success(result, result.duplicate ? 'Duplicate webhook ignored' : 'Webhook processed')
+  );
+});
+
+/**
+ * @desc    List refunds that have not completed in time
+ * @route   GET /api/v1/payments/refunds/stuck
+ * @access  Private (Admin)
+ */
+const getStuckRefunds = asyncHandler(async (req, res) => {
+  const olderThanMinutes = parseInt(req.query.olderThanMinutes) || 60;
+
+  const bookings = await paymentService.findStuckRefunds(olderThanMinutes);
+
+  const refunds = bookings.map(booking => ({
+    bookingId: booking.bookingId,
+    userId: booking.user.userId,
+    bookingStatus: booking.status,
+    paymentStatus: booking.payment.status,
+    gateway: booking.payment.gateway?.name,
+    refundDetails: booking.payment.refundDetails,
+    cancelledAt: booking.cancellation?.cancelledAt
+  }));
+
+  res.status(200).json(
+    ApiResponse.success({ refunds, olderThanMinutes }, 'Stuck refunds retrieved successfully')
+  );
 });
 
-export default router; 
\ No newline at end of file
+/**
+ * @desc    Retry a failed or stuck refund
+ * @route   POST /api/v1/payments/refunds/:bookingId/retry
+ * @access  Private (Admin)
+ */
+const retryRefund = asyncHandler(async (req, res) => {
+  const booking = await Booking.findOne({ bookingId: req.params.bookingId });
+
+  if (!booking) {
+    return res.status(404).json(
+      ApiResponse.error('Booking not found', 404, 'BOOKING_NOT_FOUND')
+    );
+  }
+
+  if (!paymentService.isRefundRetryable(booking)) {
+    return res.status(409).json(
+      ApiResponse.error('Booking has no refund waiting to be retried', 409, 'REFUND_NOT_RETRYABLE')
+    );
+  }
+
+  const updated = await paymentService.processRefund(booking);
+
+  res.status(200).json(
+    ApiResponse.success({
+      bookingId: updated.bookingId,
+      paymentStatus: updated.payment.status,
+      refundDetails: updated.payment.refundDetails
+    }, 'Refund retried')
+  );
+});
+
+const validateProcessPayment = [
+  body('bookingId').notEmpty().withMessage('Booking ID required'),
+  body('paymentMethodId').optional().notEmpty().withMessage('Payment method ID cannot be empty')
+];
+
+// Routes
+router.post('/webhook', handleWebhook);
+router.get('/', protect, getPaymentHistory);
+router.post('/', protect, validateProcessPayment, handleValidationErrors, processPayment);
+router.get('/refunds/stuck', protect, authorize('admin'), [
+  query('olderThanMinutes').optional().isInt({ min: 0 }).withMessage('olderThanMinutes must be a positive number')
+], handleValidationErrors, getStuckRefunds);
+router.post('/refunds/:bookingId/retry', protect, authorize('admin'), [
+  param('bookingId').notEmpty().withMessage('Booking ID required')
+], handleValidationErrors, retryRefund);
+
+export default router;
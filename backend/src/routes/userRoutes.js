@@ -2,6 +2,9 @@ import { Router } from 'express';
 import authMiddleware from '../middleware/auth.middleware.js';
 const { protect } = authMiddleware;
 import { ApiResponse } from '../utils/apiResponse.js';
+import walletService from '../services/wallet.service.js';
+import paymentService from '../services/payment.service.js';
+import logger from '../utils/logger.js';
 
 const router = Router();
 
@@ -38,4 +41,64 @@ router.put('/profile', protect, async (req, res) => {
   }
 });
 
+// @desc    Get wallet statement
+// @route   GET /api/v1/users/wallet/transactions
+// @access  Private
+router.get('/wallet/transactions', protect, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { type, category } = req.query;
+
+    const { transactions, total } = await walletService.getTransactions(req.user._id, { page, limit, type, category });
+
+    res.json({
+      ...ApiResponse.paginated(transactions, page, limit, total, 'Wallet transactions retrieved successfully'),
+      walletBalance: req.user.walletBalance
+    });
+  } catch (error) {
+    logger.error('Wallet statement error:', error);
+    res.status(500).json(ApiResponse.error('Failed to retrieve wallet transactions'));
+  }
+});
+
+// @desc    Top up wallet with a card payment
+// @route   POST /api/v1/users/wallet/top-up
+// @access  Private
+router.post('/wallet/top-up', protect, async (req, res) => {
+  try {
+    const { amount, paymentMethodId } = req.body;
+    const parsedAmount = Number(amount);
+
+    if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+      return res.status(400).json(ApiResponse.error('Top-up amount must be greater than zero', 400, 'INVALID_AMOUNT'));
+    }
+
+    if (!paymentMethodId) {
+      return res.status(400).json(ApiResponse.error('Payment method ID required', 400, 'PAYMENT_METHOD_REQUIRED'));
+    }
+
+    const result = await paymentService.topUpWallet(req.user, parsedAmount, paymentMethodId);
+
+    if (result.status === 'failed') {
+      return res.status(402).json(ApiResponse.error(result.failureReason || 'Top-up payment failed', 402, 'PAYMENT_FAILED'));
+    }
+
+    if (result.status === 'processing') {
+      return res.status(202).json(ApiResponse.success({
+        transaction: result.transaction,
+        clientSecret: result.clientSecret
+      }, 'Top-up is being processed', 202));
+    }
+
+    res.json(ApiResponse.success({
+      transaction: result.transaction,
+      walletBalance: result.transaction.balanceAfter
+    }, 'Wallet topped up successfully'));
+  } catch (error) {
+    logger.error('Wallet top-up error:', error);
+    res.status(500).json(ApiResponse.error('Failed to top up wallet'));
+  }
+});
+
 export default router; 
\ No newline at end of file
@@ -9,13 +9,14 @@ import xss from 'xss-clean';
 import hpp from 'hpp';
 import { createServer } from 'http';
 import { Server as SocketIOServer } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 // Import configurations and utilities
 import connectDB from './config/database.js';
-import { connectRedis } from './config/redis.js';
+import { connectRedis, createRedisConnection } from './config/redis.js';
 import { info, error as _error } from './utils/logger.js';
 import { errorHandler, notFound } from './middleware/errorMiddleware.js';
 
@@ -26,12 +27,14 @@ import routeRoutes from './routes/circuit.route.js';
 import bookingRoutes from './routes/bookingRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
 
 // Import socket handlers
 import socketHandler from './sockets/socketHandler.js';
 
-// Import scheduled jobs
-import './jobs/scheduledJobs.js';
+// Import background jobs
+import { startScheduledJobs } from './jobs/scheduledJobs.js';
+import { startQueueWorkers } from './jobs/processors.js';
 
 class Server {
   constructor() {
@@ -58,7 +61,11 @@ class Server {
     try {
       await connectDB();
       await connectRedis();
+      await this.initializeSocketAdapter();
       info('Database connections established');
+
+      startQueueWorkers();
+      await startScheduledJobs();
     } catch (error) {
       _error('Database connection failed:', error);
       process.exit(1);
@@ -84,14 +91,23 @@ class Server {
     
     this.app.options('*', cors());
 
-    this.app.use(express.json());
+    // Keep the unparsed body around - payment webhook signatures are computed over it
+    this.app.use(express.json({
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/v1/payments/webhook')) {
+          req.rawBody = buf;
+        }
+      }
+    }));
     // Rate limiting
     const limiter = rateLimit({
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000,
       max: parseInt(process.env.RATE_LIMIT_MAX) || 100,
       message: 'Too many requests from this IP, please try again later.',
       standardHeaders: true,
-      legacyHeaders: false
+      legacyHeaders: false,
+      // Gateways deliver webhooks in bursts from a handful of IPs
+      skip: req => req.originalUrl.startsWith('/api/v1/payments/webhook')
     });
     this.app.use('/api', limiter);
 
@@ -133,6 +149,7 @@ class Server {
     this.app.use('/api/v1/bookings', bookingRoutes);
     this.app.use('/api/v1/payments', paymentRoutes);
     this.app.use('/api/v1/notifications', notificationRoutes);
+    this.app.use('/api/v1/admin', adminRoutes);
 
     // API documentation
     this.app.get('/api/v1', (req, res) => {
@@ -146,13 +163,22 @@ class Server {
           routes: '/api/v1/routes',
           bookings: '/api/v1/bookings',
           payments: '/api/v1/payments',
-          notifications: '/api/v1/notifications'
+          notifications: '/api/v1/notifications',
+          admin: '/api/v1/admin'
         },
         documentation: 'https://github.com/VishalSolanki135/seat-selekta-pro'
       });
     });
   }
 
+  // Share rooms and broadcasts between API instances through Redis pub/sub
+  async initializeSocketAdapter() {
+    const pubClient = await createRedisConnection('socket.io pub');
+    const subClient = await createRedisConnection('socket.io sub');
+    this.io.adapter(createAdapter(pubClient, subClient));
+    info('Socket.IO Redis adapter attached');
+  }
+
   initializeSocketHandlers() {
     socketHandler(this.io);
   }
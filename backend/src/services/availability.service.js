@@ -0,0 +1,177 @@
+import Route from '../models/circuit.model.js';
+import SeatAvailability from '../models/seat.model.js';
+import SeatAvailabilityHistory from '../models/seat-availability-history.model.js';
+import Setting from '../models/setting.model.js';
+import { toDateKey } from './seat-events.service.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HORIZON_SETTING = 'availability.horizonDays';
+export const MAX_HORIZON_DAYS = 180;
+
+// How many past departures to move to the history collection per round trip
+const ARCHIVE_BATCH_SIZE = 500;
+
+// Creates seat availability documents ahead of time so the first customer on a departure
+// doesn't pay for initialising it, and moves departures whose date has passed into a compact history
+class AvailabilityService {
+  constructor() {
+    this.defaultHorizonDays = parseInt(process.env.AVAILABILITY_HORIZON_DAYS) || 14;
+    // Days after the travel date a departure stays live - late check-ins and disputes still read it
+    this.archiveAfterDays = parseInt(process.env.AVAILABILITY_ARCHIVE_AFTER_DAYS) || 2;
+  }
+
+  /**
+   * How many days ahead departures are pre-generated - the admin setting, else the environment default
+   * @returns {Promise<number>}
+   */
+  async getHorizonDays() {
+    return Setting.getValue(HORIZON_SETTING, this.defaultHorizonDays);
+  }
+
+  /**
+   * Change how many days ahead departures are pre-generated
+   * @param {number} days - New horizon, 1 to MAX_HORIZON_DAYS
+   * @param {string} userId - Admin making the change
+   * @returns {Promise<number>} - The stored horizon
+   */
+  async setHorizonDays(days, userId) {
+    const setting = await Setting.setValue(HORIZON_SETTING, days, userId);
+    logger.info(`Availability horizon set to ${days} day(s) by ${userId}`);
+    return setting.value;
+  }
+
+  /**
+   * Make sure every departure of every active route has availability for the coming days it runs on
+   * @param {Object} options
+   * @param {number} options.days - How many days ahead, starting today; defaults to the horizon
+   * @param {string} options.routeId - Only this route
+   * @returns {Promise<Object>} - Counts of routes checked and departures created
+   */
+  async pregenerate({ days, routeId } = {}) {
+    days = days || await this.getHorizonDays();
+
+    const routes = await Route.find({ status: 'active', ...(routeId && { _id: routeId }) });
+    const today = new Date(toDateKey(new Date()));
+    const end = new Date(today.getTime() + days * DAY_MS);
+    let created = 0;
+
+    for (const route of routes) {
+      // One read per route for the departures that already exist
+      const existing = new Set(
+        (await SeatAvailability.find(
+          { routeId: route._id, travelDate: { $gte: today, $lt: end } },
+          { travelDate: 1, departureId: 1 }
+        ).lean()).map(doc => `${toDateKey(doc.travelDate)}:${doc.departureId}`)
+      );
+
+      for (let offset = 0; offset < days; offset++) {
+        const travelDate = new Date(today.getTime() + offset * DAY_MS);
+
+        for (const departure of route.getDeparturesOnDate(travelDate)) {
+          if (existing.has(`${toDateKey(travelDate)}:${departure._id}`)) continue;
+
+          try {
+            await SeatAvailability.initializeForRoute(route._id, travelDate, route, departure);
+            created++;
+          } catch (error) {
+            logger.error(
+              `Failed to pre-generate availability for route ${route.routeCode} on ${toDateKey(travelDate)} at ${departure.departureTime}:`,
+              error
+            );
+          }
+        }
+      }
+    }
+
+    logger.info(`Pre-generated ${created} departure(s) across ${routes.length} route(s) for the next ${days} day(s)`);
+    return { routes: routes.length, days, created };
+  }
+
+  /**
+   * Move departures whose travel date is past the retention window into the history collection
+   * @param {Object} options
+   * @param {number} options.olderThanDays - Archive travel dates at least this many days ago
+   * @returns {Promise<Object>} - { before, archived }
+   */
+  async archivePast({ olderThanDays = this.archiveAfterDays } = {}) {
+    const before = new Date(new Date(toDateKey(new Date())).getTime() - olderThanDays * DAY_MS);
+    let archived = 0;
+
+    for (;;) {
+      const batch = await SeatAvailability.find({ travelDate: { $lt: before } })
+        .sort({ travelDate: 1 })
+        .limit(ARCHIVE_BATCH_SIZE)
+        .lean();
+      if (batch.length === 0) break;
+
+      // Upsert first and delete after, so a run that dies in between only repeats work
+      await SeatAvailabilityHistory.bulkWrite(batch.map(doc => ({
+        updateOne: {
+          filter: { routeId: doc.routeId, travelDate: doc.travelDate, departureId: doc.departureId },
+          update: { $set: this.toHistory(doc) },
+          upsert: true
+        }
+      })), { ordered: false });
+
+      const { deletedCount } = await SeatAvailability.deleteMany({ _id: { $in: batch.map(doc => doc._id) } });
+      archived += deletedCount;
+
+      if (batch.length < ARCHIVE_BATCH_SIZE) break;
+    }
+
+    logger.info(`Archived ${archived} departure(s) from before ${toDateKey(before)}`);
+    return { before: toDateKey(before), archived };
+  }
+
+  // Compact history entry for a seat availability document
+  toHistory(doc) {
+    // On a route with stops a seat can be sold to several bookings, once per stretch - keep each sale once
+    const booked = doc.seatsAvailable.filter(seat => seat.status === 'booked');
+    const bookedSeats = [...new Map(booked.map(({ seatNumber, bookingId, price }) =>
+      [`${seatNumber}:${bookingId}`, { seatNumber, bookingId, price }])).values()];
+    const blockedCount = doc.seatsAvailable.filter(seat => seat.status === 'blocked').length;
+
+    return {
+      departureTime: doc.departureTime,
+      // Counts entries, like the live summary - seat-segments on a route with stops
+      summary: {
+        totalSeats: doc.summary.totalSeats,
+        bookedCount: booked.length,
+        blockedCount,
+        unsoldCount: doc.seatsAvailable.length - booked.length - blockedCount
+      },
+      bookedSeats,
+      archivedAt: new Date()
+    };
+  }
+
+  /**
+   * Horizon setting and document counts, for the admin dashboard
+   * @returns {Promise<Object>}
+   */
+  async getStatus() {
+    const [horizonDays, live, archived, latest] = await Promise.all([
+      this.getHorizonDays(),
+      SeatAvailability.estimatedDocumentCount(),
+      SeatAvailabilityHistory.estimatedDocumentCount(),
+      SeatAvailability.findOne({}, { travelDate: 1 }).sort({ travelDate: -1 }).lean()
+    ]);
+
+    return {
+      horizonDays,
+      defaultHorizonDays: this.defaultHorizonDays,
+      maxHorizonDays: MAX_HORIZON_DAYS,
+      archiveAfterDays: this.archiveAfterDays,
+      liveDepartures: live,
+      archivedDepartures: archived,
+      generatedThrough: latest ? toDateKey(latest.travelDate) : null
+    };
+  }
+}
+
+// Singleton instance
+const availabilityService = new AvailabilityService();
+
+export default availabilityService;
@@ -0,0 +1,418 @@
+import Booking from '../models/booking.model.js';
+import Route from '../models/circuit.model.js';
+import SeatAvailability from '../models/seat.model.js';
+import seatLockingService from './seat-locking.service.js';
+import paymentService from './payment.service.js';
+import { getPaymentGateway } from './gateways/index.js';
+import { lockService } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+const sameDay = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+// Moves a confirmed booking to another date, departure or set of seats. The customer locks the
+// new seats first (POST /bookings/lock), just as for a new booking; the fare difference plus the
+// route's modification fee is then collected or refunded and the seats are swapped.
+class BookingModificationService {
+  /**
+   * Copy a route's modification policy, to be stored on a booking at purchase time
+   * @param {Object} route - Route document
+   * @returns {Object} - { allowModification, modificationFee, capturedAt }
+   */
+  snapshot(route) {
+    const policy = route.policies?.modification || {};
+
+    return {
+      allowModification: policy.allowModification !== false,
+      modificationFee: policy.modificationFee || 0,
+      capturedAt: new Date()
+    };
+  }
+
+  // The policy the booking was sold under; bookings made before snapshots use the route's current one
+  getPolicy(booking, route) {
+    const snapshotted = booking.policies?.modification;
+    return snapshotted?.capturedAt ? snapshotted : this.snapshot(route);
+  }
+
+  /**
+   * Work out what a modification would change and what it would cost
+   * @param {Object} booking - Booking document
+   * @param {Object} changes - Fields to change; omitted ones stay as they are
+   * @param {string} changes.travelDate - New travel date
+   * @param {string} changes.departureId - New departure, the id of one of the route's schedule entries
+   * @param {Array} changes.seatNumbers - New seats, one per passenger in passenger order
+   * @param {Object} options
+   * @param {string} options.userId - Customer making the change, to check their seat locks
+   * @param {Date} options.now - Reference time
+   * @returns {Promise<Object>} - { allowed, reason, code } or the priced modification
+   */
+  async quote(booking, { travelDate, departureId, seatNumbers } = {}, { userId, now = new Date() } = {}) {
+    const refuse = (reason, code = 'MODIFICATION_NOT_ALLOWED') => ({ allowed: false, reason, code });
+
+    if (booking.status !== 'confirmed') {
+      return refuse('Booking is not in confirmed status');
+    }
+
+    // Moving off a departure the operator cancelled or rescheduled is always allowed, and free
+    const disrupted = booking.hasPendingDisruption();
+
+    if (!disrupted && booking.getDepartureDateTime() <= now) {
+      return refuse('The trip has already departed');
+    }
+
+    const route = await Route.findById(booking.route.routeId);
+    if (!route || route.status !== 'active') {
+      return refuse('Route not found or inactive', 'ROUTE_NOT_FOUND');
+    }
+
+    const policy = this.getPolicy(booking, route);
+    if (!policy.allowModification && !disrupted) {
+      return refuse('This route does not allow modifications');
+    }
+
+    const newDate = travelDate ? new Date(travelDate) : booking.journey.travelDate;
+    const dateChanged = !sameDay(newDate, booking.journey.travelDate);
+
+    // The departure as it runs on the new date - a cancelled one isn't there at all
+    const schedule = route.getDepartureOnDate(newDate, departureId || booking.journey.departureId);
+    if (!schedule) {
+      return refuse('Departure not available on selected date', 'DEPARTURE_NOT_FOUND');
+    }
+
+    // Another date or another departure means another seat map
+    const tripChanged = dateChanged || !schedule._id.equals(booking.journey.departureId);
+
+    // The booking keeps its stops, so what matters is when the vehicle reaches the boarding stop
+    const stopTimes = route.getStopTimes(schedule, booking.journey);
+    const pointTimes = route.getPointTimes(schedule, booking.journey);
+    if (route.getDepartsAt(newDate, stopTimes.departureTime) <= now) {
+      return refuse('The new departure is in the past', 'DEPARTURE_IN_PAST');
+    }
+
+    const oldSeats = booking.seatNumbers;
+    const newSeats = seatNumbers || oldSeats;
+    if (newSeats.length !== oldSeats.length || new Set(newSeats).size !== newSeats.length) {
+      return refuse('Choose one different seat for each passenger', 'INVALID_SEATS');
+    }
+
+    const seatsChanged = newSeats.some((seat, i) => seat !== oldSeats[i]);
+    if (!tripChanged && !seatsChanged) {
+      return refuse('The modification does not change anything', 'NO_CHANGES');
+    }
+
+    const availability = await SeatAvailability.findOne({ routeId: route._id, travelDate: newDate, departureId: schedule._id });
+    if (!availability) {
+      return refuse('Seat availability not found', 'AVAILABILITY_NOT_FOUND');
+    }
+
+    // On the same departure, seats the booking already holds stay with it; every other seat is claimed
+    const claimSeats = tripChanged ? newSeats : newSeats.filter(seat => !oldSeats.includes(seat));
+    const releaseSeats = tripChanged ? oldSeats : oldSeats.filter(seat => !newSeats.includes(seat));
+
+    const seatChanges = [];
+    for (const [i, passenger] of booking.passengers.entries()) {
+      const to = newSeats[i];
+      const seat = availability.seatsAvailable.find(s => s.seatNumber === to);
+      if (!seat) {
+        return refuse(`Seat ${to} does not exist on this departure`, 'INVALID_SEATS');
+      }
+
+      // A seat the booking keeps costs what was paid for it; a new seat costs its current price
+      const kept = !claimSeats.includes(to);
+      const newFare = kept ? booking.passengers.find(p => p.seatNumber === to).fare : route.getJourneyPrice(seat.price, booking.journey);
+      seatChanges.push({ passenger: passenger.name, from: passenger.seatNumber, to, oldFare: passenger.fare, newFare });
+    }
+
+    const fareDifference = seatChanges.reduce((sum, change) => sum + change.newFare - change.oldFare, 0);
+    const modificationFee = disrupted ? 0 : policy.modificationFee;
+    const waivedAmount = disrupted ? Math.max(fareDifference, 0) : 0;
+
+    return {
+      allowed: true,
+      route,
+      availability,
+      travelDate: newDate,
+      departureId: schedule._id,
+      departureTime: stopTimes.departureTime,
+      estimatedArrivalTime: stopTimes.arrivalTime,
+      pickupTime: pointTimes.pickupTime,
+      dropTime: pointTimes.dropTime,
+      dateChanged,
+      tripChanged,
+      seatChanges,
+      claimSeats,
+      releaseSeats,
+      seatsLocked: claimSeats.length === 0 || (Boolean(userId) && availability.areSeatsLockedBy(claimSeats, userId, booking.journey)),
+      fareDifference,
+      modificationFee,
+      waivedAmount,
+      // Positive: the customer pays; negative: the customer is refunded
+      amountDue: fareDifference - waivedAmount + modificationFee
+    };
+  }
+
+  /**
+   * Apply a modification: collect any extra, swap the seats, update the booking and refund any surplus
+   * @param {Object} booking - Booking document
+   * @param {Object} changes - See `quote()`
+   * @param {Object} options
+   * @param {string} options.userId - Customer making the change
+   * @param {string} options.paymentMethodId - Gateway payment method for an amount due (not needed for wallet)
+   * @param {string} options.refundTo - 'original' payment method or 'wallet', for a surplus
+   * @returns {Promise<Object>} - { status: 'modified', booking, quote } or { status: 'rejected' | 'payment-failed', ... }
+   */
+  async modify(booking, changes, { userId, paymentMethodId, refundTo = 'original' } = {}) {
+    // One modification per booking at a time, across every instance
+    const lockKey = `booking-modification:${booking.bookingId}`;
+    const token = await lockService.acquire(lockKey, 60000);
+    if (!token) {
+      return { status: 'rejected', reason: 'This booking is already being modified', code: 'MODIFICATION_IN_PROGRESS' };
+    }
+
+    try {
+      const quote = await this.quote(booking, changes, { userId });
+      if (!quote.allowed) {
+        return { status: 'rejected', reason: quote.reason, code: quote.code };
+      }
+
+      if (!quote.seatsLocked) {
+        return { status: 'rejected', reason: 'Lock the new seats before modifying the booking', code: 'SEATS_NOT_LOCKED' };
+      }
+
+      if (quote.amountDue < 0 && paymentService.hasRefundInProgress(booking)) {
+        return { status: 'rejected', reason: 'A previous refund for this booking is still in progress', code: 'REFUND_IN_PROGRESS' };
+      }
+
+      let charge = null;
+      if (quote.amountDue > 0) {
+        charge = await this.collect(booking, quote.amountDue, paymentMethodId);
+        if (charge.status !== 'succeeded') {
+          await this.releaseNewSeats(booking, quote, userId);
+          return {
+            status: 'payment-failed',
+            reason: charge.failureReason || 'The payment could not be completed',
+            code: 'PAYMENT_FAILED'
+          };
+        }
+      }
+
+      try {
+        await this.swapSeats(booking, quote, userId);
+      } catch (error) {
+        if (charge) {
+          await this.returnCharge(booking, charge, quote.amountDue);
+        }
+        throw error;
+      }
+
+      const updated = await this.applyToBooking(booking, quote, userId, charge);
+
+      if (quote.amountDue < 0) {
+        // Failed refunds are picked up again by the refund retry job
+        const refunded = await paymentService.refundBooking(updated, -quote.amountDue, 'Booking modification', {
+          destination: refundTo
+        });
+        return { status: 'modified', booking: refunded, quote };
+      }
+
+      return { status: 'modified', booking: updated, quote };
+    } finally {
+      await lockService.release(lockKey, token);
+    }
+  }
+
+  /**
+   * Charge the amount a modification costs, with the booking's payment method
+   * @param {Object} booking - Booking document
+   * @param {number} amount - Amount due
+   * @param {string} paymentMethodId - Gateway payment method reference
+   * @returns {Promise<Object>} - Normalised charge result
+   */
+  async collect(booking, amount, paymentMethodId) {
+    const gateway = getPaymentGateway(booking.payment.paymentMethod === 'wallet' ? 'wallet' : undefined);
+
+    // Counted with the booking's other charge attempts, so a retry after a decline is a new charge
+    const { payment: { attempts } } = await Booking.findByIdAndUpdate(
+      booking._id,
+      { $inc: { 'payment.attempts': 1 } },
+      { new: true, projection: { 'payment.attempts': 1 } }
+    );
+    const idempotencyKey = `modification-${booking.bookingId}-${attempts}`;
+
+    let result;
+    try {
+      result = await gateway.charge({
+        amount,
+        currency: booking.payment.currency,
+        paymentMethodId,
+        idempotencyKey,
+        metadata: { bookingId: booking.bookingId, userId: booking.user.userId.toString(), purpose: 'modification' }
+      });
+    } catch (error) {
+      logger.error(`Modification charge error for booking ${booking.bookingId}:`, error);
+      return { status: 'failed', failureReason: error.message };
+    }
+
+    // The seats can't be held while a charge waits on customer action, so only an immediate success counts
+    if (result.status === 'processing') {
+      return { ...result, status: 'failed', failureReason: 'The payment needs further action - please use another payment method' };
+    }
+
+    return { ...result, gateway, idempotencyKey };
+  }
+
+  // Give back a modification charge when the seat swap did not go through
+  async returnCharge(booking, charge, amount) {
+    try {
+      await charge.gateway.refund({
+        transactionId: charge.transactionId,
+        gatewayOrderId: charge.gatewayOrderId,
+        amount,
+        currency: booking.payment.currency,
+        idempotencyKey: `${charge.idempotencyKey}-refund`,
+        metadata: { bookingId: booking.bookingId, userId: booking.user.userId.toString() }
+      });
+    } catch (error) {
+      logger.error(`Could not return modification charge ${charge.gatewayOrderId} for booking ${booking.bookingId}:`, error);
+    }
+  }
+
+  // Let go of seats locked for a modification that will not happen
+  async releaseNewSeats(booking, quote, userId) {
+    if (quote.claimSeats.length === 0) return;
+
+    try {
+      await seatLockingService.releaseSeats(booking.route.routeId, quote.travelDate, quote.departureId, quote.claimSeats, userId);
+    } catch (error) {
+      logger.error(`Failed to release modification seats for booking ${booking.bookingId}:`, error);
+    }
+  }
+
+  /**
+   * Move the booking's seats. On one departure this is a single atomic update; across departures the
+   * new seats are booked before the old ones are freed, so the customer never ends up with neither.
+   * If the old seats can't be freed the new ones are given back and the move fails, so they never keep both.
+   */
+  async swapSeats(booking, quote, userId) {
+    const { availability, claimSeats, releaseSeats } = quote;
+    if (claimSeats.length === 0 && releaseSeats.length === 0) return;
+
+    if (!quote.tripChanged) {
+      await availability.swapBookedSeats(booking.bookingId, userId, releaseSeats, claimSeats, booking.journey);
+    } else {
+      await availability.confirmBooking(claimSeats, userId, booking.bookingId, booking.journey);
+
+      try {
+        await this.freeOldSeats(booking, releaseSeats);
+      } catch (error) {
+        logger.error(`Could not free old seats ${releaseSeats.join(', ')} of booking ${booking.bookingId}, undoing the move:`, error);
+        try {
+          await availability.cancelBooking(booking.bookingId, claimSeats);
+        } catch (rollbackError) {
+          logger.error(`Booking ${booking.bookingId} holds seats on both departures - free ${claimSeats.join(', ')} by hand:`, rollbackError);
+        }
+        throw new Error('The booking could not be moved off its current seats, please try again');
+      }
+    }
+
+    if (claimSeats.length > 0) {
+      // Clear the customer's lock bookkeeping for the seats they now hold
+      await seatLockingService.releaseSeats(booking.route.routeId, quote.travelDate, quote.departureId, claimSeats, userId)
+        .catch(error => logger.error('Failed to clear seat locks after modification:', error));
+    }
+  }
+
+  // Free the seats a booking is moving off, retrying when other bookings change the seat map at the same time
+  async freeOldSeats(booking, seatNumbers, attempts = 3) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const previous = await SeatAvailability.findForBooking(booking);
+        const stillBooked = previous?.seatsAvailable.some(seat =>
+          seat.bookingId === booking.bookingId && seat.status === 'booked' && seatNumbers.includes(seat.seatNumber));
+        // Nothing left to free
+        if (!stillBooked) return;
+
+        await previous.cancelBooking(booking.bookingId, seatNumbers);
+        return;
+      } catch (error) {
+        if (attempt >= attempts) throw error;
+      }
+    }
+  }
+
+  // Record the new journey, seats and fares on the booking
+  async applyToBooking(booking, quote, userId, charge) {
+    const modifiedAt = new Date();
+    const paidBefore = booking.payment.paidAmount ?? booking.payment.totalAmount;
+    const record = (field, oldValue, newValue) => booking.modifications.push({
+      modifiedAt,
+      modifiedBy: userId,
+      changes: { field, oldValue, newValue },
+      reason: `Booking modification (fee ${quote.modificationFee}, ${quote.amountDue >= 0 ? 'collected' : 'refunded'} ${Math.abs(quote.amountDue)})`
+    });
+
+    if (quote.dateChanged) {
+      record('journey.travelDate', booking.journey.travelDate, quote.travelDate);
+      booking.journey.travelDate = quote.travelDate;
+    }
+
+    if (!quote.departureId.equals(booking.journey.departureId)) {
+      record('journey.departureTime', booking.journey.departureTime, quote.departureTime);
+      booking.journey.departureId = quote.departureId;
+      booking.journey.departureTime = quote.departureTime;
+      booking.journey.estimatedArrivalTime = quote.estimatedArrivalTime;
+      booking.journey.pickupPoint.time = quote.pickupTime;
+      booking.journey.dropPoint.time = quote.dropTime;
+    }
+
+    const oldSeats = booking.seatNumbers;
+    const newSeats = quote.seatChanges.map(change => change.to);
+    if (newSeats.some((seat, i) => seat !== oldSeats[i])) {
+      record('seatNumbers', oldSeats, newSeats);
+    }
+
+    booking.passengers.forEach((passenger, i) => {
+      passenger.seatNumber = quote.seatChanges[i].to;
+      passenger.fare = quote.seatChanges[i].newFare;
+    });
+
+    if (quote.fareDifference !== 0) {
+      record('payment.totalAmount', booking.payment.totalAmount, booking.payment.totalAmount + quote.fareDifference);
+      booking.payment.totalAmount += quote.fareDifference;
+    }
+
+    // Set explicitly - a waived fare difference means the total no longer matches what was paid
+    booking.payment.paidAmount = paidBefore + (charge ? quote.amountDue : 0);
+
+    // Kept with its gateway references so later refunds can go back to this charge
+    if (charge) {
+      booking.payment.charges.push({
+        amount: quote.amountDue,
+        purpose: 'modification',
+        gateway: {
+          name: charge.gateway.name,
+          transactionId: charge.transactionId,
+          gatewayOrderId: charge.gatewayOrderId
+        },
+        chargedAt: modifiedAt
+      });
+    }
+
+    // Any reminder already sent was for the old departure
+    if (quote.tripChanged) {
+      booking.notifications.reminderSent = { sent: false };
+
+      if (booking.hasPendingDisruption()) {
+        booking.disruption.resolution = 'rebooked';
+        booking.disruption.resolvedAt = modifiedAt;
+      }
+    }
+
+    return booking.save();
+  }
+}
+
+// Singleton instance
+const bookingModificationService = new BookingModificationService();
+
+export default bookingModificationService;
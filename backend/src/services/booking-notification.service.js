@@ -0,0 +1,113 @@
+import User from '../models/user.model.js';
+import Booking from '../models/booking.model.js';
+import { QUEUE_NAMES, addJob } from '../jobs/queues.js';
+import notificationInboxService from './notification-inbox.service.js';
+import { resolveLanguage, renderMessage, bookingVars } from './i18n/index.js';
+import logger from '../utils/logger.js';
+
+// Fans booking events out to the channels each passenger enabled, through the notifications queue
+class BookingNotificationService {
+  /**
+   * Add a notification about a booking to the user's inbox and queue it on every channel they enabled,
+   * rendered in the user's language
+   * @param {Object} booking - Booking document
+   * @param {string} event - Event name, e.g. booking-confirmation, trip-reminder
+   * @param {Object|Function} vars - Extra template variables on top of the booking's own, or a function
+   *   of the recipient's language returning them
+   * @param {Object} [options]
+   * @param {string} [options.key] - Sets this message apart from earlier ones of the same event for the booking,
+   *   e.g. the schedule change it is about
+   * @returns {Promise<number>} - Number of notifications queued
+   */
+  async notify(booking, event, vars = {}, { key } = {}) {
+    const user = await User.findById(booking.user.userId).select('preferences');
+    const enabled = user?.preferences?.notifications || {};
+    const language = resolveLanguage(user?.preferences?.language);
+
+    const extraVars = typeof vars === 'function' ? vars(language) : vars;
+    const content = renderMessage(event, language, { ...bookingVars(booking, language), ...extraVars });
+    if (!content) {
+      throw new Error(`No notification template for ${event}`);
+    }
+    const { subject, message } = content;
+
+    // The in-app inbox always gets a copy, whatever the channel preferences
+    try {
+      await notificationInboxService.create(booking.user.userId, {
+        type: event,
+        title: subject,
+        message,
+        payload: { bookingId: booking.bookingId }
+      });
+    } catch (error) {
+      logger.error(`Failed to add ${event} for booking ${booking.bookingId} to the inbox:`, error);
+    }
+
+    const recipients = {
+      sms: booking.user.phone,
+      email: booking.user.email,
+      push: booking.user.userId.toString()
+    };
+
+    let queued = 0;
+    for (const [channel, to] of Object.entries(recipients)) {
+      if (!to || enabled[channel] === false) continue;
+
+      // jobId keeps a retried caller from queueing the same message twice
+      await addJob(QUEUE_NAMES.NOTIFICATIONS, 'send', {
+        channel,
+        to,
+        subject,
+        message,
+        event,
+        language,
+        bookingId: booking.bookingId,
+        userId: booking.user.userId.toString()
+      }, { jobId: [event, booking.bookingId, key, channel].filter(Boolean).join(':') });
+      queued++;
+    }
+
+    return queued;
+  }
+
+  /**
+   * Tell the passenger their booking is confirmed
+   * @param {Object} booking - Confirmed booking document
+   * @returns {Promise<number>} - Number of notifications queued
+   */
+  async sendConfirmation(booking) {
+    try {
+      return await this.notify(booking, 'booking-confirmation');
+    } catch (error) {
+      // The booking stands even if the confirmation can't be queued
+      logger.error(`Failed to queue confirmation for booking ${booking.bookingId}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Tell the passenger their booking was cancelled and what refund to expect
+   * @param {Object} booking - Cancelled booking document, with refund details set
+   * @returns {Promise<number>} - Number of notifications queued
+   */
+  async sendCancellation(booking) {
+    try {
+      // The refund line comes from the booking's refund details
+      const queued = await this.notify(booking, 'booking-cancellation');
+
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { 'notifications.cancellationSent.sent': true, 'notifications.cancellationSent.sentAt': new Date() } }
+      );
+      return queued;
+    } catch (error) {
+      logger.error(`Failed to queue cancellation notice for booking ${booking.bookingId}:`, error);
+      return 0;
+    }
+  }
+}
+
+// Singleton instance
+const bookingNotificationService = new BookingNotificationService();
+
+export default bookingNotificationService;
@@ -0,0 +1,92 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Used for routes without rules of their own, and for bookings made before rules were snapshotted
+export const DEFAULT_CANCELLATION_RULES = [
+  { timeBeforeDeparture: 48, refundPercentage: 90 },
+  { timeBeforeDeparture: 24, refundPercentage: 75 },
+  { timeBeforeDeparture: 4, refundPercentage: 50 },
+  { timeBeforeDeparture: 2, refundPercentage: 0 }
+];
+
+// Turns a route's cancellation rules into eligibility and refund amounts.
+// Each rule reads "cancel at least timeBeforeDeparture hours out, get refundPercentage back";
+// the smallest timeBeforeDeparture is the cutoff after which cancelling is not allowed.
+class CancellationPolicyService {
+  /**
+   * Copy a route's cancellation policy, to be stored on a booking at purchase time
+   * @param {Object} route - Route document
+   * @returns {Object} - { allowCancellation, rules, capturedAt }
+   */
+  snapshot(route) {
+    const policy = route.policies?.cancellation || {};
+    const rules = policy.cancellationRules?.length > 0
+      ? policy.cancellationRules.map(({ timeBeforeDeparture, refundPercentage }) => ({ timeBeforeDeparture, refundPercentage }))
+      : DEFAULT_CANCELLATION_RULES;
+
+    return {
+      allowCancellation: policy.allowCancellation !== false,
+      rules: this.sortRules(rules),
+      capturedAt: new Date()
+    };
+  }
+
+  // Longest notice first, so the first rule the notice satisfies is the best one
+  sortRules(rules) {
+    return [...rules].sort((a, b) => b.timeBeforeDeparture - a.timeBeforeDeparture);
+  }
+
+  /**
+   * Work out whether a trip can be cancelled now and what would be refunded
+   * @param {Object} policy - Snapshotted policy: { allowCancellation, rules }
+   * @param {Object} options
+   * @param {Date} options.departure - When the trip departs
+   * @param {number} options.amount - Amount paid
+   * @param {Date} options.now - Reference time
+   * @returns {Object} - { allowed, reason, hoursUntilDeparture, refundPercentage, refundAmount, cancellationFee, appliedRule }
+   */
+  quote(policy, { departure, amount, now = new Date() }) {
+    const rules = this.sortRules(policy?.rules?.length > 0 ? policy.rules : DEFAULT_CANCELLATION_RULES);
+    const hoursUntilDeparture = (departure - now) / HOUR_MS;
+    const cutoffHours = rules[rules.length - 1].timeBeforeDeparture;
+
+    const refuse = reason => ({
+      allowed: false,
+      reason,
+      hoursUntilDeparture,
+      cutoffHours,
+      refundPercentage: 0,
+      refundAmount: 0,
+      cancellationFee: amount,
+      appliedRule: null
+    });
+
+    if (policy?.allowCancellation === false) {
+      return refuse('This route does not allow cancellations');
+    }
+
+    const appliedRule = rules.find(rule => hoursUntilDeparture >= rule.timeBeforeDeparture);
+    if (!appliedRule) {
+      return refuse(cutoffHours > 0
+        ? `Cannot cancel booking less than ${cutoffHours} hours before departure`
+        : 'Cannot cancel booking after departure');
+    }
+
+    const refundAmount = Math.round((amount * appliedRule.refundPercentage) / 100);
+
+    return {
+      allowed: true,
+      reason: null,
+      hoursUntilDeparture,
+      cutoffHours,
+      refundPercentage: appliedRule.refundPercentage,
+      refundAmount,
+      cancellationFee: amount - refundAmount,
+      appliedRule
+    };
+  }
+}
+
+// Singleton instance
+const cancellationPolicyService = new CancellationPolicyService();
+
+export default cancellationPolicyService;
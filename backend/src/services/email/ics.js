@@ -0,0 +1,128 @@
+// Minimal iCalendar (RFC 5545) builder for journey calendar invites
+import { DEFAULT_TIMEZONE } from '../../models/circuit.model.js';
+import { toDateKey } from '../seat-events.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = n => String(n).padStart(2, '0');
+
+// 20250131T083000Z
+const toIcsDate = date =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// 20250131T083000 - a wall-clock time, read in the TZID it is written with
+const toLocalIcsDate = (dateKey, minutes) =>
+  `${dateKey.replace(/-/g, '')}T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+
+// Minutes past midnight of an HH:MM time
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const nextDay = dateKey => toDateKey(new Date(new Date(dateKey).getTime() + DAY_MS));
+
+// +0530 - the timezone's offset from UTC at the given moment
+const utcOffset = (timeZone, date) => {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  return match ? `${match[1]}${match[2]}${match[3]}` : '+0000';
+};
+
+const escapeText = value => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets must be folded - counted in UTF-8 bytes, never splitting a character.
+// Continuation lines start with a space, which counts towards their 75.
+const MAX_LINE_OCTETS = 75;
+
+const fold = line => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS - (lines.length > 0 ? 1 : 0)) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+};
+
+/**
+ * Build a calendar event for a booking's journey
+ * @param {Object} booking - Booking document
+ * @returns {string} - .ics file contents
+ */
+export const buildJourneyEvent = (booking) => {
+  const { origin, destination, operatorName, vehicleNumber } = booking.route;
+  const { pickupPoint, dropPoint, departureTime, estimatedArrivalTime } = booking.journey;
+  const timeZone = booking.route.timezone || DEFAULT_TIMEZONE;
+
+  // Times of day on the route's clock. The passenger's trip runs from their pickup to their drop,
+  // not the whole route; each is past midnight when it is earlier than the time before it.
+  const departureMinutes = toMinutes(departureTime);
+  const startMinutes = toMinutes(pickupPoint.time || departureTime);
+  const endMinutes = toMinutes(dropPoint.time || estimatedArrivalTime);
+
+  const travelDay = toDateKey(booking.journey.travelDate);
+  const startDay = startMinutes < departureMinutes ? nextDay(travelDay) : travelDay;
+  const endDay = endMinutes <= startMinutes ? nextDay(startDay) : startDay;
+
+  // Offset on the travel date; routes keep to one zone, so one STANDARD rule covers the trip
+  const offset = utcOffset(timeZone, new Date(`${startDay}T12:00:00Z`));
+
+  const description = [
+    `Booking ID: ${booking.bookingId}`,
+    `Seat(s): ${booking.seatNumbers.join(', ')}`,
+    `Pickup: ${pickupPoint.name}, ${pickupPoint.address}${pickupPoint.time ? ` at ${pickupPoint.time}` : ''}`,
+    `Drop: ${dropPoint.name}, ${dropPoint.address}${dropPoint.time ? ` at ${dropPoint.time}` : ''}`,
+    `Operator: ${operatorName}${vehicleNumber ? ` (${vehicleNumber})` : ''}`
+  ].join('\n');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Capsule Cabs//Booking//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    `TZOFFSETFROM:${offset}`,
+    `TZOFFSETTO:${offset}`,
+    'END:STANDARD',
+    'END:VTIMEZONE',
+    'BEGIN:VEVENT',
+    `UID:${booking.bookingId}@capsule-cabs`,
+    `DTSTAMP:${toIcsDate(new Date())}`,
+    `DTSTART;TZID=${timeZone}:${toLocalIcsDate(startDay, startMinutes)}`,
+    `DTEND;TZID=${timeZone}:${toLocalIcsDate(endDay, endMinutes)}`,
+    `SUMMARY:${escapeText(`${origin} to ${destination}`)}`,
+    `LOCATION:${escapeText(`${pickupPoint.name}, ${pickupPoint.address}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    'BEGIN:VALARM',
+    'TRIGGER:-PT1H',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(`Pickup for ${origin} to ${destination} in 1 hour`)}`,
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+};
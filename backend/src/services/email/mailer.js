@@ -0,0 +1,30 @@
+import nodemailer from 'nodemailer';
+
+let transporter;
+
+/**
+ * Shared SMTP transport built from the SMTP_* settings in .env.
+ * Leave SMTP_USER empty to talk to an unauthenticated local catcher such as MailHog or smtp4dev.
+ * @returns {Object} - Nodemailer transport
+ */
+export const getMailTransport = () => {
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      ...(process.env.SMTP_USER && {
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        }
+      })
+    });
+  }
+  return transporter;
+};
+
+export const getMailFrom = () =>
+  process.env.EMAIL_FROM || `Capsule Cabs <${process.env.SMTP_USER || 'no-reply@localhost'}>`;
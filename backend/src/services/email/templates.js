@@ -0,0 +1,132 @@
+// HTML and plain-text email templates, keyed by notification event.
+// Each template takes a context object and returns { subject, html, text }; the wording comes
+// from the i18n catalog in the recipient's language.
+import { translate, resolveLanguage, bookingVars, formatDate, formatAmount } from '../i18n/index.js';
+
+const BRAND = 'Capsule Cabs';
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Shared HTML shell - inline styles because most mail clients drop <style>
+const layout = (title, bodyHtml, language) => `<!DOCTYPE html>
+<html lang="${language}">
+  <body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b;">
+    <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;">
+      <tr><td style="padding:20px 24px;background:#18181b;color:#ffffff;border-radius:8px 8px 0 0;font-size:18px;font-weight:bold;">${BRAND}</td></tr>
+      <tr><td style="padding:24px;">
+        <h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(title)}</h1>
+        ${bodyHtml}
+      </td></tr>
+      <tr><td style="padding:16px 24px;font-size:12px;color:#71717a;">${escapeHtml(translate(language, 'common.footer'))}</td></tr>
+    </table>
+  </body>
+</html>`;
+
+// Label/value rows as an HTML table and as text lines
+const detailRows = rows => ({
+  html: `<table role="presentation" style="width:100%;border-collapse:collapse;margin:0 0 16px;">${rows
+    .map(([label, value]) => `<tr><td style="padding:6px 0;color:#71717a;width:40%;">${escapeHtml(label)}</td><td style="padding:6px 0;">${escapeHtml(value)}</td></tr>`)
+    .join('')}</table>`,
+  text: rows.map(([label, value]) => `${label}: ${value}`).join('\n')
+});
+
+const journeyRows = (booking, language) => {
+  const label = key => translate(language, `labels.${key}`);
+
+  return [
+    [label('bookingId'), booking.bookingId],
+    [label('route'), translate(language, 'labels.routeValue', booking.route)],
+    [label('date'), formatDate(booking.journey.travelDate, language)],
+    [label('departure'), booking.journey.departureTime],
+    [label('pickup'), `${booking.journey.pickupPoint.name}, ${booking.journey.pickupPoint.address}`],
+    // Bookings made before pickup times were recorded have none
+    ...(booking.journey.pickupPoint.time ? [[label('pickupTime'), booking.journey.pickupPoint.time]] : []),
+    [label('drop'), `${booking.journey.dropPoint.name}, ${booking.journey.dropPoint.address}`],
+    ...(booking.journey.dropPoint.time ? [[label('dropTime'), booking.journey.dropPoint.time]] : []),
+    [label('seats'), booking.passengers.map(p => p.seatNumber).join(', ')]
+  ];
+};
+
+// Booking templates render nothing when the booking can't be loaded - the caller falls back to plain text
+const bookingTemplate = render => context => (context.booking ? render(context) : null);
+
+const paragraph = text => `<p style="margin:0 0 16px;line-height:1.5;">${escapeHtml(text)}</p>`;
+
+// Subject, title and intro paragraph of an event in the recipient's language
+const headline = (event, language, vars) => ({
+  subject: translate(language, `${event}.emailSubject`, vars),
+  title: translate(language, `${event}.title`, vars),
+  intro: translate(language, `${event}.intro`, vars)
+});
+
+export const emailTemplates = {
+  'booking-confirmation': bookingTemplate(({ booking, language }) => {
+    const { subject, title, intro } = headline('booking-confirmation', language, bookingVars(booking, language));
+    const details = detailRows([
+      ...journeyRows(booking, language),
+      [translate(language, 'labels.amountPaid'), formatAmount(booking.payment.totalAmount, booking.payment.currency)]
+    ]);
+
+    return {
+      subject,
+      html: layout(title, paragraph(intro) + details.html, language),
+      text: `${title}\n\n${intro}\n\n${details.text}\n`
+    };
+  }),
+
+  'booking-cancellation': bookingTemplate(({ booking, language }) => {
+    const vars = bookingVars(booking, language);
+    const { subject, title, intro } = headline('booking-cancellation', language, vars);
+    const refund = booking.payment.refundDetails;
+
+    const details = detailRows([
+      ...journeyRows(booking, language),
+      [translate(language, 'labels.cancellationFee'), formatAmount(booking.cancellation?.cancellationFee, booking.payment.currency)],
+      [translate(language, 'labels.refundAmount'), formatAmount(refund?.amount, booking.payment.currency)]
+    ]);
+
+    return {
+      subject,
+      html: layout(title, paragraph(intro) + paragraph(vars.refund) + details.html, language),
+      text: `${title}\n\n${intro}\n${vars.refund}\n\n${details.text}\n`
+    };
+  }),
+
+  'trip-reminder': bookingTemplate(({ booking, language }) => {
+    const { subject, title, intro } = headline('trip-reminder', language, bookingVars(booking, language));
+    const details = detailRows(journeyRows(booking, language));
+
+    return {
+      subject,
+      html: layout(title, paragraph(intro) + details.html, language),
+      text: `${title}\n\n${intro}\n\n${details.text}\n`
+    };
+  }),
+
+  otp: ({ otp, expiresInMinutes = 10, language }) => {
+    const { subject, title, intro } = headline('otp', language, { otp, minutes: expiresInMinutes });
+
+    return {
+      subject,
+      html: layout(title, paragraph(intro) +
+        `<p style="margin:0 0 16px;font-size:28px;font-weight:bold;letter-spacing:6px;">${escapeHtml(otp)}</p>`, language),
+      text: `${title}\n\n${intro}\n\n${otp}\n`
+    };
+  }
+};
+
+/**
+ * Render the email template for an event
+ * @param {string} event - Template name
+ * @param {Object} context - Template data, e.g. { booking } or { otp }, plus the recipient's language
+ * @returns {Object|null} - { subject, html, text }, or null if the event has no template
+ */
+export const renderEmail = (event, context) => {
+  const template = emailTemplates[event];
+  return template ? template({ ...context, language: resolveLanguage(context.language) }) : null;
+};
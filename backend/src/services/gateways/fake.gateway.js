@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import PaymentGateway from './payment-gateway.js';
+
+// Payment method ids that let tests and local development drive each outcome
+export const FAKE_PAYMENT_METHODS = {
+  success: 'pm_fake_success',
+  declined: 'pm_fake_declined',
+  processing: 'pm_fake_processing'
+};
+
+export const FAKE_SIGNATURE_HEADER = 'x-fake-signature';
+
+/**
+ * Sign a fake webhook payload the same way the fake gateway verifies it
+ * @param {Buffer|string} rawBody - Webhook payload
+ * @param {string} secret - Webhook secret
+ * @returns {string} - Hex encoded HMAC-SHA256 signature
+ */
+export const signFakeWebhook = (rawBody, secret = process.env.STRIPE_WEBHOOK_SECRET) =>
+  crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+// Local gateway that never leaves the process - used for tests and development
+class FakeGateway extends PaymentGateway {
+  constructor(webhookSecret = process.env.STRIPE_WEBHOOK_SECRET) {
+    super('fake');
+    this.webhookSecret = webhookSecret;
+    // Tests flip this to exercise failed and asynchronous refunds
+    this.refundOutcome = 'succeeded';
+  }
+
+  async charge({ paymentMethodId }) {
+    const gatewayOrderId = `fake_order_${uuidv4()}`;
+
+    if (paymentMethodId === FAKE_PAYMENT_METHODS.declined) {
+      return {
+        status: 'failed',
+        gatewayOrderId,
+        failureReason: 'Your card was declined'
+      };
+    }
+
+    return {
+      status: paymentMethodId === FAKE_PAYMENT_METHODS.processing ? 'processing' : 'succeeded',
+      transactionId: `fake_txn_${uuidv4()}`,
+      gatewayOrderId
+    };
+  }
+
+  async refund() {
+    if (this.refundOutcome === 'failed') {
+      return { status: 'failed', failureReason: 'Refund declined by fake gateway' };
+    }
+
+    return {
+      status: this.refundOutcome,
+      refundId: `fake_refund_${uuidv4()}`
+    };
+  }
+
+  // Payload is already normalised: { id, type, bookingId, transactionId, gatewayOrderId, failureReason }
+  parseWebhookEvent(rawBody, headers) {
+    if (!this.webhookSecret) {
+      throw new Error('STRIPE_WEBHOOK_SECRET not defined in .env');
+    }
+
+    const signature = headers[FAKE_SIGNATURE_HEADER] || '';
+    const expected = signFakeWebhook(rawBody, this.webhookSecret);
+
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    return JSON.parse(rawBody.toString());
+  }
+}
+
+export default FakeGateway;
@@ -0,0 +1,26 @@
+import FakeGateway from './fake.gateway.js';
+import StripeGateway from './stripe.gateway.js';
+import WalletGateway from './wallet.gateway.js';
+
+const gatewayFactories = {
+  stripe: () => new StripeGateway(),
+  fake: () => new FakeGateway(),
+  wallet: () => new WalletGateway()
+};
+
+const instances = {};
+
+/**
+ * Get a payment gateway adapter by name
+ * @param {string} name - Gateway name, defaults to PAYMENT_GATEWAY from .env
+ * @returns {PaymentGateway} - Gateway adapter instance
+ */
+export const getPaymentGateway = (name = process.env.PAYMENT_GATEWAY || 'fake') => {
+  if (!gatewayFactories[name]) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  if (!instances[name]) {
+    instances[name] = gatewayFactories[name]();
+  }
+  return instances[name];
+};
@@ -0,0 +1,82 @@
+/**
+ * Base class for payment gateway adapters.
+ *
+ * Every adapter must implement `charge()` and resolve with a normalised result:
+ *   {
+ *     status: 'succeeded' | 'processing' | 'failed',
+ *     transactionId,   // Gateway charge/transaction reference
+ *     gatewayOrderId,  // Gateway order/intent reference
+ *     clientSecret,    // Optional - needed by the client to finish async flows
+ *     failureReason    // Optional - human readable decline reason
+ *   }
+ *
+ * `refund()`, which resolves with:
+ *   {
+ *     status: 'succeeded' | 'processing' | 'failed',
+ *     refundId,        // Gateway refund reference
+ *     failureReason
+ *   }
+ *
+ * and `parseWebhookEvent()`, which verifies a webhook signature and returns:
+ *   {
+ *     id,              // Gateway event id, used to deduplicate deliveries
+ *     type: 'payment.succeeded' | 'payment.failed' | 'payment.processing' |
+ *           'refund.succeeded' | 'refund.failed' | <raw gateway type>,
+ *     bookingId,       // From the charge metadata, when present
+ *     topUpId,         // Wallet top-up ledger entry, from the charge metadata, when present
+ *     transactionId,
+ *     gatewayOrderId,
+ *     refundId,        // Refund events only
+ *     failureReason
+ *   }
+ */
+class PaymentGateway {
+  /**
+   * @param {string} name - Gateway name as stored in `Booking.payment.gateway.name`
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Charge a customer
+   * @param {Object} params - Charge parameters
+   * @param {number} params.amount - Amount in major currency units (e.g. rupees)
+   * @param {string} params.currency - ISO currency code
+   * @param {string} params.paymentMethodId - Gateway payment method reference
+   * @param {string} params.idempotencyKey - Key that makes retries safe
+   * @param {Object} params.metadata - Extra data attached to the charge
+   * @returns {Promise<Object>} - Normalised charge result
+   */
+  async charge(params) {
+    throw new Error(`${this.name} gateway does not implement charge()`);
+  }
+
+  /**
+   * Refund all or part of a completed charge
+   * @param {Object} params - Refund parameters
+   * @param {string} params.transactionId - Gateway charge/transaction reference
+   * @param {string} params.gatewayOrderId - Gateway order/intent reference
+   * @param {number} params.amount - Amount to refund in major currency units
+   * @param {string} params.currency - ISO currency code
+   * @param {string} params.idempotencyKey - Key that makes retries safe
+   * @param {Object} params.metadata - Extra data attached to the refund
+   * @returns {Promise<Object>} - Normalised refund result
+   */
+  async refund(params) {
+    throw new Error(`${this.name} gateway does not implement refund()`);
+  }
+
+  /**
+   * Verify and normalise a webhook delivery
+   * @param {Buffer} rawBody - Unparsed request body, exactly as received
+   * @param {Object} headers - Request headers carrying the signature
+   * @returns {Object} - Normalised webhook event
+   * @throws {Error} - When the signature is missing or invalid
+   */
+  parseWebhookEvent(rawBody, headers) {
+    throw new Error(`${this.name} gateway does not implement parseWebhookEvent()`);
+  }
+}
+
+export default PaymentGateway;
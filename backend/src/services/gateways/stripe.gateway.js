@@ -0,0 +1,123 @@
+import Stripe from 'stripe';
+import PaymentGateway from './payment-gateway.js';
+
+// Stripe PaymentIntent statuses mapped to our normalised charge statuses
+const STATUS_MAP = {
+  succeeded: 'succeeded',
+  processing: 'processing',
+  requires_action: 'processing',
+  requires_confirmation: 'processing',
+  requires_capture: 'processing',
+  requires_payment_method: 'failed',
+  canceled: 'failed'
+};
+
+// Stripe webhook event types mapped to our normalised event types
+const EVENT_MAP = {
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.processing': 'payment.processing',
+  'payment_intent.payment_failed': 'payment.failed',
+  'payment_intent.canceled': 'payment.failed'
+};
+
+// Stripe refund statuses mapped to our normalised refund statuses
+const REFUND_STATUS_MAP = {
+  succeeded: 'succeeded',
+  pending: 'processing',
+  requires_action: 'processing',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+class StripeGateway extends PaymentGateway {
+  constructor(secretKey = process.env.STRIPE_SECRET_KEY, webhookSecret = process.env.STRIPE_WEBHOOK_SECRET) {
+    super('stripe');
+    if (!secretKey) {
+      throw new Error('STRIPE_SECRET_KEY not defined in .env');
+    }
+    this.client = new Stripe(secretKey);
+    this.webhookSecret = webhookSecret;
+  }
+
+  async charge({ amount, currency, paymentMethodId, idempotencyKey, metadata = {} }) {
+    try {
+      const intent = await this.client.paymentIntents.create({
+        amount: Math.round(amount * 100), // Stripe expects the smallest currency unit
+        currency: currency.toLowerCase(),
+        payment_method: paymentMethodId,
+        confirm: true,
+        automatic_payment_methods: { enabled: true, allow_redirects: 'never' },
+        metadata
+      }, { idempotencyKey });
+
+      return {
+        status: STATUS_MAP[intent.status] || 'failed',
+        transactionId: intent.latest_charge || undefined,
+        gatewayOrderId: intent.id,
+        clientSecret: intent.client_secret,
+        failureReason: intent.last_payment_error?.message
+      };
+    } catch (error) {
+      // Card declines are an expected outcome, everything else is a real error
+      if (error.type === 'StripeCardError') {
+        return {
+          status: 'failed',
+          gatewayOrderId: error.payment_intent?.id,
+          failureReason: error.message
+        };
+      }
+      throw error;
+    }
+  }
+
+  async refund({ gatewayOrderId, amount, idempotencyKey, metadata = {} }) {
+    const refund = await this.client.refunds.create({
+      payment_intent: gatewayOrderId,
+      amount: Math.round(amount * 100),
+      reason: 'requested_by_customer',
+      metadata
+    }, { idempotencyKey });
+
+    return {
+      status: REFUND_STATUS_MAP[refund.status] || 'processing',
+      refundId: refund.id,
+      failureReason: refund.failure_reason
+    };
+  }
+
+  parseWebhookEvent(rawBody, headers) {
+    if (!this.webhookSecret) {
+      throw new Error('STRIPE_WEBHOOK_SECRET not defined in .env');
+    }
+
+    // Throws StripeSignatureVerificationError when the signature does not match
+    const event = this.client.webhooks.constructEvent(rawBody, headers['stripe-signature'], this.webhookSecret);
+
+    if (event.type === 'refund.updated' || event.type === 'refund.failed') {
+      const refund = event.data.object;
+      const status = REFUND_STATUS_MAP[refund.status];
+      return {
+        id: event.id,
+        type: status === 'succeeded' || status === 'failed' ? `refund.${status}` : event.type,
+        bookingId: refund.metadata?.bookingId,
+        gatewayOrderId: refund.payment_intent,
+        refundId: refund.id,
+        failureReason: refund.failure_reason
+      };
+    }
+
+    const intent = event.data.object;
+
+    return {
+      id: event.id,
+      type: EVENT_MAP[event.type] || event.type,
+      bookingId: intent.metadata?.bookingId,
+      topUpId: intent.metadata?.topUpId,
+      transactionId: intent.latest_charge || undefined,
+      gatewayOrderId: intent.id,
+      failureReason: intent.last_payment_error?.message
+    };
+  }
+}
+
+export default StripeGateway;
@@ -0,0 +1,50 @@
+import PaymentGateway from './payment-gateway.js';
+import walletService from '../wallet.service.js';
+
+// Pays for bookings out of the customer's wallet balance instead of a card
+class WalletGateway extends PaymentGateway {
+  constructor() {
+    super('wallet');
+  }
+
+  async charge({ amount, idempotencyKey, metadata = {} }) {
+    try {
+      const entry = await walletService.debit(metadata.userId, amount, {
+        category: 'booking-payment',
+        bookingId: metadata.bookingId,
+        description: `Payment for booking ${metadata.bookingId}`,
+        idempotencyKey
+      });
+
+      return {
+        status: 'succeeded',
+        transactionId: entry._id.toString(),
+        gatewayOrderId: entry._id.toString()
+      };
+    } catch (error) {
+      return { status: 'failed', failureReason: error.message };
+    }
+  }
+
+  async refund({ amount, idempotencyKey, metadata = {} }) {
+    try {
+      const entry = await walletService.credit(metadata.userId, amount, {
+        category: 'refund',
+        bookingId: metadata.bookingId,
+        description: `Refund for booking ${metadata.bookingId}`,
+        idempotencyKey
+      });
+
+      return { status: 'succeeded', refundId: entry._id.toString() };
+    } catch (error) {
+      return { status: 'failed', failureReason: error.message };
+    }
+  }
+
+  // Wallet movements complete synchronously, nothing ever calls back
+  parseWebhookEvent() {
+    throw new Error('Wallet gateway does not receive webhooks');
+  }
+}
+
+export default WalletGateway;
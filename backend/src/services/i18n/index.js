@@ -0,0 +1,104 @@
+import en from './locales/en.js';
+import hi from './locales/hi.js';
+import te from './locales/te.js';
+import ta from './locales/ta.js';
+import bn from './locales/bn.js';
+
+// Message catalog keyed by language (User.preferences.language), then event
+const catalog = { en, hi, te, ta, bn };
+
+export const DEFAULT_LANGUAGE = 'en';
+export const SUPPORTED_LANGUAGES = Object.keys(catalog);
+
+// Intl locales for dates in each language
+const LOCALES = {
+  en: 'en-IN',
+  hi: 'hi-IN',
+  te: 'te-IN',
+  ta: 'ta-IN',
+  bn: 'bn-IN'
+};
+
+const lookup = (messages, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+
+// Replace {{name}} placeholders; a missing variable renders as empty rather than leaking the placeholder
+const interpolate = (text, vars = {}) =>
+  text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (vars[name] ?? '').toString());
+
+/**
+ * Pick a supported language, falling back to English
+ * @param {string} language - Requested language code
+ * @returns {string} - Supported language code
+ */
+export const resolveLanguage = language =>
+  (catalog[language] ? language : DEFAULT_LANGUAGE);
+
+/**
+ * Look up a message and fill in its variables. Keys missing from a language fall back to English.
+ * @param {string} language - Language code
+ * @param {string} key - Dotted key, e.g. 'trip-reminder.subject'
+ * @param {Object} vars - Values for the {{placeholders}}
+ * @returns {string|null} - Rendered text, or null if no language has the key
+ */
+export const translate = (language, key, vars) => {
+  const text = lookup(catalog[resolveLanguage(language)], key) ?? lookup(catalog[DEFAULT_LANGUAGE], key);
+  return typeof text === 'string' ? interpolate(text, vars) : null;
+};
+
+/**
+ * Render the short subject/message pair sent over SMS, push and the in-app inbox
+ * @param {string} event - Event name, e.g. booking-confirmation
+ * @param {string} language - Language code
+ * @param {Object} vars - Template variables
+ * @returns {Object|null} - { subject, message }, or null if the event has no template
+ */
+export const renderMessage = (event, language, vars) => {
+  const message = translate(language, `${event}.message`, vars);
+  if (message === null) return null;
+
+  return { subject: translate(language, `${event}.subject`, vars), message };
+};
+
+export const formatDate = (date, language) =>
+  new Date(date).toLocaleDateString(LOCALES[resolveLanguage(language)], {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+
+export const formatAmount = (amount, currency = 'INR') => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+// A pickup or drop point with the time the vehicle gets there, when the booking has one
+const withTime = point => (point?.time ? `${point.name} (${point.time})` : point?.name);
+
+/**
+ * Template variables describing a booking, in the recipient's language
+ * @param {Object} booking - Booking document
+ * @param {string} language - Language code
+ * @returns {Object} - Variables for the booking templates
+ */
+export const bookingVars = (booking, language) => {
+  const refund = booking.payment?.refundDetails;
+  const refundTo = translate(language, refund?.destination === 'wallet' ? 'common.wallet' : 'common.originalPaymentMethod');
+  const refundKey = refund?.status === 'completed' ? 'refundCompleted' : 'refund';
+
+  return {
+    name: booking.user.name,
+    bookingId: booking.bookingId,
+    origin: booking.route.origin,
+    destination: booking.route.destination,
+    date: formatDate(booking.journey.travelDate, language),
+    departureTime: booking.journey.departureTime,
+    pickup: withTime(booking.journey.pickupPoint),
+    drop: withTime(booking.journey.dropPoint),
+    seats: booking.seatNumbers.join(', '),
+    refund: refund?.amount > 0
+      ? translate(language, `booking-cancellation.${refundKey}`, {
+        amount: formatAmount(refund.amount, booking.payment.currency),
+        refundTo
+      })
+      : translate(language, 'booking-cancellation.noRefund')
+  };
+};
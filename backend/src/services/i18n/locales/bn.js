@@ -0,0 +1,76 @@
+// Bengali
+export default {
+  'booking-confirmation': {
+    subject: 'বুকিং নিশ্চিত: {{origin}} থেকে {{destination}}',
+    message: 'বুকিং {{bookingId}} নিশ্চিত হয়েছে। {{origin}} থেকে {{destination}}, {{date}} তারিখে {{departureTime}}-এ। ' +
+      'পিকআপ: {{pickup}}। সিট: {{seats}}।',
+    emailSubject: 'বুকিং নিশ্চিত: {{origin}} থেকে {{destination}} ({{bookingId}})',
+    title: 'আপনার বুকিং নিশ্চিত হয়েছে',
+    intro: 'নমস্কার {{name}}, আপনার সিট বুক হয়েছে। যাত্রার বিবরণ ক্যালেন্ডার আমন্ত্রণ হিসেবে সংযুক্ত করা হয়েছে।'
+  },
+  'booking-cancellation': {
+    subject: 'বুকিং বাতিল: {{bookingId}}',
+    message: 'বুকিং {{bookingId}} ({{origin}} থেকে {{destination}}) বাতিল করা হয়েছে। {{refund}}',
+    emailSubject: 'বুকিং বাতিল: {{bookingId}}',
+    title: 'আপনার বুকিং বাতিল করা হয়েছে',
+    intro: 'নমস্কার {{name}}, বুকিং {{bookingId}} বাতিল করা হয়েছে।',
+    refund: '{{amount}} রিফান্ড আপনার {{refundTo}}-এ পাঠানো হচ্ছে।',
+    refundCompleted: '{{amount}} রিফান্ড আপনার {{refundTo}}-এ জমা হয়েছে।',
+    noRefund: 'এই বাতিলের জন্য কোনো রিফান্ড প্রযোজ্য নয়।'
+  },
+  'trip-reminder': {
+    subject: 'যাত্রার রিমাইন্ডার: {{origin}} থেকে {{destination}}, {{departureTime}}-এ',
+    message: 'আপনার যাত্রা {{origin}} থেকে {{destination}} {{date}} তারিখে {{departureTime}}-এ ছাড়বে। ' +
+      'পিকআপ: {{pickup}}। সিট: {{seats}}। বুকিং আইডি: {{bookingId}}',
+    emailSubject: 'যাত্রার রিমাইন্ডার: {{origin}} থেকে {{destination}}, {{departureTime}}-এ',
+    title: 'আপনার যাত্রা আসন্ন',
+    intro: 'নমস্কার {{name}}, আপনার যাত্রা {{date}} তারিখে {{departureTime}}-এ ছাড়বে। অনুগ্রহ করে কয়েক মিনিট আগে পিকআপ পয়েন্টে পৌঁছান।'
+  },
+  'departure-cancelled': {
+    subject: 'যাত্রা বাতিল: {{origin}} থেকে {{destination}}, {{date}}',
+    message: '{{date}} তারিখে {{origin}} থেকে {{destination}}-এর {{departureTime}}-এর যাত্রা বাতিল করা হয়েছে। {{reason}} ' +
+      'বুকিং {{bookingId}} বিনা খরচে অন্য যাত্রায় সরানো যাবে, অথবা সম্পূর্ণ রিফান্ডসহ বাতিল করা যাবে। {{alternatives}}',
+    emailSubject: 'যাত্রা বাতিল: {{origin}} থেকে {{destination}} ({{bookingId}})',
+    title: 'আপনার যাত্রা বাতিল করা হয়েছে',
+    intro: 'নমস্কার {{name}}, বুকিং {{bookingId}}-এর {{date}} তারিখের {{departureTime}}-এর যাত্রা চলবে না। বিনা খরচে অন্য যাত্রায় সরান, অথবা সম্পূর্ণ রিফান্ডসহ বাতিল করুন।',
+    alternatives: 'সিট খালি থাকা পরবর্তী যাত্রা: {{list}}।',
+    noAlternatives: 'আগামী কয়েক দিনে সিট খালি থাকা অন্য কোনো যাত্রা নেই।'
+  },
+  'departure-rescheduled': {
+    subject: 'যাত্রার নতুন সময়: {{origin}} থেকে {{destination}}, {{date}}',
+    message: '{{date}} তারিখে আপনার {{origin}} থেকে {{destination}} যাত্রা এখন {{previousTime}}-এর বদলে {{departureTime}}-এ ছাড়বে। {{reason}} ' +
+      'নতুন সময় আপনার সুবিধাজনক না হলে, বুকিং {{bookingId}} বিনা খরচে বদলান বা সম্পূর্ণ রিফান্ডসহ বাতিল করুন।',
+    emailSubject: 'বুকিং {{bookingId}}-এর যাত্রার নতুন সময়',
+    title: 'আপনার যাত্রার সময় বদলেছে',
+    intro: 'নমস্কার {{name}}, {{date}} তারিখে আপনার যাত্রা এখন {{previousTime}}-এর বদলে {{departureTime}}-এ ছাড়বে।'
+  },
+  otp: {
+    subject: 'আপনার যাচাইকরণ কোড',
+    message: 'আপনার Capsule Cabs যাচাইকরণ কোড: {{otp}}। এটি {{minutes}} মিনিট বৈধ। এই কোড কারও সাথে শেয়ার করবেন না।',
+    emailSubject: 'Capsule Cabs যাচাইকরণ কোড: {{otp}}',
+    title: 'আপনার যাচাইকরণ কোড',
+    intro: 'সাইন ইন করতে এই কোড ব্যবহার করুন। এটি {{minutes}} মিনিট বৈধ। এটি কারও সাথে শেয়ার করবেন না।'
+  },
+  labels: {
+    bookingId: 'বুকিং আইডি',
+    route: 'রুট',
+    routeValue: '{{origin}} থেকে {{destination}}',
+    date: 'তারিখ',
+    departure: 'ছাড়ার সময়',
+    pickup: 'পিকআপ',
+    pickupTime: 'পিকআপের সময়',
+    drop: 'ড্রপ',
+    dropTime: 'ড্রপের সময়',
+    seats: 'সিট',
+    amountPaid: 'প্রদত্ত অর্থ',
+    cancellationFee: 'বাতিলকরণ ফি',
+    refundAmount: 'রিফান্ডের পরিমাণ'
+  },
+  common: {
+    wallet: 'ওয়ালেট',
+    originalPaymentMethod: 'মূল পেমেন্ট পদ্ধতি',
+    reason: 'কারণ: {{reason}}।',
+    apology: 'অসুবিধার জন্য আমরা দুঃখিত।',
+    footer: 'এটি Capsule Cabs-এর একটি স্বয়ংক্রিয় বার্তা। অনুগ্রহ করে উত্তর দেবেন না।'
+  }
+};
@@ -0,0 +1,76 @@
+// English - the fallback for every key another language leaves out
+export default {
+  'booking-confirmation': {
+    subject: 'Booking confirmed: {{origin}} to {{destination}}',
+    message: 'Booking {{bookingId}} confirmed. {{origin}} to {{destination}} on {{date}} at {{departureTime}}. ' +
+      'Pickup: {{pickup}}. Seat(s): {{seats}}.',
+    emailSubject: 'Booking confirmed: {{origin}} to {{destination}} ({{bookingId}})',
+    title: 'Your booking is confirmed',
+    intro: 'Hi {{name}}, your seats are booked. The trip is attached as a calendar invite.'
+  },
+  'booking-cancellation': {
+    subject: 'Booking cancelled: {{bookingId}}',
+    message: 'Booking {{bookingId}} ({{origin}} to {{destination}}) has been cancelled. {{refund}}',
+    emailSubject: 'Booking cancelled: {{bookingId}}',
+    title: 'Your booking has been cancelled',
+    intro: 'Hi {{name}}, booking {{bookingId}} has been cancelled.',
+    refund: 'A refund of {{amount}} is on its way to your {{refundTo}}.',
+    refundCompleted: 'A refund of {{amount}} has been credited to your {{refundTo}}.',
+    noRefund: 'No refund is due for this cancellation.'
+  },
+  'trip-reminder': {
+    subject: 'Trip reminder: {{origin}} to {{destination}} at {{departureTime}}',
+    message: 'Your trip {{origin}} to {{destination}} departs at {{departureTime}} on {{date}}. ' +
+      'Pickup: {{pickup}}. Seat(s): {{seats}}. Booking ID: {{bookingId}}',
+    emailSubject: 'Trip reminder: {{origin}} to {{destination}} at {{departureTime}}',
+    title: 'Your trip is coming up',
+    intro: 'Hi {{name}}, your trip departs at {{departureTime}} on {{date}}. Please be at the pickup point a few minutes early.'
+  },
+  'departure-cancelled': {
+    subject: 'Departure cancelled: {{origin}} to {{destination}} on {{date}}',
+    message: 'The {{departureTime}} departure from {{origin}} to {{destination}} on {{date}} has been cancelled. {{reason}} ' +
+      'Booking {{bookingId}} can be moved to another departure free of charge, or cancelled for a full refund. {{alternatives}}',
+    emailSubject: 'Departure cancelled: {{origin}} to {{destination}} ({{bookingId}})',
+    title: 'Your departure has been cancelled',
+    intro: 'Hi {{name}}, the {{departureTime}} departure on {{date}} for booking {{bookingId}} will not run. Move to another departure free of charge, or cancel for a full refund.',
+    alternatives: 'Next departures with seats: {{list}}.',
+    noAlternatives: 'There are no other departures with seats in the coming days.'
+  },
+  'departure-rescheduled': {
+    subject: 'New departure time: {{origin}} to {{destination}} on {{date}}',
+    message: 'Your {{origin}} to {{destination}} trip on {{date}} now departs at {{departureTime}} instead of {{previousTime}}. {{reason}} ' +
+      'If the new time does not suit you, change booking {{bookingId}} or cancel it for a full refund, free of charge.',
+    emailSubject: 'New departure time for booking {{bookingId}}',
+    title: 'Your departure time has changed',
+    intro: 'Hi {{name}}, your trip on {{date}} now departs at {{departureTime}} instead of {{previousTime}}.'
+  },
+  otp: {
+    subject: 'Your verification code',
+    message: 'Your Capsule Cabs verification code is: {{otp}}. Valid for {{minutes}} minutes. Do not share this code with anyone.',
+    emailSubject: 'Capsule Cabs verification code: {{otp}}',
+    title: 'Your verification code',
+    intro: 'Use this code to sign in. It is valid for {{minutes}} minutes. Do not share it with anyone.'
+  },
+  labels: {
+    bookingId: 'Booking ID',
+    route: 'Route',
+    routeValue: '{{origin}} to {{destination}}',
+    date: 'Date',
+    departure: 'Departure',
+    pickup: 'Pickup',
+    pickupTime: 'Pickup time',
+    drop: 'Drop',
+    dropTime: 'Drop time',
+    seats: 'Seat(s)',
+    amountPaid: 'Amount paid',
+    cancellationFee: 'Cancellation fee',
+    refundAmount: 'Refund amount'
+  },
+  common: {
+    wallet: 'wallet',
+    originalPaymentMethod: 'original payment method',
+    reason: 'Reason: {{reason}}.',
+    apology: 'We apologise for the inconvenience.',
+    footer: 'This is an automated message from Capsule Cabs. Please do not reply.'
+  }
+};
@@ -0,0 +1,76 @@
+// Hindi
+export default {
+  'booking-confirmation': {
+    subject: 'बुकिंग की पुष्टि: {{origin}} से {{destination}}',
+    message: 'बुकिंग {{bookingId}} की पुष्टि हो गई है। {{origin}} से {{destination}}, {{date}} को {{departureTime}} बजे। ' +
+      'पिकअप: {{pickup}}। सीट: {{seats}}।',
+    emailSubject: 'बुकिंग की पुष्टि: {{origin}} से {{destination}} ({{bookingId}})',
+    title: 'आपकी बुकिंग की पुष्टि हो गई है',
+    intro: 'नमस्ते {{name}}, आपकी सीटें बुक हो गई हैं। यात्रा कैलेंडर आमंत्रण के रूप में संलग्न है।'
+  },
+  'booking-cancellation': {
+    subject: 'बुकिंग रद्द: {{bookingId}}',
+    message: 'बुकिंग {{bookingId}} ({{origin}} से {{destination}}) रद्द कर दी गई है। {{refund}}',
+    emailSubject: 'बुकिंग रद्द: {{bookingId}}',
+    title: 'आपकी बुकिंग रद्द कर दी गई है',
+    intro: 'नमस्ते {{name}}, बुकिंग {{bookingId}} रद्द कर दी गई है।',
+    refund: '{{amount}} का रिफंड आपके {{refundTo}} में भेजा जा रहा है।',
+    refundCompleted: '{{amount}} का रिफंड आपके {{refundTo}} में जमा कर दिया गया है।',
+    noRefund: 'इस रद्दीकरण पर कोई रिफंड देय नहीं है।'
+  },
+  'trip-reminder': {
+    subject: 'यात्रा रिमाइंडर: {{origin}} से {{destination}}, {{departureTime}} बजे',
+    message: 'आपकी यात्रा {{origin}} से {{destination}} {{date}} को {{departureTime}} बजे रवाना होगी। ' +
+      'पिकअप: {{pickup}}। सीट: {{seats}}। बुकिंग आईडी: {{bookingId}}',
+    emailSubject: 'यात्रा रिमाइंडर: {{origin}} से {{destination}}, {{departureTime}} बजे',
+    title: 'आपकी यात्रा नज़दीक है',
+    intro: 'नमस्ते {{name}}, आपकी यात्रा {{date}} को {{departureTime}} बजे रवाना होगी। कृपया कुछ मिनट पहले पिकअप पॉइंट पर पहुँचें।'
+  },
+  'departure-cancelled': {
+    subject: 'प्रस्थान रद्द: {{origin}} से {{destination}}, {{date}}',
+    message: '{{date}} को {{origin}} से {{destination}} का {{departureTime}} बजे का प्रस्थान रद्द कर दिया गया है। {{reason}} ' +
+      'बुकिंग {{bookingId}} को बिना शुल्क किसी अन्य प्रस्थान में बदला जा सकता है, या पूरे रिफंड के साथ रद्द किया जा सकता है। {{alternatives}}',
+    emailSubject: 'प्रस्थान रद्द: {{origin}} से {{destination}} ({{bookingId}})',
+    title: 'आपका प्रस्थान रद्द कर दिया गया है',
+    intro: 'नमस्ते {{name}}, बुकिंग {{bookingId}} का {{date}} को {{departureTime}} बजे का प्रस्थान नहीं चलेगा। बिना शुल्क किसी अन्य प्रस्थान में बदलें, या पूरे रिफंड के साथ रद्द करें।',
+    alternatives: 'सीटों वाले अगले प्रस्थान: {{list}}।',
+    noAlternatives: 'आने वाले दिनों में सीटों वाला कोई अन्य प्रस्थान नहीं है।'
+  },
+  'departure-rescheduled': {
+    subject: 'प्रस्थान का नया समय: {{origin}} से {{destination}}, {{date}}',
+    message: '{{date}} को आपकी {{origin}} से {{destination}} की यात्रा अब {{previousTime}} के बजाय {{departureTime}} बजे रवाना होगी। {{reason}} ' +
+      'यदि नया समय आपके अनुकूल नहीं है, तो बुकिंग {{bookingId}} को बिना शुल्क बदलें या पूरे रिफंड के साथ रद्द करें।',
+    emailSubject: 'बुकिंग {{bookingId}} के प्रस्थान का नया समय',
+    title: 'आपके प्रस्थान का समय बदल गया है',
+    intro: 'नमस्ते {{name}}, {{date}} को आपकी यात्रा अब {{previousTime}} के बजाय {{departureTime}} बजे रवाना होगी।'
+  },
+  otp: {
+    subject: 'आपका सत्यापन कोड',
+    message: 'आपका Capsule Cabs सत्यापन कोड है: {{otp}}। यह {{minutes}} मिनट तक मान्य है। यह कोड किसी के साथ साझा न करें।',
+    emailSubject: 'Capsule Cabs सत्यापन कोड: {{otp}}',
+    title: 'आपका सत्यापन कोड',
+    intro: 'साइन इन करने के लिए इस कोड का उपयोग करें। यह {{minutes}} मिनट तक मान्य है। इसे किसी के साथ साझा न करें।'
+  },
+  labels: {
+    bookingId: 'बुकिंग आईडी',
+    route: 'मार्ग',
+    routeValue: '{{origin}} से {{destination}}',
+    date: 'तारीख',
+    departure: 'प्रस्थान',
+    pickup: 'पिकअप',
+    pickupTime: 'पिकअप समय',
+    drop: 'ड्रॉप',
+    dropTime: 'ड्रॉप समय',
+    seats: 'सीट',
+    amountPaid: 'भुगतान राशि',
+    cancellationFee: 'रद्दीकरण शुल्क',
+    refundAmount: 'रिफंड राशि'
+  },
+  common: {
+    wallet: 'वॉलेट',
+    originalPaymentMethod: 'मूल भुगतान माध्यम',
+    reason: 'कारण: {{reason}}।',
+    apology: 'असुविधा के लिए हमें खेद है।',
+    footer: 'यह Capsule Cabs का एक स्वचालित संदेश है। कृपया उत्तर न दें।'
+  }
+};
@@ -0,0 +1,76 @@
+// Tamil
+export default {
+  'booking-confirmation': {
+    subject: 'முன்பதிவு உறுதிசெய்யப்பட்டது: {{origin}} முதல் {{destination}} வரை',
+    message: 'முன்பதிவு {{bookingId}} உறுதிசெய்யப்பட்டது. {{origin}} முதல் {{destination}} வரை, {{date}} அன்று {{departureTime}} மணிக்கு. ' +
+      'பிக்அப்: {{pickup}}. இருக்கை(கள்): {{seats}}.',
+    emailSubject: 'முன்பதிவு உறுதிசெய்யப்பட்டது: {{origin}} முதல் {{destination}} வரை ({{bookingId}})',
+    title: 'உங்கள் முன்பதிவு உறுதிசெய்யப்பட்டது',
+    intro: 'வணக்கம் {{name}}, உங்கள் இருக்கைகள் முன்பதிவு செய்யப்பட்டன. பயண விவரம் காலண்டர் அழைப்பாக இணைக்கப்பட்டுள்ளது.'
+  },
+  'booking-cancellation': {
+    subject: 'முன்பதிவு ரத்து செய்யப்பட்டது: {{bookingId}}',
+    message: 'முன்பதிவு {{bookingId}} ({{origin}} முதல் {{destination}} வரை) ரத்து செய்யப்பட்டது. {{refund}}',
+    emailSubject: 'முன்பதிவு ரத்து செய்யப்பட்டது: {{bookingId}}',
+    title: 'உங்கள் முன்பதிவு ரத்து செய்யப்பட்டது',
+    intro: 'வணக்கம் {{name}}, முன்பதிவு {{bookingId}} ரத்து செய்யப்பட்டது.',
+    refund: '{{amount}} பணத்திருப்பம் உங்கள் {{refundTo}}க்கு அனுப்பப்படுகிறது.',
+    refundCompleted: '{{amount}} பணத்திருப்பம் உங்கள் {{refundTo}}க்கு வரவு வைக்கப்பட்டது.',
+    noRefund: 'இந்த ரத்துக்கு பணத்திருப்பம் இல்லை.'
+  },
+  'trip-reminder': {
+    subject: 'பயண நினைவூட்டல்: {{origin}} முதல் {{destination}} வரை, {{departureTime}} மணிக்கு',
+    message: 'உங்கள் பயணம் {{origin}} முதல் {{destination}} வரை {{date}} அன்று {{departureTime}} மணிக்கு புறப்படும். ' +
+      'பிக்அப்: {{pickup}}. இருக்கை(கள்): {{seats}}. முன்பதிவு ID: {{bookingId}}',
+    emailSubject: 'பயண நினைவூட்டல்: {{origin}} முதல் {{destination}} வரை, {{departureTime}} மணிக்கு',
+    title: 'உங்கள் பயணம் நெருங்குகிறது',
+    intro: 'வணக்கம் {{name}}, உங்கள் பயணம் {{date}} அன்று {{departureTime}} மணிக்கு புறப்படும். சில நிமிடங்கள் முன்னதாகவே பிக்அப் இடத்திற்கு வரவும்.'
+  },
+  'departure-cancelled': {
+    subject: 'புறப்பாடு ரத்து: {{origin}} முதல் {{destination}} வரை, {{date}}',
+    message: '{{date}} அன்று {{origin}} முதல் {{destination}} வரை {{departureTime}} மணி புறப்பாடு ரத்து செய்யப்பட்டது. {{reason}} ' +
+      'முன்பதிவு {{bookingId}} ஐ கட்டணமின்றி வேறு புறப்பாட்டிற்கு மாற்றலாம், அல்லது முழு பணத்திருப்பத்துடன் ரத்து செய்யலாம். {{alternatives}}',
+    emailSubject: 'புறப்பாடு ரத்து: {{origin}} முதல் {{destination}} வரை ({{bookingId}})',
+    title: 'உங்கள் புறப்பாடு ரத்து செய்யப்பட்டது',
+    intro: 'வணக்கம் {{name}}, முன்பதிவு {{bookingId}} இன் {{date}} அன்று {{departureTime}} மணி புறப்பாடு இயங்காது. கட்டணமின்றி வேறு புறப்பாட்டிற்கு மாற்றவும், அல்லது முழு பணத்திருப்பத்துடன் ரத்து செய்யவும்.',
+    alternatives: 'இருக்கைகள் உள்ள அடுத்த புறப்பாடுகள்: {{list}}.',
+    noAlternatives: 'வரும் நாட்களில் இருக்கைகள் உள்ள வேறு புறப்பாடுகள் இல்லை.'
+  },
+  'departure-rescheduled': {
+    subject: 'புதிய புறப்பாட்டு நேரம்: {{origin}} முதல் {{destination}} வரை, {{date}}',
+    message: '{{date}} அன்று உங்கள் {{origin}} முதல் {{destination}} வரையிலான பயணம் இப்போது {{previousTime}} மணிக்கு பதிலாக {{departureTime}} மணிக்கு புறப்படும். {{reason}} ' +
+      'புதிய நேரம் உங்களுக்கு பொருந்தவில்லை என்றால், முன்பதிவு {{bookingId}} ஐ கட்டணமின்றி மாற்றவும் அல்லது முழு பணத்திருப்பத்துடன் ரத்து செய்யவும்.',
+    emailSubject: 'முன்பதிவு {{bookingId}} க்கான புதிய புறப்பாட்டு நேரம்',
+    title: 'உங்கள் புறப்பாட்டு நேரம் மாறியுள்ளது',
+    intro: 'வணக்கம் {{name}}, {{date}} அன்று உங்கள் பயணம் இப்போது {{previousTime}} மணிக்கு பதிலாக {{departureTime}} மணிக்கு புறப்படும்.'
+  },
+  otp: {
+    subject: 'உங்கள் சரிபார்ப்புக் குறியீடு',
+    message: 'உங்கள் Capsule Cabs சரிபார்ப்புக் குறியீடு: {{otp}}. இது {{minutes}} நிமிடங்களுக்குச் செல்லுபடியாகும். இதை யாருடனும் பகிர வேண்டாம்.',
+    emailSubject: 'Capsule Cabs சரிபார்ப்புக் குறியீடு: {{otp}}',
+    title: 'உங்கள் சரிபார்ப்புக் குறியீடு',
+    intro: 'உள்நுழைய இந்தக் குறியீட்டைப் பயன்படுத்தவும். இது {{minutes}} நிமிடங்களுக்குச் செல்லுபடியாகும். இதை யாருடனும் பகிர வேண்டாம்.'
+  },
+  labels: {
+    bookingId: 'முன்பதிவு ID',
+    route: 'வழித்தடம்',
+    routeValue: '{{origin}} முதல் {{destination}} வரை',
+    date: 'தேதி',
+    departure: 'புறப்பாடு',
+    pickup: 'பிக்அப்',
+    pickupTime: 'பிக்அப் நேரம்',
+    drop: 'இறக்கம்',
+    dropTime: 'இறக்க நேரம்',
+    seats: 'இருக்கை(கள்)',
+    amountPaid: 'செலுத்திய தொகை',
+    cancellationFee: 'ரத்து கட்டணம்',
+    refundAmount: 'பணத்திருப்பத் தொகை'
+  },
+  common: {
+    wallet: 'வாலட்',
+    originalPaymentMethod: 'அசல் கட்டண முறை',
+    reason: 'காரணம்: {{reason}}.',
+    apology: 'ஏற்பட்ட சிரமத்திற்கு வருந்துகிறோம்.',
+    footer: 'இது Capsule Cabs அனுப்பிய தானியங்கி செய்தி. பதில் அனுப்ப வேண்டாம்.'
+  }
+};
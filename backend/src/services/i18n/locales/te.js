@@ -0,0 +1,76 @@
+// Telugu
+export default {
+  'booking-confirmation': {
+    subject: 'బుకింగ్ నిర్ధారించబడింది: {{origin}} నుండి {{destination}}',
+    message: 'బుకింగ్ {{bookingId}} నిర్ధారించబడింది. {{origin}} నుండి {{destination}}, {{date}} న {{departureTime}} కి. ' +
+      'పికప్: {{pickup}}. సీటు(లు): {{seats}}.',
+    emailSubject: 'బుకింగ్ నిర్ధారించబడింది: {{origin}} నుండి {{destination}} ({{bookingId}})',
+    title: 'మీ బుకింగ్ నిర్ధారించబడింది',
+    intro: 'నమస్తే {{name}}, మీ సీట్లు బుక్ అయ్యాయి. ప్రయాణ వివరాలు క్యాలెండర్ ఆహ్వానంగా జతచేయబడ్డాయి.'
+  },
+  'booking-cancellation': {
+    subject: 'బుకింగ్ రద్దు చేయబడింది: {{bookingId}}',
+    message: 'బుకింగ్ {{bookingId}} ({{origin}} నుండి {{destination}}) రద్దు చేయబడింది. {{refund}}',
+    emailSubject: 'బుకింగ్ రద్దు చేయబడింది: {{bookingId}}',
+    title: 'మీ బుకింగ్ రద్దు చేయబడింది',
+    intro: 'నమస్తే {{name}}, బుకింగ్ {{bookingId}} రద్దు చేయబడింది.',
+    refund: '{{amount}} రీఫండ్ మీ {{refundTo}} కి పంపబడుతోంది.',
+    refundCompleted: '{{amount}} రీఫండ్ మీ {{refundTo}} కి జమ చేయబడింది.',
+    noRefund: 'ఈ రద్దుకు రీఫండ్ వర్తించదు.'
+  },
+  'trip-reminder': {
+    subject: 'ప్రయాణ రిమైండర్: {{origin}} నుండి {{destination}}, {{departureTime}} కి',
+    message: 'మీ ప్రయాణం {{origin}} నుండి {{destination}} {{date}} న {{departureTime}} కి బయలుదేరుతుంది. ' +
+      'పికప్: {{pickup}}. సీటు(లు): {{seats}}. బుకింగ్ ID: {{bookingId}}',
+    emailSubject: 'ప్రయాణ రిమైండర్: {{origin}} నుండి {{destination}}, {{departureTime}} కి',
+    title: 'మీ ప్రయాణం దగ్గరలో ఉంది',
+    intro: 'నమస్తే {{name}}, మీ ప్రయాణం {{date}} న {{departureTime}} కి బయలుదేరుతుంది. దయచేసి కొన్ని నిమిషాల ముందే పికప్ పాయింట్ వద్ద ఉండండి.'
+  },
+  'departure-cancelled': {
+    subject: 'సర్వీస్ రద్దు: {{origin}} నుండి {{destination}}, {{date}}',
+    message: '{{date}} న {{origin}} నుండి {{destination}} కి {{departureTime}} కి బయలుదేరే సర్వీస్ రద్దు చేయబడింది. {{reason}} ' +
+      'బుకింగ్ {{bookingId}} ను ఎలాంటి ఛార్జీ లేకుండా మరో సర్వీస్ కి మార్చవచ్చు, లేదా పూర్తి రీఫండ్ తో రద్దు చేయవచ్చు. {{alternatives}}',
+    emailSubject: 'సర్వీస్ రద్దు: {{origin}} నుండి {{destination}} ({{bookingId}})',
+    title: 'మీ సర్వీస్ రద్దు చేయబడింది',
+    intro: 'నమస్తే {{name}}, బుకింగ్ {{bookingId}} కి చెందిన {{date}} న {{departureTime}} సర్వీస్ నడవదు. ఎలాంటి ఛార్జీ లేకుండా మరో సర్వీస్ కి మార్చండి, లేదా పూర్తి రీఫండ్ తో రద్దు చేయండి.',
+    alternatives: 'సీట్లు ఉన్న తదుపరి సర్వీసులు: {{list}}.',
+    noAlternatives: 'రాబోయే రోజుల్లో సీట్లు ఉన్న ఇతర సర్వీసులు లేవు.'
+  },
+  'departure-rescheduled': {
+    subject: 'కొత్త బయలుదేరే సమయం: {{origin}} నుండి {{destination}}, {{date}}',
+    message: '{{date}} న మీ {{origin}} నుండి {{destination}} ప్రయాణం ఇప్పుడు {{previousTime}} కి బదులుగా {{departureTime}} కి బయలుదేరుతుంది. {{reason}} ' +
+      'కొత్త సమయం మీకు అనుకూలం కాకపోతే, బుకింగ్ {{bookingId}} ను ఎలాంటి ఛార్జీ లేకుండా మార్చండి లేదా పూర్తి రీఫండ్ తో రద్దు చేయండి.',
+    emailSubject: 'బుకింగ్ {{bookingId}} కి కొత్త బయలుదేరే సమయం',
+    title: 'మీ బయలుదేరే సమయం మారింది',
+    intro: 'నమస్తే {{name}}, {{date}} న మీ ప్రయాణం ఇప్పుడు {{previousTime}} కి బదులుగా {{departureTime}} కి బయలుదేరుతుంది.'
+  },
+  otp: {
+    subject: 'మీ ధృవీకరణ కోడ్',
+    message: 'మీ Capsule Cabs ధృవీకరణ కోడ్: {{otp}}. ఇది {{minutes}} నిమిషాల పాటు చెల్లుతుంది. ఈ కోడ్‌ను ఎవరితోనూ పంచుకోవద్దు.',
+    emailSubject: 'Capsule Cabs ధృవీకరణ కోడ్: {{otp}}',
+    title: 'మీ ధృవీకరణ కోడ్',
+    intro: 'సైన్ ఇన్ చేయడానికి ఈ కోడ్‌ను ఉపయోగించండి. ఇది {{minutes}} నిమిషాల పాటు చెల్లుతుంది. దీన్ని ఎవరితోనూ పంచుకోవద్దు.'
+  },
+  labels: {
+    bookingId: 'బుకింగ్ ID',
+    route: 'మార్గం',
+    routeValue: '{{origin}} నుండి {{destination}}',
+    date: 'తేదీ',
+    departure: 'బయలుదేరే సమయం',
+    pickup: 'పికప్',
+    pickupTime: 'పికప్ సమయం',
+    drop: 'డ్రాప్',
+    dropTime: 'డ్రాప్ సమయం',
+    seats: 'సీటు(లు)',
+    amountPaid: 'చెల్లించిన మొత్తం',
+    cancellationFee: 'రద్దు రుసుము',
+    refundAmount: 'రీఫండ్ మొత్తం'
+  },
+  common: {
+    wallet: 'వాలెట్',
+    originalPaymentMethod: 'అసలు చెల్లింపు విధానం',
+    reason: 'కారణం: {{reason}}.',
+    apology: 'అసౌకర్యానికి చింతిస్తున్నాము.',
+    footer: 'ఇది Capsule Cabs నుండి వచ్చిన ఆటోమేటెడ్ సందేశం. దయచేసి ప్రత్యుత్తరం ఇవ్వవద్దు.'
+  }
+};
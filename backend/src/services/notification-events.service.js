@@ -0,0 +1,23 @@
+import { EventEmitter } from 'events';
+
+// In-process bus for user notifications; the socket layer relays them to the user's room
+const notificationEvents = new EventEmitter();
+
+export const NOTIFICATION_CREATED = 'notification';
+
+/**
+ * Socket.IO room every socket of a user joins
+ * @param {string} userId - User ID
+ * @returns {string} - Room name
+ */
+export const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Announce a new notification for a user
+ * @param {Object} notification - Notification document
+ */
+export const emitNotification = (notification) => {
+  notificationEvents.emit(NOTIFICATION_CREATED, notification.toJSON ? notification.toJSON() : notification);
+};
+
+export default notificationEvents;
@@ -0,0 +1,101 @@
+import Notification from '../models/notification.model.js';
+import { emitNotification } from './notification-events.service.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-user in-app notifications, pushed over Socket.IO as they are created
+class NotificationInboxService {
+  constructor() {
+    this.ttlDays = parseInt(process.env.NOTIFICATION_TTL_DAYS) || 90;
+  }
+
+  /**
+   * Add a notification to a user's inbox
+   * @param {string} userId - User ID
+   * @param {Object} notification - { type, title, message, payload, expiresAt }
+   * @returns {Promise<Object>} - Created notification
+   */
+  async create(userId, { type, title, message, payload = {}, expiresAt }) {
+    const notification = await Notification.create({
+      userId,
+      type,
+      title,
+      message,
+      payload,
+      expiresAt: expiresAt || new Date(Date.now() + this.ttlDays * DAY_MS)
+    });
+
+    emitNotification(notification);
+    logger.debug(`Notification ${notification._id} (${type}) created for user ${userId}`);
+    return notification;
+  }
+
+  /**
+   * Get a page of a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit, read, type }
+   * @returns {Promise<Object>} - Notifications, total matching and unread count
+   */
+  async list(userId, { page = 1, limit = 20, read, type } = {}) {
+    const query = { userId };
+    if (typeof read === 'boolean') query.read = read;
+    if (type) query.type = type;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId, read: false })
+    ]);
+
+    return { notifications, total, unreadCount };
+  }
+
+  /**
+   * Mark one of a user's notifications as read
+   * @param {string} userId - User ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object|null>} - Updated notification, or null if not the user's
+   */
+  async markRead(userId, notificationId) {
+    return Notification.findOneAndUpdate(
+      { _id: notificationId, userId },
+      [{ $set: { read: true, readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+      { new: true }
+    );
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Number of notifications updated
+   */
+  async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { userId, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Delete one of a user's notifications
+   * @param {string} userId - User ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<boolean>} - Whether a notification was deleted
+   */
+  async remove(userId, notificationId) {
+    const result = await Notification.deleteOne({ _id: notificationId, userId });
+    return result.deletedCount === 1;
+  }
+}
+
+// Singleton instance
+const notificationInboxService = new NotificationInboxService();
+
+export default notificationInboxService;
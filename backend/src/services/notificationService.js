@@ -1,37 +1,170 @@
 import logger from '../utils/logger.js';
+import { getSmsProvider } from './sms/index.js';
+import SmsMessage from '../models/sms-message.model.js';
+import Booking from '../models/booking.model.js';
+import { getMailTransport, getMailFrom } from './email/mailer.js';
+import { renderEmail } from './email/templates.js';
+import { buildJourneyEvent } from './email/ics.js';
+import pushService from './push.service.js';
 
-// Placeholder SMS service - implement with actual Twilio or other SMS provider
-export const sendSMS = async (phone, message) => {
+// Later states win; receipts can arrive out of order
+const SMS_STATUS_RANK = {
+  accepted: 0,
+  queued: 1,
+  sending: 2,
+  sent: 3,
+  delivered: 4,
+  undelivered: 4,
+  failed: 4,
+  canceled: 4
+};
+
+// Send an SMS through the configured provider and keep a delivery record for it
+export const sendSMS = async (phone, message, { purpose = 'other', bookingId, userId } = {}) => {
   try {
-    logger.info(`Sending SMS to ${phone}: ${message}`);
-    // Placeholder - implement actual SMS sending logic
-    return { success: true, messageId: 'placeholder' };
+    const provider = getSmsProvider();
+    const result = await provider.send({
+      to: phone,
+      body: message,
+      statusCallback: process.env.SMS_STATUS_CALLBACK_URL
+    });
+
+    const now = new Date();
+    await SmsMessage.create({
+      provider: provider.name,
+      messageId: result.messageId,
+      to: phone,
+      purpose,
+      bookingId,
+      userId,
+      status: result.status,
+      statusHistory: [{ status: result.status, at: now }],
+      sentAt: now
+    });
+
+    if (purpose === 'booking-confirmation' && bookingId) {
+      await Booking.updateOne(
+        { bookingId },
+        {
+          $set: {
+            'notifications.bookingConfirmation.sms.sent': true,
+            'notifications.bookingConfirmation.sms.sentAt': now,
+            'notifications.bookingConfirmation.sms.messageId': result.messageId
+          }
+        }
+      );
+    }
+
+    logger.info(`SMS ${result.messageId} (${purpose}) sent to ${phone}`);
+    return { success: true, messageId: result.messageId, status: result.status };
   } catch (error) {
     logger.error('SMS sending error:', error);
     throw error;
   }
 };
 
-// Placeholder email service - implement with actual nodemailer
-export const sendEmail = async (email, subject, message) => {
+// Record a delivery receipt posted by the SMS provider
+export const handleSmsStatusCallback = async (url, params, headers) => {
+  const update = getSmsProvider().parseStatusCallback(url, params, headers);
+
+  const sms = await SmsMessage.findOne({ messageId: update.messageId });
+  if (!sms) {
+    logger.warn(`Status callback for unknown SMS ${update.messageId}`);
+    return null;
+  }
+
+  sms.statusHistory.push({ status: update.status, errorCode: update.errorCode, at: new Date() });
+
+  if ((SMS_STATUS_RANK[update.status] ?? -1) >= (SMS_STATUS_RANK[sms.status] ?? -1)) {
+    sms.status = update.status;
+    if (update.status === 'delivered') sms.deliveredAt = new Date();
+    if (update.errorCode) sms.errorCode = update.errorCode;
+    if (update.errorMessage) sms.errorMessage = update.errorMessage;
+  }
+
+  await sms.save();
+
+  // A confirmation that never arrived doesn't count as sent
+  if (sms.purpose === 'booking-confirmation' && sms.bookingId && ['undelivered', 'failed'].includes(sms.status)) {
+    await Booking.updateOne(
+      { bookingId: sms.bookingId, 'notifications.bookingConfirmation.sms.messageId': sms.messageId },
+      { $set: { 'notifications.bookingConfirmation.sms.sent': false } }
+    );
+  }
+
+  return sms;
+};
+
+// Send an email over SMTP, rendered from the event's HTML/text template when there is one
+export const sendEmail = async (email, subject, message, { purpose = 'other', bookingId, language, data = {} } = {}) => {
   try {
-    logger.info(`Sending email to ${email}: ${subject}`);
-    // Placeholder - implement actual email sending logic
-    return { success: true, messageId: 'placeholder' };
+    const booking = bookingId ? await Booking.findOne({ bookingId }) : null;
+    const rendered = renderEmail(purpose, { ...data, booking, language });
+
+    const attachments = [];
+    if (purpose === 'booking-confirmation' && booking) {
+      attachments.push({
+        filename: `${booking.bookingId}.ics`,
+        content: buildJourneyEvent(booking),
+        contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+      });
+    }
+
+    const info = await getMailTransport().sendMail({
+      from: getMailFrom(),
+      to: email,
+      subject: rendered?.subject || subject,
+      text: rendered?.text || message,
+      ...(rendered?.html && { html: rendered.html }),
+      ...(attachments.length > 0 && { attachments })
+    });
+
+    if (purpose === 'booking-confirmation' && booking) {
+      await Booking.updateOne(
+        { bookingId },
+        {
+          $set: {
+            'notifications.bookingConfirmation.email.sent': true,
+            'notifications.bookingConfirmation.email.sentAt': new Date(),
+            'notifications.bookingConfirmation.email.messageId': info.messageId
+          }
+        }
+      );
+    }
+
+    logger.info(`Email ${info.messageId} (${purpose}) sent to ${email}`);
+    return { success: true, messageId: info.messageId };
   } catch (error) {
     logger.error('Email sending error:', error);
     throw error;
   }
 };
 
-// Placeholder push notification service
-export const sendPushNotification = async (userId, title, body) => {
+// Send a web push notification to every device the user subscribed
+export const sendPushNotification = async (userId, title, body, { purpose = 'other', bookingId } = {}) => {
   try {
-    logger.info(`Sending push notification to user ${userId}: ${title}`);
-    // Placeholder - implement actual push notification logic
-    return { success: true, messageId: 'placeholder' };
+    const result = await pushService.sendToUser(userId, {
+      title,
+      body,
+      data: { type: purpose, bookingId, url: bookingId ? '/dashboard' : '/' }
+    });
+
+    if (purpose === 'booking-confirmation' && bookingId && result.sent > 0) {
+      await Booking.updateOne(
+        { bookingId },
+        {
+          $set: {
+            'notifications.bookingConfirmation.push.sent': true,
+            'notifications.bookingConfirmation.push.sentAt': new Date()
+          }
+        }
+      );
+    }
+
+    logger.info(`Push notification (${purpose}) to user ${userId}: ${result.sent} sent, ${result.removed} expired`);
+    return { success: true, ...result };
   } catch (error) {
     logger.error('Push notification error:', error);
     throw error;
   }
-}; 
\ No newline at end of file
+};
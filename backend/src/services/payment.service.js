@@ -0,0 +1,777 @@
+import Booking from '../models/booking.model.js';
+import SeatAvailability from '../models/seat.model.js';
+import WebhookEvent from '../models/webhook-event.model.js';
+import seatLockingService from './seat-locking.service.js';
+import walletService from './wallet.service.js';
+import bookingNotificationService from './booking-notification.service.js';
+import { getPaymentGateway } from './gateways/index.js';
+import logger from '../utils/logger.js';
+
+// Payment processing for bookings on top of the pluggable gateway adapters
+class PaymentService {
+  constructor() {
+    this.maxRefundAttempts = parseInt(process.env.REFUND_MAX_ATTEMPTS) || 5;
+    // A refund still processing after this long is assumed lost (crash, timeout) and sent again
+    this.refundProcessingTimeoutMinutes = parseInt(process.env.REFUND_PROCESSING_TIMEOUT_MINUTES) || 15;
+  }
+
+  /**
+   * Charge a pending booking through the configured gateway
+   * @param {Object} booking - Booking document with payment status `pending`
+   * @param {Object} options - Payment options
+   * @param {string} options.paymentMethodId - Gateway payment method reference (not needed for wallet)
+   * @returns {Promise<Object>} - Payment result with the updated booking
+   */
+  async processPayment(booking, { paymentMethodId } = {}) {
+    const gateway = getPaymentGateway(booking.payment.paymentMethod === 'wallet' ? 'wallet' : undefined);
+
+    // Move pending -> processing atomically so concurrent requests cannot charge twice
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'payment.status': 'pending' },
+      {
+        $set: { 'payment.status': 'processing', 'payment.gateway.name': gateway.name },
+        $inc: { 'payment.attempts': 1 }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new Error('Payment is already in progress or completed for this booking');
+    }
+
+    const seatNumbers = claimed.passengers.map(p => p.seatNumber);
+    const availability = await SeatAvailability.findForBooking(claimed);
+
+    // Never take money for seats the customer no longer holds
+    if (!availability || !availability.areSeatsLockedBy(seatNumbers, claimed.user.userId, claimed.journey)) {
+      const failureReason = 'Seat lock expired before payment was completed';
+      const failed = await this.markPaymentFailed(claimed, failureReason);
+      return { status: 'failed', booking: failed || claimed, failureReason };
+    }
+
+    let result;
+    try {
+      result = await gateway.charge({
+        amount: claimed.payment.totalAmount,
+        currency: claimed.payment.currency,
+        paymentMethodId,
+        // Per attempt - a retry after a decline or a gateway error must not replay the earlier result
+        idempotencyKey: `booking-${claimed.bookingId}-${claimed.payment.attempts}`,
+        metadata: { bookingId: claimed.bookingId, userId: claimed.user.userId.toString() }
+      });
+    } catch (error) {
+      // Gateway unreachable - put the booking back so the customer can retry
+      logger.error('Payment gateway error:', error);
+      claimed.payment.status = 'pending';
+      await claimed.save();
+      throw error;
+    }
+
+    claimed.payment.paymentId = result.transactionId || result.gatewayOrderId;
+    claimed.payment.gateway = {
+      name: gateway.name,
+      transactionId: result.transactionId,
+      gatewayOrderId: result.gatewayOrderId
+    };
+    await claimed.save();
+
+    let updated = claimed;
+    if (result.status === 'succeeded') {
+      updated = await this.markPaymentSucceeded(claimed) || claimed;
+    } else if (result.status === 'failed') {
+      updated = await this.markPaymentDeclined(claimed, result.failureReason) || claimed;
+    }
+    // Anything else is still processing - the webhook will tell us the outcome
+
+    return {
+      status: result.status,
+      booking: updated,
+      clientSecret: result.clientSecret,
+      failureReason: result.failureReason
+    };
+  }
+
+  /**
+   * Confirm a booking once the gateway reports a successful charge. The payment is recorded first,
+   * the booking is only confirmed once its seats are; if they can't be, the money goes back.
+   * Safe to call more than once - only the first call for a booking has any effect.
+   * @param {Object} booking - Booking document
+   * @param {Object} details - Gateway references to record
+   * @returns {Promise<Object|null>} - Updated booking, or null if already finalised
+   */
+  async markPaymentSucceeded(booking, details = {}) {
+    const update = {
+      'payment.status': 'completed',
+      'payment.paidAt': new Date(),
+      'payment.paidAmount': booking.payment.totalAmount
+    };
+    if (details.transactionId) {
+      update['payment.gateway.transactionId'] = details.transactionId;
+      update['payment.paymentId'] = details.transactionId;
+    }
+
+    // Claims the payment; the booking itself stays pending until its seats are confirmed
+    const paid = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'payment.status': { $in: ['pending', 'processing'] } },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!paid) {
+      logger.info(`Payment for booking ${booking.bookingId} already finalised, skipping success`);
+      return null;
+    }
+
+    const seatNumbers = paid.passengers.map(p => p.seatNumber);
+    const userId = paid.user.userId;
+
+    try {
+      const availability = await SeatAvailability.findForBooking(paid);
+      if (!availability) {
+        throw new Error('Seat availability not found');
+      }
+      await availability.confirmBooking(seatNumbers, userId, paid.bookingId, paid.journey);
+    } catch (error) {
+      // The locks lapsed while the charge was in flight - give the money back
+      logger.error(`Seats for booking ${paid.bookingId} lost after payment, refunding:`, error);
+      paid.status = 'cancelled';
+      paid.cancellation = {
+        cancelledAt: new Date(),
+        reason: 'other',
+        refundAmount: paid.payment.totalAmount,
+        cancellationFee: 0,
+        notes: `Seats were no longer available when the payment completed: ${error.message}`
+      };
+      await paid.save();
+      return this.refundBooking(paid, paid.payment.totalAmount, 'Seats no longer available');
+    }
+
+    const updated = await Booking.findByIdAndUpdate(paid._id, { $set: { status: 'confirmed' } }, { new: true });
+
+    // Clear user's seat locks from cache
+    await seatLockingService.releaseSeats(
+      updated.route.routeId,
+      updated.journey.travelDate,
+      updated.journey.departureId,
+      seatNumbers,
+      userId
+    );
+
+    logger.info(`Payment completed for booking ${updated.bookingId}`);
+
+    await bookingNotificationService.sendConfirmation(updated);
+    return updated;
+  }
+
+  /**
+   * Put a booking back to pending after the gateway declined the charge. The booking and its
+   * seat locks are kept so the customer can pay again, with another card, until the locks expire.
+   * @param {Object} booking - Booking document
+   * @param {string} reason - Decline reason reported by the gateway
+   * @returns {Promise<Object|null>} - Updated booking, or null if already finalised
+   */
+  async markPaymentDeclined(booking, reason = 'Payment declined') {
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'pending', 'payment.status': { $in: ['pending', 'processing'] } },
+      { $set: { 'payment.status': 'pending', 'payment.failureReason': reason } },
+      { new: true }
+    );
+
+    if (!updated) {
+      logger.info(`Payment for booking ${booking.bookingId} already finalised, skipping decline`);
+      return null;
+    }
+
+    logger.info(`Payment declined for booking ${updated.bookingId}: ${reason}`);
+    return updated;
+  }
+
+  /**
+   * Mark a booking's payment as failed and free the seats it was holding.
+   * Safe to call more than once - only the first call for a booking has any effect.
+   * @param {Object} booking - Booking document
+   * @param {string} reason - Failure reason reported by the gateway
+   * @param {Array<string>} fromStatuses - Payment statuses the failure applies to
+   * @returns {Promise<Object|null>} - Updated booking, or null if already finalised
+   */
+  async markPaymentFailed(booking, reason = 'Payment failed', fromStatuses = ['pending', 'processing']) {
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'payment.status': { $in: fromStatuses } },
+      {
+        $set: {
+          status: 'cancelled',
+          'payment.status': 'failed',
+          cancellation: {
+            cancelledAt: new Date(),
+            reason: 'other',
+            notes: `Payment failed: ${reason}`
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      logger.info(`Payment for booking ${booking.bookingId} already finalised, skipping failure`);
+      return null;
+    }
+
+    const availability = await SeatAvailability.findForBooking(updated);
+
+    if (availability) {
+      await availability.releaseLocks(updated.passengers.map(p => p.seatNumber), updated.user.userId);
+    }
+
+    logger.info(`Payment failed for booking ${updated.bookingId}: ${reason}`);
+    return updated;
+  }
+
+  /**
+   * Charge a card through the configured gateway and credit the wallet
+   * @param {Object} user - User document
+   * @param {number} amount - Top-up amount
+   * @param {string} paymentMethodId - Gateway payment method reference
+   * @returns {Promise<Object>} - Top-up result with the ledger entry
+   */
+  async topUpWallet(user, amount, paymentMethodId) {
+    const gateway = getPaymentGateway();
+
+    // Ledger entry first - once the card is charged there is always something to credit
+    const pendingTopUp = await walletService.createPendingTopUp(user._id, amount);
+    const topUpId = pendingTopUp._id.toString();
+
+    const result = await gateway.charge({
+      amount,
+      currency: user.preferences?.currency || 'INR',
+      paymentMethodId,
+      idempotencyKey: pendingTopUp.idempotencyKey,
+      metadata: { userId: user._id.toString(), purpose: 'wallet-top-up', topUpId }
+    });
+
+    if (result.status === 'failed') {
+      await walletService.settleTopUp({ topUpId, gatewayOrderId: result.gatewayOrderId }, false, result.failureReason);
+      return { status: 'failed', failureReason: result.failureReason };
+    }
+
+    if (result.status === 'succeeded') {
+      const transaction = await walletService.settleTopUp({ topUpId, gatewayOrderId: result.gatewayOrderId }, true);
+      return { status: 'succeeded', transaction };
+    }
+
+    // Credited when the webhook confirms the charge
+    const transaction = await walletService.attachTopUpOrder(topUpId, result.gatewayOrderId) || pendingTopUp;
+    return { status: 'processing', transaction, clientSecret: result.clientSecret };
+  }
+
+  /**
+   * Whether the booking's payment went through and can have money refunded from it
+   * @param {Object} booking - Booking document
+   * @returns {boolean}
+   */
+  isRefundable(booking) {
+    return ['completed', 'partially-refunded'].includes(booking.payment.status);
+  }
+
+  /**
+   * Whether a refund for the booking has been started but not completed
+   * @param {Object} booking - Booking document
+   * @returns {boolean}
+   */
+  hasRefundInProgress(booking) {
+    const status = booking.payment.refundDetails?.status;
+    return Boolean(status) && status !== 'completed';
+  }
+
+  /**
+   * Start a refund for a paid booking and send it to the gateway. A booking can be refunded
+   * more than once (e.g. one passenger at a time), but only one refund runs at a time.
+   * @param {Object} booking - Booking document with a completed payment
+   * @param {number} amount - Amount to refund
+   * @param {string} reason - Why the money is being returned
+   * @param {Object} options - Refund options
+   * @param {string} options.destination - 'original' payment method or 'wallet'
+   * @returns {Promise<Object>} - Updated booking
+   */
+  async refundBooking(booking, amount, reason, { destination = 'original' } = {}) {
+    if (!this.isRefundable(booking)) {
+      throw new Error(`Cannot refund a payment that is ${booking.payment.status}`);
+    }
+
+    if (this.hasRefundInProgress(booking)) {
+      throw new Error(`A refund for booking ${booking.bookingId} is already in progress`);
+    }
+
+    const paid = booking.payment.paidAmount ?? booking.payment.totalAmount;
+    const refundable = Math.max(paid - booking.getRefundedAmount(), 0);
+
+    if (amount <= 0 || refundable <= 0) {
+      return booking;
+    }
+
+    // Keep the previous refund on record before starting the next one
+    const previous = booking.payment.refundDetails;
+    if (previous?.status === 'completed') {
+      booking.payment.refunds.push({
+        amount: previous.amount,
+        reason: previous.reason,
+        refundId: previous.refundId,
+        destination: previous.destination,
+        initiatedAt: previous.initiatedAt,
+        processedAt: previous.processedAt
+      });
+    }
+
+    const refundAmount = Math.min(amount, refundable);
+    booking.payment.refundDetails = {
+      amount: refundAmount,
+      reason,
+      destination,
+      status: 'initiated',
+      initiatedAt: new Date(),
+      attempts: 0,
+      parts: destination === 'wallet'
+        ? [{ amount: refundAmount, gateway: { name: 'wallet' } }]
+        : this.allocateRefund(booking, refundAmount)
+    };
+    await booking.save();
+
+    return this.processRefund(booking);
+  }
+
+  /**
+   * Split a refund to the original payment method across the charges it goes back to: the latest
+   * extra charge first, then the original payment. A gateway can't refund a charge more than it took.
+   * @param {Object} booking - Booking document
+   * @param {number} amount - Amount to refund
+   * @returns {Array} - Refund parts: [{ amount, gateway: { name, transactionId, gatewayOrderId } }]
+   */
+  allocateRefund(booking, amount) {
+    const { gateway, charges = [] } = booking.payment;
+    const sum = (entries, field) => entries.reduce((total, entry) => total + (entry[field] || 0), 0);
+
+    // Whatever was paid or refunded beyond the extra charges belongs to the original payment
+    const paid = booking.payment.paidAmount ?? booking.payment.totalAmount;
+    const original = {
+      gateway: { name: gateway.name, transactionId: gateway.transactionId, gatewayOrderId: gateway.gatewayOrderId },
+      remaining: paid - sum(charges, 'amount') - (booking.getRefundedAmount() - sum(charges, 'refundedAmount'))
+    };
+    const sources = [...charges].reverse().map(charge => ({
+      gateway: { name: charge.gateway.name, transactionId: charge.gateway.transactionId, gatewayOrderId: charge.gateway.gatewayOrderId },
+      remaining: charge.amount - (charge.refundedAmount || 0)
+    }));
+    sources.push(original);
+
+    const parts = [];
+    let left = amount;
+    for (const source of sources) {
+      const take = Math.min(left, Math.max(source.remaining, 0));
+      if (take > 0) {
+        parts.push({ amount: take, gateway: source.gateway });
+        left -= take;
+      }
+      if (left <= 0) break;
+    }
+
+    // Anything the charges can't account for (e.g. bookings paid before charges were recorded) goes to the original payment
+    if (left > 0) {
+      const last = parts.find(part => part.gateway.gatewayOrderId === original.gateway.gatewayOrderId);
+      if (last) {
+        last.amount += left;
+      } else {
+        parts.push({ amount: left, gateway: original.gateway });
+      }
+    }
+
+    return parts;
+  }
+
+  // Oldest last attempt a refund can have and still be treated as in flight
+  staleRefundCutoff() {
+    return new Date(Date.now() - this.refundProcessingTimeoutMinutes * 60 * 1000);
+  }
+
+  /**
+   * Whether a booking's refund can be sent to the gateway again: it failed, never went out,
+   * or has been processing for longer than the gateway should ever take
+   * @param {Object} booking - Booking document
+   * @returns {boolean}
+   */
+  isRefundRetryable(booking) {
+    const { status, lastAttemptAt } = booking.payment.refundDetails || {};
+    if (['initiated', 'failed'].includes(status)) return true;
+    return status === 'processing' && (!lastAttemptAt || lastAttemptAt <= this.staleRefundCutoff());
+  }
+
+  /**
+   * Send an initiated, failed or stale processing refund to the gateway
+   * @param {Object} booking - Booking document
+   * @returns {Promise<Object>} - Updated booking
+   */
+  async processRefund(booking) {
+    // Move to processing atomically so a refund is never sent twice at once; one stuck in
+    // processing is only taken over once it is stale
+    const claimed = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        $or: [
+          { 'payment.refundDetails.status': { $in: ['initiated', 'failed'] } },
+          {
+            'payment.refundDetails.status': 'processing',
+            'payment.refundDetails.lastAttemptAt': { $lte: this.staleRefundCutoff() }
+          }
+        ]
+      },
+      {
+        $set: {
+          'payment.refundDetails.status': 'processing',
+          'payment.refundDetails.lastAttemptAt': new Date()
+        },
+        $inc: { 'payment.refundDetails.attempts': 1 }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      logger.info(`Refund for booking ${booking.bookingId} is not pending, skipping`);
+      return booking;
+    }
+
+    const { refundDetails, gateway: paymentGateway } = claimed.payment;
+
+    // Refunds started before they were split into parts go back to the original payment
+    if (refundDetails.parts.length === 0) {
+      refundDetails.parts = [{
+        amount: refundDetails.amount,
+        gateway: {
+          name: refundDetails.destination === 'wallet' ? 'wallet' : paymentGateway.name,
+          transactionId: paymentGateway.transactionId,
+          gatewayOrderId: paymentGateway.gatewayOrderId
+        }
+      }];
+    }
+
+    for (const [index, part] of refundDetails.parts.entries()) {
+      // A retry only resends the parts the gateway hasn't completed
+      if (part.status === 'succeeded') continue;
+
+      let result;
+      try {
+        const gateway = getPaymentGateway(refundDetails.destination === 'wallet' ? 'wallet' : part.gateway.name);
+        result = await gateway.refund({
+          transactionId: part.gateway.transactionId,
+          gatewayOrderId: part.gateway.gatewayOrderId,
+          amount: part.amount,
+          currency: claimed.payment.currency,
+          // The same for every attempt at one refund, so a retry never refunds twice; numbered per
+          // refund so a booking's second refund is not mistaken for a retry of its first, then per part
+          idempotencyKey: `refund-${claimed.bookingId}-${claimed.payment.refunds.length + 1}${index > 0 ? `-${index + 1}` : ''}`,
+          metadata: { bookingId: claimed.bookingId, userId: claimed.user.userId.toString() }
+        });
+      } catch (error) {
+        logger.error(`Refund gateway error for booking ${claimed.bookingId}:`, error);
+        result = { status: 'failed', failureReason: error.message };
+      }
+
+      part.status = result.status;
+      if (result.refundId) {
+        part.refundId = result.refundId;
+        refundDetails.refundId = result.refundId;
+      }
+      if (result.status === 'failed') {
+        refundDetails.failureReason = result.failureReason;
+      }
+    }
+    await claimed.save();
+
+    return this.settleRefund(claimed);
+  }
+
+  // Move a refund on once its parts are all settled: completed when every part succeeded, failed when any failed
+  async settleRefund(booking) {
+    const { parts, failureReason } = booking.payment.refundDetails;
+
+    if (parts.every(part => part.status === 'succeeded')) {
+      return await this.markRefundCompleted(booking) || booking;
+    }
+
+    if (parts.some(part => part.status === 'failed')) {
+      return await this.markRefundFailed(booking, failureReason) || booking;
+    }
+
+    // Still processing - the webhook will tell us the outcome
+    return booking;
+  }
+
+  /**
+   * Record a refund the gateway has completed
+   * @param {Object} booking - Booking document
+   * @returns {Promise<Object|null>} - Updated booking, or null if not processing
+   */
+  async markRefundCompleted(booking) {
+    const { amount } = booking.payment.refundDetails;
+    const paid = booking.payment.paidAmount ?? booking.payment.totalAmount;
+    const refundedBefore = (booking.payment.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+    const paymentStatus = refundedBefore + amount >= paid ? 'refunded' : 'partially-refunded';
+
+    // Count each part against the extra charge it went back to; parts for the original payment match none
+    const parts = (booking.payment.refundDetails.parts || []).filter(part => part.gateway?.gatewayOrderId);
+    const refundedCharges = Object.fromEntries(parts.map((part, i) => [`payment.charges.$[charge${i}].refundedAmount`, part.amount]));
+
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'payment.refundDetails.status': 'processing' },
+      {
+        $set: {
+          'payment.status': paymentStatus,
+          'payment.refundDetails.status': 'completed',
+          'payment.refundDetails.processedAt': new Date(),
+          'payment.refundDetails.failureReason': null
+        },
+        ...(parts.length > 0 && { $inc: refundedCharges })
+      },
+      {
+        new: true,
+        arrayFilters: parts.map((part, i) => ({ [`charge${i}.gateway.gatewayOrderId`]: part.gateway.gatewayOrderId }))
+      }
+    );
+
+    if (updated) {
+      logger.info(`Refund of ${amount} completed for booking ${booking.bookingId}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Record a refund the gateway rejected so the retry job picks it up
+   * @param {Object} booking - Booking document
+   * @param {string} reason - Failure reason reported by the gateway
+   * @returns {Promise<Object|null>} - Updated booking, or null if not processing
+   */
+  async markRefundFailed(booking, reason = 'Refund failed') {
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'payment.refundDetails.status': 'processing' },
+      {
+        $set: {
+          'payment.refundDetails.status': 'failed',
+          'payment.refundDetails.failureReason': reason
+        }
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      logger.warn(`Refund failed for booking ${booking.bookingId}: ${reason}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Retry refunds the gateway rejected, and ones left processing past the timeout (called by scheduled job)
+   * @param {number} maxAttempts - Give up on a refund after this many attempts
+   * @returns {Promise<Object>} - Retry result
+   */
+  async retryFailedRefunds(maxAttempts = this.maxRefundAttempts) {
+    const bookings = await Booking.find({
+      'payment.refundDetails.attempts': { $lt: maxAttempts },
+      $or: [
+        { 'payment.refundDetails.status': 'failed' },
+        {
+          'payment.refundDetails.status': 'processing',
+          'payment.refundDetails.lastAttemptAt': { $lte: this.staleRefundCutoff() }
+        }
+      ]
+    }).limit(100);
+
+    let completed = 0;
+    for (const booking of bookings) {
+      const updated = await this.processRefund(booking);
+      if (updated.payment.refundDetails.status === 'completed') {
+        completed++;
+      }
+    }
+
+    return { retried: bookings.length, completed };
+  }
+
+  /**
+   * Find refunds that have not completed within the given time
+   * @param {number} olderThanMinutes - How long a refund may stay open
+   * @returns {Promise<Array>} - Bookings with stuck refunds
+   */
+  async findStuckRefunds(olderThanMinutes = 60) {
+    const cutoff = new Date(Date.now() - olderThanMinutes * 60 * 1000);
+
+    return Booking.find({
+      'payment.refundDetails.status': { $in: ['initiated', 'processing', 'failed'] },
+      'payment.refundDetails.initiatedAt': { $lte: cutoff }
+    })
+      .select('bookingId user status payment cancellation')
+      .sort({ 'payment.refundDetails.initiatedAt': 1 });
+  }
+
+  /**
+   * Verify and apply a payment webhook delivery
+   * @param {string} gatewayName - Gateway the webhook came from
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} - Handling result
+   */
+  async handleWebhook(gatewayName, rawBody, headers) {
+    const gateway = getPaymentGateway(gatewayName);
+
+    // Throws on a bad signature - the caller must reject the request
+    const event = gateway.parseWebhookEvent(rawBody, headers);
+
+    // Record the event first; a duplicate key means we've seen this delivery before
+    try {
+      await WebhookEvent.create({
+        eventId: event.id,
+        gateway: gateway.name,
+        type: event.type,
+        bookingId: event.bookingId
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        logger.info(`Duplicate webhook event ${event.id} ignored`);
+        return { duplicate: true, eventId: event.id };
+      }
+      throw error;
+    }
+
+    try {
+      const outcome = await this.applyWebhookEvent(gateway.name, event);
+
+      await WebhookEvent.updateOne(
+        { eventId: event.id },
+        { $set: { status: 'processed', processedAt: new Date() } }
+      );
+
+      return { duplicate: false, eventId: event.id, outcome };
+    } catch (error) {
+      // Forget the event so the gateway's retry gets processed
+      await WebhookEvent.deleteOne({ eventId: event.id });
+      throw error;
+    }
+  }
+
+  // Settle the refund part a webhook reports on, then the refund once all its parts are settled
+  async applyRefundEvent(booking, event) {
+    const succeeded = event.type === 'refund.succeeded';
+    const parts = booking.payment.refundDetails?.parts || [];
+    const hasPart = parts.some(part => part.refundId && part.refundId === event.refundId);
+
+    // The event can beat us to saving the part's refund id - fail so the gateway delivers it again
+    if (!hasPart && parts.length > 1) {
+      throw new Error(`Refund ${event.refundId} does not match a part of the refund for booking ${booking.bookingId} yet`);
+    }
+
+    // A refund with a single part, or one started before refunds were split into parts
+    if (!hasPart) {
+      const updated = succeeded
+        ? await this.markRefundCompleted(booking)
+        : await this.markRefundFailed(booking, event.failureReason);
+      if (!updated) return 'already-finalised';
+      return succeeded ? 'refund-completed' : 'refund-failed';
+    }
+
+    const updated = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        'payment.refundDetails.status': 'processing',
+        'payment.refundDetails.parts.refundId': event.refundId
+      },
+      {
+        $set: {
+          'payment.refundDetails.parts.$.status': succeeded ? 'succeeded' : 'failed',
+          ...(!succeeded && { 'payment.refundDetails.failureReason': event.failureReason || 'Refund failed' })
+        }
+      },
+      { new: true }
+    );
+    if (!updated) return 'already-finalised';
+
+    const settled = await this.settleRefund(updated);
+    const status = settled.payment.refundDetails.status;
+    if (status === 'completed') return 'refund-completed';
+    return status === 'failed' ? 'refund-failed' : 'refund-part-settled';
+  }
+
+  /**
+   * Move a booking's payment along based on a normalised webhook event
+   * @param {string} gatewayName - Gateway the event came from
+   * @param {Object} event - Normalised webhook event
+   * @returns {Promise<string>} - What was done with the event
+   */
+  async applyWebhookEvent(gatewayName, event) {
+    const handledTypes = ['payment.succeeded', 'payment.failed', 'payment.processing', 'refund.succeeded', 'refund.failed'];
+    if (!handledTypes.includes(event.type)) {
+      return 'ignored';
+    }
+
+    let booking = event.refundId && await Booking.findOne({
+      $or: [
+        { 'payment.refundDetails.refundId': event.refundId },
+        { 'payment.refundDetails.parts.refundId': event.refundId }
+      ]
+    });
+
+    if (!booking && event.gatewayOrderId) {
+      booking = await Booking.findOne({
+        'payment.gateway.name': gatewayName,
+        'payment.gateway.gatewayOrderId': event.gatewayOrderId
+      });
+    }
+
+    // The webhook can beat us to saving the gateway references, so fall back to metadata
+    if (!booking && event.bookingId) {
+      booking = await Booking.findOne({ bookingId: event.bookingId });
+    }
+
+    if (!booking) {
+      // Not a booking charge - it may be a wallet top-up
+      if (event.type !== 'payment.processing' && (event.topUpId || event.gatewayOrderId)) {
+        const topUp = await walletService.settleTopUp(
+          { topUpId: event.topUpId, gatewayOrderId: event.gatewayOrderId },
+          event.type === 'payment.succeeded',
+          event.failureReason
+        );
+        if (topUp) {
+          return `top-up-${topUp.status}`;
+        }
+      }
+
+      logger.warn(`Webhook event ${event.id} does not match any booking`);
+      return 'booking-not-found';
+    }
+
+    if (event.type === 'refund.succeeded' || event.type === 'refund.failed') {
+      return this.applyRefundEvent(booking, event);
+    }
+
+    if (event.type === 'payment.processing') {
+      await Booking.updateOne(
+        { _id: booking._id, 'payment.status': 'pending' },
+        { $set: { 'payment.status': 'processing' } }
+      );
+      return 'processing';
+    }
+
+    if (event.type === 'payment.succeeded') {
+      const updated = await this.markPaymentSucceeded(booking, { transactionId: event.transactionId });
+      return updated ? 'completed' : 'already-finalised';
+    }
+
+    // A payment still processing failed asynchronously, e.g. in 3DS. One back to pending was
+    // declined while the customer waited, and stays open for them to pay again.
+    if (booking.payment.status === 'pending') {
+      return 'declined';
+    }
+
+    const updated = await this.markPaymentFailed(booking, event.failureReason, ['processing']);
+    return updated ? 'failed' : 'already-finalised';
+  }
+}
+
+// Singleton instance
+const paymentService = new PaymentService();
+
+export default paymentService;
@@ -0,0 +1,141 @@
+import webpush from 'web-push';
+import PushSubscription from '../models/push-subscription.model.js';
+import logger from '../utils/logger.js';
+
+// Push services answer 404/410 once a subscription is gone for good
+const GONE_STATUS_CODES = [404, 410];
+
+// VAPID-signed Web Push delivery to every device a user subscribed
+class PushService {
+  constructor() {
+    this.ttlSeconds = parseInt(process.env.PUSH_TTL) || 24 * 60 * 60;
+    this.configured = false;
+  }
+
+  // Load the VAPID keys on first use so a missing key only breaks push, not startup
+  configure() {
+    if (this.configured) return;
+
+    const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+    if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+      throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must be defined in .env');
+    }
+
+    webpush.setVapidDetails(VAPID_SUBJECT || 'mailto:support@capsulecabs.com', VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+    this.configured = true;
+  }
+
+  /**
+   * Public key browsers need to subscribe
+   * @returns {string|null} - VAPID public key
+   */
+  getPublicKey() {
+    return process.env.VAPID_PUBLIC_KEY || null;
+  }
+
+  /**
+   * Register (or refresh) a device subscription for a user
+   * @param {string} userId - User ID
+   * @param {Object} subscription - PushSubscription JSON from the browser: { endpoint, expirationTime, keys }
+   * @param {Object} device - { deviceName, userAgent }
+   * @returns {Promise<Object>} - Stored subscription
+   */
+  async subscribe(userId, subscription, { deviceName, userAgent } = {}) {
+    // An endpoint belongs to one browser profile - re-subscribing moves it to the current user
+    return PushSubscription.findOneAndUpdate(
+      { endpoint: subscription.endpoint },
+      {
+        $set: {
+          userId,
+          keys: subscription.keys,
+          expirationTime: subscription.expirationTime ? new Date(subscription.expirationTime) : null,
+          deviceName,
+          userAgent
+        }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Revoke one of a user's device subscriptions
+   * @param {string} userId - User ID
+   * @param {string} endpoint - Subscription endpoint
+   * @returns {Promise<boolean>} - Whether a subscription was removed
+   */
+  async unsubscribe(userId, endpoint) {
+    const result = await PushSubscription.deleteOne({ userId, endpoint });
+    return result.deletedCount === 1;
+  }
+
+  /**
+   * List a user's subscribed devices
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Subscriptions without their keys
+   */
+  async listSubscriptions(userId) {
+    return PushSubscription.find({ userId }).select('-keys').sort({ createdAt: -1 });
+  }
+
+  /**
+   * Send a notification to every device of a user
+   * @param {string} userId - User ID
+   * @param {Object} notification - { title, body, data }
+   * @returns {Promise<Object>} - Counts of devices sent, removed and failed
+   */
+  async sendToUser(userId, { title, body, data = {} }) {
+    this.configure();
+
+    const subscriptions = await PushSubscription.find({ userId });
+    const payload = JSON.stringify({ title, body, data });
+    const result = { sent: 0, removed: 0, failed: 0 };
+
+    for (const subscription of subscriptions) {
+      try {
+        await webpush.sendNotification(
+          { endpoint: subscription.endpoint, keys: subscription.keys },
+          payload,
+          { TTL: this.ttlSeconds }
+        );
+        subscription.lastSuccessAt = new Date();
+        await subscription.save();
+        result.sent++;
+      } catch (error) {
+        if (GONE_STATUS_CODES.includes(error.statusCode)) {
+          await PushSubscription.deleteOne({ _id: subscription._id });
+          result.removed++;
+          continue;
+        }
+
+        logger.error(`Web push to ${subscription.endpoint} failed:`, error);
+        subscription.lastFailureAt = new Date();
+        await subscription.save();
+        result.failed++;
+      }
+    }
+
+    // Nothing got through although devices remain - let the queue retry
+    if (result.failed > 0 && result.sent === 0) {
+      throw new Error(`Web push failed for all ${result.failed} device(s) of user ${userId}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Delete subscriptions whose browser-declared expiry has passed
+   * @returns {Promise<number>} - Number of subscriptions removed
+   */
+  async removeExpiredSubscriptions() {
+    const result = await PushSubscription.deleteMany({ expirationTime: { $ne: null, $lte: new Date() } });
+    if (result.deletedCount > 0) {
+      logger.info(`Removed ${result.deletedCount} expired push subscription(s)`);
+    }
+    return result.deletedCount;
+  }
+}
+
+// Singleton instance
+const pushService = new PushService();
+
+export default pushService;
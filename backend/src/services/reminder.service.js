@@ -0,0 +1,87 @@
+import Booking from '../models/booking.model.js';
+import bookingNotificationService from './booking-notification.service.js';
+import logger from '../utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Sends a one-off reminder before each confirmed trip departs
+class ReminderService {
+  constructor() {
+    // Remind passengers whose trip departs within this many hours
+    this.windowHours = parseFloat(process.env.REMINDER_WINDOW_HOURS) || 3;
+  }
+
+  /**
+   * Confirmed bookings picked up within the reminder window that have not been reminded
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array>} - Booking documents
+   */
+  async findDueBookings(now = new Date()) {
+    const windowEnd = new Date(now.getTime() + this.windowHours * HOUR_MS);
+
+    // travelDate is the day only, as midnight UTC - narrow by day with room for any route timezone
+    // and for stops reached the next day, then check the exact pickup time
+    const candidates = await Booking.find({
+      status: 'confirmed',
+      'notifications.reminderSent.sent': { $ne: true },
+      // The departure no longer runs - the passenger has been told to rebook or cancel
+      $nor: [{ 'disruption.type': 'cancelled', 'disruption.resolution': 'pending' }],
+      'journey.travelDate': {
+        $gte: new Date(now.getTime() - 48 * HOUR_MS),
+        $lte: new Date(windowEnd.getTime() + 24 * HOUR_MS)
+      }
+    });
+
+    // Passengers boarding further along are reminded ahead of when they need to be there
+    return candidates.filter(booking => {
+      const pickup = booking.getPickupDateTime();
+      return pickup > now && pickup <= windowEnd;
+    });
+  }
+
+  /**
+   * Queue reminders for every due booking on the channels each user enabled
+   * @returns {Promise<Object>} - Counts of bookings reminded and notifications queued
+   */
+  async sendDueReminders() {
+    const bookings = await this.findDueBookings();
+    let reminded = 0;
+    let queued = 0;
+
+    for (const booking of bookings) {
+      // Claim the reminder first so overlapping runs never send it twice
+      const claimed = await Booking.findOneAndUpdate(
+        { _id: booking._id, 'notifications.reminderSent.sent': { $ne: true } },
+        {
+          $set: {
+            'notifications.reminderSent.sent': true,
+            'notifications.reminderSent.sentAt': new Date()
+          }
+        },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      try {
+        // A reschedule resets the reminder, and the new one must not be taken for the first
+        queued += await bookingNotificationService.notify(claimed, 'trip-reminder', {}, { key: claimed.disruption?.changeId });
+        reminded++;
+      } catch (error) {
+        // Hand the booking back to the next run
+        logger.error(`Failed to queue reminder for booking ${claimed.bookingId}:`, error);
+        await Booking.updateOne(
+          { _id: claimed._id },
+          { $set: { 'notifications.reminderSent.sent': false }, $unset: { 'notifications.reminderSent.sentAt': '' } }
+        );
+      }
+    }
+
+    logger.info(`Trip reminders: ${reminded} booking(s) reminded, ${queued} notification(s) queued`);
+    return { due: bookings.length, reminded, queued };
+  }
+}
+
+// Singleton instance
+const reminderService = new ReminderService();
+
+export default reminderService;
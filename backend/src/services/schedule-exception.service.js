@@ -0,0 +1,361 @@
+import Route from '../models/circuit.model.js';
+import Booking from '../models/booking.model.js';
+import SeatAvailability, { seatsForJourney, summarizeSeats } from '../models/seat.model.js';
+import { QUEUE_NAMES, addJob } from '../jobs/queues.js';
+import bookingNotificationService from './booking-notification.service.js';
+import { toDateKey } from './seat-events.service.js';
+import { translate, formatDate } from './i18n/index.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead to look for departures to offer passengers whose departure was cancelled
+const ALTERNATIVE_SEARCH_DAYS = 7;
+const MAX_ALTERNATIVES = 3;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (totalMinutes) => {
+  const minutes = ((totalMinutes % (24 * 60)) + 24 * 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && a.toString() === b.toString();
+
+const reject = (reason, code) => ({ status: 'rejected', reason, code });
+
+// Manages a route's schedule exceptions - cancelled days or departures, extra runs and changed
+// times - and tells passengers on the departures they affect
+class ScheduleExceptionService {
+  /**
+   * Add an exception to a route's schedule and queue notices for the passengers it affects
+   * @param {Object} route - Route document
+   * @param {Object} input
+   * @param {Date|string} input.date - Date the exception applies to
+   * @param {string} input.type - cancelled, added or rescheduled
+   * @param {string} input.departureId - Departure to cancel or reschedule; a cancellation without one takes out the whole day
+   * @param {string} input.departureTime - Departure time of an added run, or the new time of a rescheduled one
+   * @param {string} input.arrivalTime - Arrival time, worked out from the duration if omitted
+   * @param {number} input.duration - Duration in minutes, worked out from the arrival time if omitted
+   * @param {string} input.reason - Reason passed on to passengers
+   * @param {string} userId - Operator or admin adding it
+   * @returns {Promise<Object>} - { status: 'added', exception, departures, impact } or { status: 'rejected', reason, code }
+   */
+  async addException(route, input, userId) {
+    const day = new Date(toDateKey(input.date));
+    const { type, departureId = null, reason } = input;
+    let { departureTime, arrivalTime, duration } = input;
+
+    if (day < new Date(toDateKey(new Date()))) {
+      return reject('Cannot change the schedule of a past date', 'DATE_IN_PAST');
+    }
+
+    const existing = route.getExceptionsOnDate(day);
+    const duplicate = type === 'added'
+      ? existing.some(exception => exception.type === 'added' && exception.departureTime === departureTime)
+      : existing.some(exception => exception.type === type && String(exception.departureId || '') === String(departureId || ''));
+    if (duplicate) {
+      return reject('An identical exception already exists for this date', 'DUPLICATE_EXCEPTION');
+    }
+
+    if (type === 'cancelled') {
+      const cancelsSomething = departureId
+        ? Boolean(route.getDepartureOnDate(day, departureId))
+        : route.isAvailableOnDate(day);
+      if (!cancelsSomething) {
+        return departureId
+          ? reject('Departure not found on selected date', 'DEPARTURE_NOT_FOUND')
+          : reject('No departures run on this date', 'NOTHING_TO_CANCEL');
+      }
+      departureTime = arrivalTime = duration = undefined;
+    } else {
+      if (!departureTime) {
+        return reject('Departure time is required', 'TIMES_REQUIRED');
+      }
+
+      if (type === 'rescheduled') {
+        const departure = route.getDepartureOnDate(day, departureId);
+        if (!departure) {
+          return reject('Departure not found on selected date', 'DEPARTURE_NOT_FOUND');
+        }
+        // Keep the trip length unless told otherwise
+        duration = duration || (arrivalTime ? undefined : departure.duration);
+      }
+
+      if (!arrivalTime && !duration) {
+        return reject('Arrival time or duration is required', 'TIMES_REQUIRED');
+      }
+      arrivalTime = arrivalTime || toTime(toMinutes(departureTime) + duration);
+      duration = duration || (toMinutes(arrivalTime) - toMinutes(departureTime) + 24 * 60) % (24 * 60);
+    }
+
+    const before = route.getDeparturesOnDate(day);
+
+    route.scheduleExceptions.push({
+      date: day,
+      type,
+      departureId: type === 'added' ? undefined : departureId,
+      departureTime,
+      arrivalTime,
+      duration,
+      reason,
+      createdBy: userId
+    });
+    await route.save();
+
+    const exception = route.scheduleExceptions[route.scheduleExceptions.length - 1];
+    const impact = await this.queueImpact(route, day, before, `${exception._id}:added`, reason);
+
+    logger.info(`Added ${type} exception ${exception._id} to route ${route.routeCode} on ${toDateKey(day)}`);
+    return { status: 'added', exception, departures: route.getDeparturesOnDate(day), impact };
+  }
+
+  /**
+   * Remove an exception, putting the regular schedule back, and queue notices for the passengers it affects
+   * @param {Object} route - Route document
+   * @param {string} exceptionId - Schedule exception ID
+   * @returns {Promise<Object>} - { status: 'removed', exception, departures, impact } or { status: 'rejected', reason, code }
+   */
+  async removeException(route, exceptionId) {
+    const exception = route.scheduleExceptions.id(exceptionId);
+    if (!exception) {
+      return reject('Schedule exception not found', 'EXCEPTION_NOT_FOUND');
+    }
+
+    const day = exception.date;
+    if (day < new Date(toDateKey(new Date()))) {
+      return reject('Cannot change the schedule of a past date', 'DATE_IN_PAST');
+    }
+
+    const before = route.getDeparturesOnDate(day);
+
+    route.scheduleExceptions.pull(exception._id);
+    await route.save();
+
+    const impact = await this.queueImpact(route, day, before, `${exception._id}:removed`, exception.reason);
+
+    logger.info(`Removed ${exception.type} exception ${exception._id} from route ${route.routeCode} on ${toDateKey(day)}`);
+    return { status: 'removed', exception, departures: route.getDeparturesOnDate(day), impact };
+  }
+
+  /**
+   * Compare a date's departures before and after a schedule change and queue the passenger notices
+   * @param {Object} route - Route document, already saved with the change
+   * @param {Date} day - Date the change applies to
+   * @param {Array} before - Departures on that date before the change
+   * @param {string} changeId - Unique ID of the change, so a retried job is only handled once
+   * @param {string} reason - Reason passed on to passengers
+   * @returns {Promise<Object>} - { removed, rescheduled, restored } departures
+   */
+  async queueImpact(route, day, before, changeId, reason) {
+    const after = route.getDeparturesOnDate(day);
+    const findIn = (list, departure) => list.find(other => sameId(other._id, departure._id));
+
+    const impact = {
+      removed: before
+        .filter(departure => !findIn(after, departure))
+        .map(departure => ({ departureId: departure._id.toString(), departureTime: departure.departureTime })),
+      rescheduled: after
+        .filter(departure => {
+          const previous = findIn(before, departure);
+          return previous && (previous.departureTime !== departure.departureTime || previous.arrivalTime !== departure.arrivalTime);
+        })
+        .map(departure => ({
+          departureId: departure._id.toString(),
+          previousTime: findIn(before, departure).departureTime,
+          departureTime: departure.departureTime,
+          arrivalTime: departure.arrivalTime
+        })),
+      restored: after
+        .filter(departure => !findIn(before, departure))
+        .map(departure => ({ departureId: departure._id.toString(), departureTime: departure.departureTime }))
+    };
+
+    if (impact.removed.length + impact.rescheduled.length + impact.restored.length === 0) {
+      return impact;
+    }
+
+    try {
+      await addJob(QUEUE_NAMES.NOTIFICATIONS, 'schedule-change', {
+        routeId: route._id.toString(),
+        travelDate: toDateKey(day),
+        changeId,
+        reason,
+        ...impact
+      }, { jobId: `schedule-change:${changeId}` });
+    } catch (error) {
+      // The schedule change stands even if passengers can't be told right away
+      logger.error(`Failed to queue schedule change ${changeId} for route ${route.routeCode}:`, error);
+    }
+
+    return impact;
+  }
+
+  /**
+   * Update and notify the passengers on departures a schedule change touched. Runs from the notifications queue.
+   * @param {Object} data - Job data from queueImpact
+   * @returns {Promise<Object>} - Counts of bookings cancelled, rescheduled and withdrawn
+   */
+  async handleScheduleChange({ routeId, travelDate, changeId, reason, removed = [], rescheduled = [], restored = [] }) {
+    const route = await Route.findById(routeId);
+    if (!route) {
+      throw new Error(`Route ${routeId} not found`);
+    }
+
+    const day = new Date(travelDate);
+    const result = { cancelled: 0, rescheduled: 0, withdrawn: 0 };
+
+    // Confirmed bookings on a departure that this change has not been applied to yet
+    const unhandled = departureId => ({
+      'route.routeId': route._id,
+      'journey.travelDate': day,
+      'journey.departureId': departureId,
+      status: 'confirmed',
+      'disruption.changeId': { $ne: changeId }
+    });
+
+    const reasonLine = language => (reason
+      ? translate(language, 'common.reason', { reason })
+      : translate(language, 'common.apology'));
+
+    if (removed.length > 0) {
+      const alternatives = await this.findAlternatives(route, day);
+
+      for (const { departureId } of removed) {
+        const bookings = await Booking.find(unhandled(departureId));
+
+        for (const booking of bookings) {
+          // Claim the booking first so a retried job never notifies it twice
+          const claimed = await Booking.findOneAndUpdate(
+            { _id: booking._id, 'disruption.changeId': { $ne: changeId } },
+            { $set: { disruption: { type: 'cancelled', changeId, reason, reportedAt: new Date(), resolution: 'pending' } } },
+            { new: true }
+          );
+          if (!claimed) continue;
+          result.cancelled++;
+
+          const offered = alternatives
+            .filter(alternative => alternative.seatsAvailable >= claimed.passengers.length)
+            .slice(0, MAX_ALTERNATIVES);
+
+          try {
+            await bookingNotificationService.notify(claimed, 'departure-cancelled', language => ({
+              reason: reasonLine(language),
+              alternatives: offered.length > 0
+                ? translate(language, 'departure-cancelled.alternatives', {
+                  list: offered.map(alternative => `${formatDate(alternative.travelDate, language)} ${alternative.departureTime}`).join(', ')
+                })
+                : translate(language, 'departure-cancelled.noAlternatives')
+            }), { key: changeId });
+          } catch (error) {
+            logger.error(`Failed to notify booking ${claimed.bookingId} of cancelled departure:`, error);
+          }
+        }
+      }
+    }
+
+    for (const { departureId, departureTime, arrivalTime } of rescheduled) {
+      await SeatAvailability.updateOne({ routeId: route._id, travelDate: day, departureId }, { $set: { departureTime } });
+
+      const bookings = await Booking.find(unhandled(departureId));
+
+      for (const booking of bookings) {
+        const previousTime = booking.journey.departureTime;
+        // Passengers boarding at a stop get the time the vehicle now reaches it
+        const stopTimes = route.getStopTimes({ departureTime, arrivalTime }, booking.journey);
+        const pointTimes = route.getPointTimes({ departureTime, arrivalTime }, booking.journey);
+
+        booking.modifications.push({
+          modifiedAt: new Date(),
+          changes: { field: 'journey.departureTime', oldValue: previousTime, newValue: stopTimes.departureTime },
+          reason: reason ? `Departure rescheduled by operator: ${reason}` : 'Departure rescheduled by operator'
+        });
+        booking.journey.departureTime = stopTimes.departureTime;
+        booking.journey.estimatedArrivalTime = stopTimes.arrivalTime;
+        booking.journey.pickupPoint.time = pointTimes.pickupTime;
+        booking.journey.dropPoint.time = pointTimes.dropTime;
+        // Any reminder already sent had the old time
+        booking.notifications.reminderSent = { sent: false };
+        booking.disruption = { type: 'rescheduled', changeId, reason, reportedAt: new Date(), resolution: 'pending' };
+        await booking.save();
+        result.rescheduled++;
+
+        try {
+          await bookingNotificationService.notify(booking, 'departure-rescheduled', language => ({
+            previousTime,
+            reason: reasonLine(language)
+          }), { key: changeId });
+        } catch (error) {
+          logger.error(`Failed to notify booking ${booking.bookingId} of rescheduled departure:`, error);
+        }
+      }
+    }
+
+    // A departure runs again - passengers who haven't acted yet simply keep their booking
+    for (const { departureId } of restored) {
+      const { modifiedCount } = await Booking.updateMany(
+        {
+          'route.routeId': route._id,
+          'journey.travelDate': day,
+          'journey.departureId': departureId,
+          status: 'confirmed',
+          'disruption.type': 'cancelled',
+          'disruption.resolution': 'pending'
+        },
+        { $set: { 'disruption.resolution': 'withdrawn', 'disruption.resolvedAt': new Date() } }
+      );
+      result.withdrawn += modifiedCount;
+    }
+
+    logger.info(
+      `Schedule change ${changeId} on route ${route.routeCode} for ${travelDate}: ` +
+      `${result.cancelled} cancelled, ${result.rescheduled} rescheduled, ${result.withdrawn} withdrawn`
+    );
+    return result;
+  }
+
+  /**
+   * Upcoming departures from a date onwards, with how many seats each has free
+   * @param {Object} route - Route document
+   * @param {Date} from - First date to look at
+   * @returns {Promise<Array>} - [{ travelDate, departureId, departureTime, seatsAvailable }], earliest first
+   */
+  async findAlternatives(route, from) {
+    const now = new Date();
+    const alternatives = [];
+
+    for (let offset = 0; offset < ALTERNATIVE_SEARCH_DAYS; offset++) {
+      const travelDate = new Date(from.getTime() + offset * DAY_MS);
+
+      for (const departure of route.getDeparturesOnDate(travelDate)) {
+        if (route.getDepartsAt(travelDate, departure.departureTime) <= now) continue;
+
+        // Departures nobody has booked yet may not have availability created. On a route with stops,
+        // only seats free all the way count - whichever stops the passenger travels between, they fit.
+        const availability = await SeatAvailability.findOne(
+          { routeId: route._id, travelDate, departureId: departure._id },
+          { segmentCount: 1, seatsAvailable: 1 }
+        ).lean();
+
+        alternatives.push({
+          travelDate,
+          departureId: departure._id.toString(),
+          departureTime: departure.departureTime,
+          seatsAvailable: availability
+            ? summarizeSeats(seatsForJourney(availability)).availableCount
+            : route.seating.totalSeats
+        });
+      }
+    }
+
+    return alternatives;
+  }
+}
+
+// Singleton instance
+const scheduleExceptionService = new ScheduleExceptionService();
+
+export default scheduleExceptionService;
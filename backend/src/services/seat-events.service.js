@@ -0,0 +1,46 @@
+import { EventEmitter } from 'events';
+
+// In-process bus for seat status changes; the socket layer relays them to clients
+const seatEvents = new EventEmitter();
+
+export const SEAT_STATUS_CHANGED = 'seat-status-changed';
+
+/**
+ * Normalise a travel date to the YYYY-MM-DD key used in room names
+ * @param {Date|string} travelDate - Travel date
+ * @returns {string} - Date key
+ */
+export const toDateKey = (travelDate) => new Date(travelDate).toISOString().slice(0, 10);
+
+/**
+ * Socket.IO room for everyone looking at one departure's seat map
+ * @param {string} routeId - Route ID
+ * @param {Date|string} travelDate - Travel date
+ * @param {string} departureId - Schedule entry ID
+ * @returns {string} - Room name
+ */
+export const seatRoom = (routeId, travelDate, departureId) =>
+  `seats:${routeId}:${toDateKey(travelDate)}:${departureId}`;
+
+/**
+ * Announce seats whose status changed
+ * @param {Object} departure - The seat map's { routeId, travelDate, departureId }
+ * @param {Array} seats - Changed seats: [{ seatNumber, status, lockExpiry }]
+ * @param {string} reason - locked | booked | released | cancelled | expired | modified
+ */
+export const emitSeatChanges = ({ routeId, travelDate, departureId }, seats, reason) => {
+  if (!seats || seats.length === 0) {
+    return;
+  }
+
+  seatEvents.emit(SEAT_STATUS_CHANGED, {
+    routeId: routeId.toString(),
+    travelDate: toDateKey(travelDate),
+    departureId: departureId.toString(),
+    seats,
+    reason,
+    changedAt: new Date()
+  });
+};
+
+export default seatEvents;
@@ -5,129 +5,69 @@ import logger from '../utils/logger.js';
 class SeatLockingService {
   constructor() {
     this.lockTimeout = parseInt(process.env.SEAT_LOCK_DURATION) || 900; // 15 minutes in seconds
-  }
-
-  /**
-   * Acquire distributed lock for seat booking operation
-   * @param {string} routeId - Route ID
-   * @param {string} travelDate - Travel date
-   * @param {string} userId - User ID
-   * @param {number} lockDuration - Lock duration in seconds
-   * @returns {Promise<boolean>} - Whether lock was acquired
-   */
-  async acquireLock(routeId, travelDate, userId, lockDuration = this.lockTimeout) {
-    try {
-      const lockKey = `booking_lock:${routeId}:${travelDate}`;
-      const lockValue = `${userId}:${Date.now()}`;
-      
-      // Try to acquire lock using SET with NX and EX options
-      const acquired = await cacheService.setNX(lockKey, lockValue, lockDuration);
-      
-      if (acquired) {
-        logger.debug(`Lock acquired for ${lockKey} by user ${userId}`);
-        return true;
-      }
-      
-      logger.debug(`Failed to acquire lock for ${lockKey} by user ${userId}`);
-      return false;
-    } catch (error) {
-      logger.error('Error acquiring distributed lock:', error);
-      return false;
-    }
-  }
-
-  /**
-   * Release distributed lock
-   * @param {string} routeId - Route ID
-   * @param {string} travelDate - Travel date
-   * @param {string} userId - User ID
-   * @returns {Promise<boolean>} - Whether lock was released
-   */
-  async releaseLock(routeId, travelDate, userId) {
-    try {
-      const lockKey = `booking_lock:${routeId}:${travelDate}`;
-      
-      // Get current lock value to ensure we're releasing our own lock
-      const currentValue = await cacheService.get(lockKey);
-      
-      if (currentValue && currentValue.startsWith(`${userId}:`)) {
-        await cacheService.del(lockKey);
-        logger.debug(`Lock released for ${lockKey} by user ${userId}`);
-        return true;
-      }
-      
-      logger.debug(`Lock not owned by user ${userId} for ${lockKey}`);
-      return false;
-    } catch (error) {
-      logger.error('Error releasing distributed lock:', error);
-      return false;
-    }
+    this.lastCleanup = null;
   }
 
   /**
    * Lock specific seats for a user
    * @param {string} routeId - Route ID
    * @param {string} travelDate - Travel date
+   * @param {string} departureId - Schedule entry ID
    * @param {Array} seatNumbers - Array of seat numbers to lock
    * @param {string} userId - User ID
    * @param {number} lockDurationMinutes - Lock duration in minutes
+   * @param {Object} journey - { fromStop, toStop } on routes with stops; the whole route by default
    * @returns {Promise<Object>} - Lock result
    */
-  async lockSeats(routeId, travelDate, seatNumbers, userId, lockDurationMinutes = 2) {
+  async lockSeats(routeId, travelDate, departureId, seatNumbers, userId, lockDurationMinutes = 2, journey = {}) {
     try {
-      // First acquire distributed lock for the booking operation
-      const distributedLockAcquired = await this.acquireLock(routeId, travelDate, userId, 30); // 30 seconds for operation
-      
-      if (!distributedLockAcquired) {
-        throw new Error('Could not acquire booking lock. Another user might be booking seats.');
-      }``
-
-      try {
-        const SeatAvailability = (await import('../models/seat.model.js')).default;
-        
-        // Get seat availability document
-        let availability = await SeatAvailability.findOne({
-          routeId,
-          travelDate: new Date(travelDate)
-        });
-
-        if (!availability) {
-          // Initialize seat availability if not exists
-          const Route = (await import('../models/circuit.model.js')).default;
-          const route = await Route.findById(routeId);
-          if (!route) {
-            throw new Error('Route not found');
-          }
-          availability = await SeatAvailability.initializeForRoute(routeId, new Date(travelDate), route);
-        }
+      const SeatAvailability = (await import('../models/seat.model.js')).default;
+
+      // Get seat availability document
+      let availability = await SeatAvailability.findOne({
+        routeId,
+        travelDate: new Date(travelDate),
+        departureId
+      });
 
-        // Lock the seats
-        const lockResult = await availability.lockSeats(seatNumbers, userId, lockDurationMinutes);
-        
-        // Store seat lock info in cache for quick access
-        const seatLockKey = `seat_locks:${userId}`;
-        const lockInfo = {
-          routeId,
-          travelDate,
-          seatNumbers,
-          lockedAt: new Date(),
-          expiresAt: lockResult.lockExpiry
-        };
-        
-        await cacheService.set(seatLockKey, lockInfo, lockDurationMinutes * 60);
-
-        return {
-          success: true,
-          lockedSeats: seatNumbers,
-          lockExpiry: lockResult.lockExpiry,
-          message: `${seatNumbers.length} seat(s) locked successfully`
-        };
-
-      } finally {
-        // Always release the distributed lock
-        await this.releaseLock(routeId, travelDate, userId);
+      if (!availability) {
+        // Initialize seat availability if not exists
+        const Route = (await import('../models/circuit.model.js')).default;
+        const route = await Route.findById(routeId);
+        if (!route) {
+          throw new Error('Route not found');
+        }
+        const departure = route.getDepartureOnDate(new Date(travelDate), departureId);
+        if (!departure) {
+          throw new Error('Departure not available on selected date');
+        }
+        availability = await SeatAvailability.initializeForRoute(routeId, new Date(travelDate), route, departure);
       }
 
+      // Lock the seats - a single conditional update, so no departure-wide mutex is needed
+      const lockResult = await availability.lockSeats(seatNumbers, userId, lockDurationMinutes, journey);
+
+      // Store seat lock info in cache for quick access
+      const seatLockKey = `seat_locks:${userId}`;
+      const lockInfo = {
+        routeId,
+        travelDate,
+        departureId,
+        seatNumbers,
+        journey,
+        lockedAt: new Date(),
+        expiresAt: lockResult.lockExpiry
+      };
+
+      await cacheService.set(seatLockKey, lockInfo, lockDurationMinutes * 60);
+
+      return {
+        success: true,
+        lockedSeats: seatNumbers,
+        lockExpiry: lockResult.lockExpiry,
+        message: `${seatNumbers.length} seat(s) locked successfully`
+      };
+
     } catch (error) {
       logger.error('Seat locking error:', error);
       throw error;
@@ -138,17 +78,19 @@ class SeatLockingService {
    * Release seat locks for a user
    * @param {string} routeId - Route ID
    * @param {string} travelDate - Travel date
+   * @param {string} departureId - Schedule entry ID
    * @param {Array} seatNumbers - Array of seat numbers to release
    * @param {string} userId - User ID
    * @returns {Promise<Object>} - Release result
    */
-  async releaseSeats(routeId, travelDate, seatNumbers, userId) {
+  async releaseSeats(routeId, travelDate, departureId, seatNumbers, userId) {
     try {
       const SeatAvailability = (await import('../models/seat.model.js')).default;
       
       const availability = await SeatAvailability.findOne({
         routeId,
-        travelDate: new Date(travelDate)
+        travelDate: new Date(travelDate),
+        departureId
       });
 
       if (!availability) {
@@ -204,26 +146,24 @@ class SeatLockingService {
 
       const SeatAvailability = (await import('../models/seat.model.js')).default;
       
-      const availability = await SeatAvailability.findOne({
-        routeId: lockInfo.routeId,
-        travelDate: new Date(lockInfo.travelDate)
-      });
-
-      if (!availability) {
-        throw new Error('Seat availability not found');
-      }
-
-      // Extend locks in database
+      // Extend locks in database - only seats this user still holds
       const newExpiry = new Date(Date.now() + additionalMinutes * 60 * 1000);
-      
-      availability.seatsAvailable.forEach(seat => {
-        if (lockInfo.seatNumbers.includes(seat.seatNumber) && 
-            seat.lockedBy && seat.lockedBy.toString() === userId) {
-          seat.lockExpiry = newExpiry;
+
+      const result = await SeatAvailability.updateOne(
+        { routeId: lockInfo.routeId, travelDate: new Date(lockInfo.travelDate), departureId: lockInfo.departureId },
+        { $set: { 'seatsAvailable.$[seat].lockExpiry': newExpiry } },
+        {
+          arrayFilters: [{
+            'seat.seatNumber': { $in: lockInfo.seatNumbers },
+            'seat.status': 'locked',
+            'seat.lockedBy': userId
+          }]
         }
-      });
+      );
 
-      await availability.save();
+      if (result.matchedCount === 0) {
+        throw new Error('Seat availability not found');
+      }
 
       // Update cache
       lockInfo.expiresAt = newExpiry;
@@ -244,19 +184,31 @@ class SeatLockingService {
 
   /**
    * Clean up expired locks (called by scheduled job)
-   * @returns {Promise<Object>} - Cleanup result
+   * @returns {Promise<Object>} - Cleanup result and run metrics
    */
   async cleanupExpiredLocks() {
     try {
       const SeatAvailability = (await import('../models/seat.model.js')).default;
-      
+
+      const startedAt = Date.now();
       const result = await SeatAvailability.releaseExpiredLocks();
-      
-      logger.info(`Cleaned up expired seat locks. Modified documents: ${result.modifiedCount}`);
-      
+
+      // Kept for getLockStatistics so monitoring can see the last sweep
+      this.lastCleanup = {
+        ranAt: new Date(startedAt),
+        durationMs: Date.now() - startedAt,
+        ...result
+      };
+
+      logger.info(
+        `Cleaned up expired seat locks: ${result.releasedSeats} seat(s) in ${result.modifiedCount} document(s), ` +
+        `${result.conflicts} conflict(s), ${this.lastCleanup.durationMs}ms`
+      );
+
       return {
         success: true,
-        cleanedLocks: result.modifiedCount,
+        cleanedLocks: result.releasedSeats,
+        metrics: this.lastCleanup,
         message: 'Expired locks cleaned up successfully'
       };
 
@@ -310,6 +262,8 @@ class SeatLockingService {
         ? ((lockStats.totalBooked / lockStats.totalSeatsAcrossRoutes) * 100).toFixed(2)
         : 0;
 
+      lockStats.lastCleanup = this.lastCleanup || null;
+
       return lockStats;
 
     } catch (error) {
@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import SmsProvider from './sms-provider.js';
+import logger from '../../utils/logger.js';
+
+export const FAKE_SMS_SIGNATURE_HEADER = 'x-fake-signature';
+
+/**
+ * Sign a fake delivery receipt the same way the fake provider verifies it
+ * @param {string} messageId - Message ID
+ * @param {string} status - Delivery status
+ * @param {string} secret - Callback secret
+ * @returns {string} - Hex encoded HMAC-SHA256 signature
+ */
+export const signFakeSmsStatus = (messageId, status, secret = process.env.FAKE_SMS_SECRET || 'fake-sms-secret') =>
+  crypto.createHmac('sha256', secret).update(`${messageId}:${status}`).digest('hex');
+
+// Local provider that only logs messages - used for tests and development
+class FakeSmsProvider extends SmsProvider {
+  constructor(secret = process.env.FAKE_SMS_SECRET || 'fake-sms-secret') {
+    super('fake');
+    this.secret = secret;
+    // Messages sent in this process, newest last - lets tests read OTPs back
+    this.outbox = [];
+  }
+
+  async send({ to, body }) {
+    const messageId = `fake_sms_${uuidv4()}`;
+    this.outbox.push({ messageId, to, body, sentAt: new Date() });
+    logger.info(`[fake sms] ${messageId} to ${to}: ${body}`);
+    return { messageId, status: 'sent' };
+  }
+
+  // Receipts use the Twilio field names: { MessageSid, MessageStatus, ErrorCode }
+  parseStatusCallback(url, params, headers) {
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = params;
+
+    const signature = headers[FAKE_SMS_SIGNATURE_HEADER] || '';
+    const expected = signFakeSmsStatus(MessageSid, MessageStatus, this.secret);
+
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error('Invalid status callback signature');
+    }
+
+    return {
+      messageId: MessageSid,
+      status: MessageStatus,
+      errorCode: ErrorCode,
+      errorMessage: ErrorMessage
+    };
+  }
+}
+
+export default FakeSmsProvider;
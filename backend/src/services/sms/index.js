@@ -0,0 +1,24 @@
+import FakeSmsProvider from './fake.provider.js';
+import TwilioSmsProvider from './twilio.provider.js';
+
+const providerFactories = {
+  twilio: () => new TwilioSmsProvider(),
+  fake: () => new FakeSmsProvider()
+};
+
+const instances = {};
+
+/**
+ * Get an SMS provider adapter by name
+ * @param {string} name - Provider name, defaults to SMS_PROVIDER from .env
+ * @returns {SmsProvider} - Provider adapter instance
+ */
+export const getSmsProvider = (name = process.env.SMS_PROVIDER || 'fake') => {
+  if (!providerFactories[name]) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  if (!instances[name]) {
+    instances[name] = providerFactories[name]();
+  }
+  return instances[name];
+};
@@ -0,0 +1,49 @@
+/**
+ * Base class for SMS provider adapters.
+ *
+ * Every adapter must implement `send()` and resolve with a normalised result:
+ *   {
+ *     messageId,       // Provider message reference, used to match delivery receipts
+ *     status           // One of SMS_STATUSES
+ *   }
+ *
+ * and `parseStatusCallback()`, which verifies a delivery receipt and returns:
+ *   {
+ *     messageId,
+ *     status,          // One of SMS_STATUSES
+ *     errorCode,       // Optional - provider error code for failed deliveries
+ *     errorMessage
+ *   }
+ */
+export const SMS_STATUSES = ['accepted', 'queued', 'sending', 'sent', 'delivered', 'undelivered', 'failed', 'canceled'];
+
+class SmsProvider {
+  /**
+   * @param {string} name - Provider name as stored in `SmsMessage.provider`
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send a text message
+   * @param {Object} params - { to, body, statusCallback }
+   * @returns {Promise<Object>} - Normalised send result
+   */
+  async send() {
+    throw new Error(`${this.name} SMS provider does not implement send()`);
+  }
+
+  /**
+   * Verify and normalise a delivery status callback
+   * @param {string} url - Full public URL the callback was sent to
+   * @param {Object} params - Parsed callback body
+   * @param {Object} headers - Request headers
+   * @returns {Object} - Normalised status update
+   */
+  parseStatusCallback() {
+    throw new Error(`${this.name} SMS provider does not implement parseStatusCallback()`);
+  }
+}
+
+export default SmsProvider;
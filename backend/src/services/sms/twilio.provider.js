@@ -0,0 +1,49 @@
+import twilio from 'twilio';
+import SmsProvider from './sms-provider.js';
+
+// Twilio Programmable Messaging adapter
+class TwilioSmsProvider extends SmsProvider {
+  constructor({
+    accountSid = process.env.TWILIO_ACCOUNT_SID,
+    authToken = process.env.TWILIO_AUTH_TOKEN,
+    from = process.env.TWILIO_PHONE_NUMBER
+  } = {}) {
+    super('twilio');
+
+    if (!accountSid || !authToken || !from) {
+      throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER must be defined in .env');
+    }
+
+    this.client = twilio(accountSid, authToken);
+    this.authToken = authToken;
+    this.from = from;
+  }
+
+  async send({ to, body, statusCallback }) {
+    const message = await this.client.messages.create({
+      to,
+      from: this.from,
+      body,
+      ...(statusCallback && { statusCallback })
+    });
+
+    return { messageId: message.sid, status: message.status };
+  }
+
+  parseStatusCallback(url, params, headers) {
+    const signature = headers['x-twilio-signature'] || '';
+
+    if (!twilio.validateRequest(this.authToken, signature, url, params)) {
+      throw new Error('Invalid status callback signature');
+    }
+
+    return {
+      messageId: params.MessageSid,
+      status: params.MessageStatus,
+      errorCode: params.ErrorCode,
+      errorMessage: params.ErrorMessage
+    };
+  }
+}
+
+export default TwilioSmsProvider;
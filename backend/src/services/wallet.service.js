@@ -0,0 +1,221 @@
+import User from '../models/user.model.js';
+import WalletTransaction from '../models/wallet-transaction.model.js';
+import logger from '../utils/logger.js';
+
+// Wallet balance changes, each one backed by a WalletTransaction ledger entry
+class WalletService {
+  /**
+   * Add money to a user's wallet
+   * @param {string} userId - User ID
+   * @param {number} amount - Amount to credit
+   * @param {Object} options - Ledger details
+   * @param {string} options.category - top-up | refund | adjustment
+   * @param {string} options.bookingId - Related booking, if any
+   * @param {string} options.description - Statement text
+   * @param {string} options.idempotencyKey - Key that makes retries safe
+   * @returns {Promise<Object>} - Completed ledger entry
+   */
+  async credit(userId, amount, options = {}) {
+    return this.record(userId, 'credit', amount, options);
+  }
+
+  /**
+   * Take money from a user's wallet
+   * @param {string} userId - User ID
+   * @param {number} amount - Amount to debit
+   * @param {Object} options - Ledger details, see `credit()`
+   * @returns {Promise<Object>} - Completed ledger entry
+   * @throws {Error} - When the wallet balance is too low
+   */
+  async debit(userId, amount, options = {}) {
+    return this.record(userId, 'debit', amount, options);
+  }
+
+  /**
+   * Write a ledger entry and apply it to the balance
+   * @param {string} userId - User ID
+   * @param {string} type - credit | debit
+   * @param {number} amount - Amount
+   * @param {Object} options - Ledger details
+   * @returns {Promise<Object>} - Completed ledger entry
+   */
+  async record(userId, type, amount, { category = 'adjustment', bookingId, gatewayOrderId, description, idempotencyKey } = {}) {
+    if (!(amount > 0)) {
+      throw new Error('Amount must be greater than zero');
+    }
+
+    if (idempotencyKey) {
+      const existing = await WalletTransaction.findOne({ idempotencyKey });
+      if (existing) {
+        if (existing.status === 'failed') {
+          throw new Error(existing.failureReason || 'Wallet transaction failed');
+        }
+        return existing;
+      }
+    }
+
+    let entry;
+    try {
+      entry = await WalletTransaction.create({
+        userId,
+        type,
+        amount,
+        category,
+        bookingId,
+        gatewayOrderId,
+        description,
+        idempotencyKey
+      });
+    } catch (error) {
+      // Lost a race with an identical request - that one applies the change
+      if (error.code === 11000 && idempotencyKey) {
+        return WalletTransaction.findOne({ idempotencyKey });
+      }
+      throw error;
+    }
+
+    return this.applyTransaction(entry);
+  }
+
+  /**
+   * Apply a pending ledger entry to the user's balance
+   * @param {Object} entry - WalletTransaction document
+   * @returns {Promise<Object>} - Completed ledger entry
+   * @throws {Error} - When a debit would overdraw the wallet
+   */
+  async applyTransaction(entry) {
+    // Claim the entry so it is applied exactly once
+    const claimed = await WalletTransaction.findOneAndUpdate(
+      { _id: entry._id, status: 'pending' },
+      { $set: { status: 'processing' } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return WalletTransaction.findById(entry._id);
+    }
+
+    // Conditional $inc - the balance check and the update are one atomic operation
+    const filter = { _id: claimed.userId };
+    if (claimed.type === 'debit') {
+      filter.walletBalance = { $gte: claimed.amount };
+    }
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      { $inc: { walletBalance: claimed.type === 'credit' ? claimed.amount : -claimed.amount } },
+      { new: true }
+    );
+
+    if (!user) {
+      claimed.status = 'failed';
+      claimed.failureReason = claimed.type === 'debit' ? 'Insufficient wallet balance' : 'User not found';
+      await claimed.save();
+      throw new Error(claimed.failureReason);
+    }
+
+    claimed.status = 'completed';
+    claimed.balanceAfter = user.walletBalance;
+    await claimed.save();
+
+    logger.info(`Wallet ${claimed.type} of ${claimed.amount} for user ${claimed.userId} (${claimed.category})`);
+    return claimed;
+  }
+
+  /**
+   * Record a top-up before the card is charged, so a charge that succeeds always has an entry to credit.
+   * The entry's id is the charge's idempotency key.
+   * @param {string} userId - User ID
+   * @param {number} amount - Top-up amount
+   * @returns {Promise<Object>} - Ledger entry awaiting payment
+   */
+  async createPendingTopUp(userId, amount) {
+    const entry = new WalletTransaction({
+      userId,
+      type: 'credit',
+      amount,
+      category: 'top-up',
+      status: 'awaiting-payment',
+      description: 'Wallet top-up'
+    });
+    entry.idempotencyKey = `topup-${entry._id}`;
+
+    return entry.save();
+  }
+
+  /**
+   * Settle a top-up once the gateway reports the outcome
+   * @param {Object} reference - Which top-up: its ledger entry id, else the gateway order
+   * @param {string} reference.topUpId - Ledger entry ID
+   * @param {string} reference.gatewayOrderId - Gateway order/intent reference, recorded on the entry
+   * @param {boolean} succeeded - Whether the charge succeeded
+   * @param {string} failureReason - Gateway failure reason
+   * @returns {Promise<Object|null>} - Ledger entry, or null if no top-up matches
+   */
+  async settleTopUp({ topUpId, gatewayOrderId }, succeeded, failureReason) {
+    if (!topUpId && !gatewayOrderId) {
+      return null;
+    }
+
+    const entry = await WalletTransaction.findOneAndUpdate(
+      { ...(topUpId ? { _id: topUpId } : { gatewayOrderId }), category: 'top-up', status: 'awaiting-payment' },
+      {
+        $set: {
+          ...(gatewayOrderId && { gatewayOrderId }),
+          ...(succeeded ? { status: 'pending' } : { status: 'failed', failureReason: failureReason || 'Payment failed' })
+        }
+      },
+      { new: true }
+    );
+
+    if (!entry || !succeeded) {
+      return entry;
+    }
+
+    return this.applyTransaction(entry);
+  }
+
+  /**
+   * Record the gateway order of a top-up the gateway is still processing, for its webhook
+   * @param {string} topUpId - Ledger entry ID
+   * @param {string} gatewayOrderId - Gateway order/intent reference
+   * @returns {Promise<Object|null>} - Ledger entry
+   */
+  async attachTopUpOrder(topUpId, gatewayOrderId) {
+    return WalletTransaction.findOneAndUpdate(
+      { _id: topUpId, category: 'top-up' },
+      { $set: { gatewayOrderId } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Get a page of a user's wallet statement
+   * @param {string} userId - User ID
+   * @param {Object} options - Filters and pagination
+   * @returns {Promise<Object>} - Transactions and total count
+   */
+  async getTransactions(userId, { page = 1, limit = 20, type, category } = {}) {
+    const query = { userId };
+    if (type) query.type = type;
+    if (category) query.category = category;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [transactions, total] = await Promise.all([
+      WalletTransaction.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-idempotencyKey'),
+      WalletTransaction.countDocuments(query)
+    ]);
+
+    return { transactions, total };
+  }
+}
+
+// Singleton instance
+const walletService = new WalletService();
+
+export default walletService;
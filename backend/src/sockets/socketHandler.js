@@ -1,38 +1,330 @@
+import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+const { authenticateSocket } = authMiddleware;
+import SeatAvailability from '../models/seat.model.js';
+import Route from '../models/circuit.model.js';
+import Booking from '../models/booking.model.js';
+import seatLockingService from '../services/seat-locking.service.js';
+import seatEvents, { SEAT_STATUS_CHANGED, seatRoom, toDateKey } from '../services/seat-events.service.js';
+import notificationEvents, { NOTIFICATION_CREATED, userRoom } from '../services/notification-events.service.js';
+import { getRedisClient } from '../config/redis.js';
+
+// How long a user may be fully disconnected before their socket-held locks are released
+const DISCONNECT_GRACE_PERIOD_MS = (parseInt(process.env.SOCKET_LOCK_GRACE_PERIOD) || 30) * 1000;
+
+// Pending release timers for users with no connected sockets on this node: userId -> Timeout
+const releaseTimers = new Map();
+
+// Acknowledgement callbacks are optional for clients
+const toAck = (ack) => (typeof ack === 'function' ? ack : () => {});
+
+// Validate and normalise the { routeId, travelDate, departureId } a client sends
+const parseTrip = (data = {}) => {
+  const { routeId, travelDate, departureId } = data;
+
+  if (!mongoose.isValidObjectId(routeId)) {
+    throw new Error('Invalid route ID');
+  }
+  if (!travelDate || Number.isNaN(new Date(travelDate).getTime())) {
+    throw new Error('Invalid travel date');
+  }
+  if (!mongoose.isValidObjectId(departureId)) {
+    throw new Error('Invalid departure ID');
+  }
+
+  return { routeId, travelDate: toDateKey(travelDate), departureId };
+};
+
+// Optional { fromStop, toStop } a client travels between on a route with stops
+const parseJourney = (data = {}) => {
+  const journey = {};
+
+  for (const field of ['fromStop', 'toStop']) {
+    if (data[field] === undefined || data[field] === null) continue;
+    if (!Number.isInteger(data[field]) || data[field] < 0) {
+      throw new Error('Invalid stops for this route');
+    }
+    journey[field] = data[field];
+  }
+  return journey;
+};
+
+// Seat numbers may arrive as a single seatNumber or a seatNumbers array
+const parseSeatNumbers = (data = {}) => {
+  const seatNumbers = Array.isArray(data.seatNumbers) ? data.seatNumbers : [data.seatNumber];
+  const cleaned = [...new Set(seatNumbers.filter(n => typeof n === 'string' && n.trim()).map(n => n.trim()))];
+
+  if (cleaned.length === 0) {
+    throw new Error('At least one seat number required');
+  }
+  return cleaned;
+};
+
+// Socket-held locks live in Redis so whichever instance sees the user leave can release them:
+// socket_locks:{userId} is the set of trips, socket_locks:{userId}:{routeId}:{travelDate}:{departureId} the seats per trip
+const userLocksKey = (userId) => `socket_locks:${userId}`;
+const tripLocksKey = (userId, tripKey) => `socket_locks:${userId}:${tripKey}`;
+
+// Outlive the seat locks themselves plus the grace period
+const trackingTtl = () => seatLockingService.lockTimeout + Math.ceil(DISCONNECT_GRACE_PERIOD_MS / 1000);
+
+const trackLocks = async (userId, { routeId, travelDate, departureId }, seatNumbers) => {
+  const tripKey = `${routeId}:${travelDate}:${departureId}`;
+
+  await getRedisClient()
+    .multi()
+    .sAdd(userLocksKey(userId), tripKey)
+    .sAdd(tripLocksKey(userId, tripKey), seatNumbers)
+    .expire(userLocksKey(userId), trackingTtl())
+    .expire(tripLocksKey(userId, tripKey), trackingTtl())
+    .exec();
+};
+
+const untrackLocks = async (userId, { routeId, travelDate, departureId }, seatNumbers) => {
+  const tripKey = `${routeId}:${travelDate}:${departureId}`;
+  const client = getRedisClient();
+
+  await client.sRem(tripLocksKey(userId, tripKey), seatNumbers);
+  if (await client.sCard(tripLocksKey(userId, tripKey)) === 0) {
+    await client.sRem(userLocksKey(userId), tripKey);
+  }
+};
+
+const hasTrackedLocks = async (userId) => (await getRedisClient().sCard(userLocksKey(userId))) > 0;
+
+// Release everything a user locked over sockets, except seats already in a pending booking
+const releaseUserLocks = async (userId) => {
+  const client = getRedisClient();
+  const tripKeys = await client.sMembers(userLocksKey(userId));
+
+  for (const tripKey of tripKeys) {
+    try {
+      const [routeId, travelDate, departureId] = tripKey.split(':');
+
+      // Take the seat set in one step so two instances never release the same trip twice
+      const [seats] = await client
+        .multi()
+        .sMembers(tripLocksKey(userId, tripKey))
+        .del(tripLocksKey(userId, tripKey))
+        .sRem(userLocksKey(userId), tripKey)
+        .exec();
+
+      const pendingBookings = await Booking.find({
+        'user.userId': userId,
+        'route.routeId': routeId,
+        'journey.travelDate': new Date(travelDate),
+        'journey.departureId': departureId,
+        status: 'pending'
+      }, { passengers: 1 }).lean();
+
+      // Seats going through checkout stay locked - payment confirms or releases them
+      const inCheckout = new Set(pendingBookings.flatMap(b => b.passengers.map(p => p.seatNumber)));
+      const seatNumbers = seats.filter(seatNumber => !inCheckout.has(seatNumber));
+
+      if (seatNumbers.length > 0) {
+        const result = await seatLockingService.releaseSeats(routeId, travelDate, departureId, seatNumbers, userId);
+        logger.info(`Released ${result.releasedSeats} seat lock(s) for disconnected user ${userId}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to release locks for disconnected user ${userId}:`, error);
+    }
+  }
+};
 
 const socketHandler = (io) => {
+  // Every socket must carry a valid access token
+  io.use(authenticateSocket);
+
+  // Relay seat changes to everyone viewing that departure
+  seatEvents.on(SEAT_STATUS_CHANGED, (change) => {
+    io.to(seatRoom(change.routeId, change.travelDate, change.departureId)).emit(SEAT_STATUS_CHANGED, change);
+  });
+
+  // Push new inbox entries to every socket the user has open
+  notificationEvents.on(NOTIFICATION_CREATED, (notification) => {
+    io.to(userRoom(notification.userId)).emit(NOTIFICATION_CREATED, notification);
+  });
+
   io.on('connection', (socket) => {
-    logger.info(`User connected: ${socket.id}`);
+    const user = socket.data.user;
+    logger.info(`User connected: ${socket.id} (user ${user._id})`);
+
+    const userId = user._id.toString();
+
+    // Personal room for user-targeted events
+    socket.join(userRoom(userId));
+
+    // Back within the grace period - keep the locks
+    if (releaseTimers.has(userId)) {
+      clearTimeout(releaseTimers.get(userId));
+      releaseTimers.delete(userId);
+    }
+
+    // Join the seat map room for a departure, replying with the current seat statuses
+    socket.on('join-trip', async (data, ack) => {
+      const respond = toAck(ack);
+      try {
+        const { routeId, travelDate, departureId } = parseTrip(data);
+        const room = seatRoom(routeId, travelDate, departureId);
 
-    // Handle seat selection
-    socket.on('select-seat', (data) => {
+        // Join before reading so no change can slip in between the snapshot and the diffs
+        await socket.join(room);
+
+        const availability = await SeatAvailability.findOne(
+          { routeId, travelDate: new Date(travelDate), departureId },
+          { seatsAvailable: 1, segmentCount: 1, summary: 1 }
+        ).lean();
+
+        // On a route with stops every seat has one entry per segment; clients fold them for their journey
+        respond({
+          success: true,
+          room,
+          segmentCount: availability?.segmentCount || 1,
+          seats: availability
+            ? availability.seatsAvailable.map(seat => ({
+              seatNumber: seat.seatNumber,
+              ...(seat.segment != null && { segment: seat.segment }),
+              status: seat.status,
+              ...(seat.status === 'locked' && { lockExpiry: seat.lockExpiry })
+            }))
+            : [],
+          summary: availability?.summary || null
+        });
+      } catch (error) {
+        logger.error('Join trip error:', error);
+        respond({ success: false, error: error.message });
+      }
+    });
+
+    // Stop receiving seat changes for a departure
+    socket.on('leave-trip', async (data, ack) => {
+      const respond = toAck(ack);
       try {
-        // Placeholder - implement actual seat selection logic
-        logger.info(`Seat selection: ${JSON.stringify(data)}`);
-        socket.emit('seat-selected', { success: true, data });
+        const { routeId, travelDate, departureId } = parseTrip(data);
+        await socket.leave(seatRoom(routeId, travelDate, departureId));
+        respond({ success: true });
+      } catch (error) {
+        respond({ success: false, error: error.message });
+      }
+    });
+
+    // Lock seats for this user
+    socket.on('select-seat', async (data, ack) => {
+      const respond = toAck(ack);
+      try {
+        const trip = parseTrip(data);
+        const { routeId, travelDate, departureId } = trip;
+        const seatNumbers = parseSeatNumbers(data);
+
+        const route = await Route.findById(routeId);
+        if (!route || route.status !== 'active') {
+          throw new Error('Route not found or inactive');
+        }
+        if (!route.isAvailableOnDate(new Date(travelDate), departureId)) {
+          throw new Error('Departure not available on selected date');
+        }
+        const { fromStop, toStop } = parseJourney(data);
+        const journey = route.resolveJourney(fromStop, toStop);
+        if (!journey) {
+          throw new Error('Invalid stops for this route');
+        }
+
+        const lockDurationMinutes = Math.round(seatLockingService.lockTimeout / 60);
+        const lockResult = await seatLockingService.lockSeats(
+          routeId,
+          travelDate,
+          departureId,
+          seatNumbers,
+          user._id,
+          lockDurationMinutes,
+          journey
+        );
+
+        await trackLocks(userId, trip, seatNumbers);
+
+        const payload = {
+          success: true,
+          data: {
+            routeId,
+            travelDate,
+            departureId,
+            journey,
+            lockedSeats: lockResult.lockedSeats,
+            lockExpiry: lockResult.lockExpiry,
+            lockDurationMinutes
+          }
+        };
+        respond(payload);
+        socket.emit('seat-selected', payload);
       } catch (error) {
         logger.error('Seat selection error:', error);
-        socket.emit('seat-selected', { success: false, error: error.message });
+        const payload = { success: false, error: error.message, code: 'SEAT_LOCK_FAILED' };
+        respond(payload);
+        socket.emit('seat-selected', payload);
       }
     });
 
-    // Handle seat release
-    socket.on('release-seat', (data) => {
+    // Release seats this user locked
+    socket.on('release-seat', async (data, ack) => {
+      const respond = toAck(ack);
       try {
-        // Placeholder - implement actual seat release logic
-        logger.info(`Seat release: ${JSON.stringify(data)}`);
-        socket.emit('seat-released', { success: true, data });
+        const trip = parseTrip(data);
+        const { routeId, travelDate, departureId } = trip;
+        const seatNumbers = parseSeatNumbers(data);
+
+        const releaseResult = await seatLockingService.releaseSeats(routeId, travelDate, departureId, seatNumbers, user._id);
+
+        await untrackLocks(userId, trip, seatNumbers);
+
+        const payload = {
+          success: true,
+          data: {
+            routeId,
+            travelDate,
+            departureId,
+            seatNumbers,
+            releasedSeats: releaseResult.releasedSeats
+          }
+        };
+        respond(payload);
+        socket.emit('seat-released', payload);
       } catch (error) {
         logger.error('Seat release error:', error);
-        socket.emit('seat-released', { success: false, error: error.message });
+        const payload = { success: false, error: error.message, code: 'SEAT_RELEASE_FAILED' };
+        respond(payload);
+        socket.emit('seat-released', payload);
       }
     });
 
     // Handle disconnect
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       logger.info(`User disconnected: ${socket.id}`);
+
+      try {
+        if (releaseTimers.has(userId) || !(await hasTrackedLocks(userId))) {
+          return;
+        }
+      } catch (error) {
+        logger.error('Disconnect lock lookup error:', error);
+        return;
+      }
+
+      // Wait out short drops (reloads, flaky networks) before giving the seats back
+      releaseTimers.set(userId, setTimeout(async () => {
+        releaseTimers.delete(userId);
+        try {
+          // fetchSockets asks every instance through the Redis adapter
+          const remaining = await io.in(userRoom(userId)).fetchSockets();
+          if (remaining.length === 0) {
+            await releaseUserLocks(userId);
+          }
+        } catch (error) {
+          logger.error('Disconnect lock release error:', error);
+        }
+      }, DISCONNECT_GRACE_PERIOD_MS));
     });
   });
 };
 
-export default socketHandler; 
\ No newline at end of file
+export default socketHandler;
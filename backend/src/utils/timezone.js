@@ -0,0 +1,31 @@
+// Times of day on a route's clock, turned into moments
+
+// Timezone of routes that don't set one
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const MINUTE_MS = 60 * 1000;
+
+// Minutes the timezone is ahead of UTC at a moment
+const utcOffsetMinutes = (timeZone, date) => {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+};
+
+/**
+ * The moment a time of day comes round on a date, on a timezone's clock
+ * @param {Date} date - Travel date, stored as midnight UTC
+ * @param {number} minutes - Minutes past midnight
+ * @param {string} timeZone - IANA timezone, the default one if not set
+ * @returns {Date}
+ */
+export const zonedTime = (date, minutes, timeZone = DEFAULT_TIMEZONE) => {
+  const zone = timeZone || DEFAULT_TIMEZONE;
+  const wallClock = Date.parse(`${new Date(date).toISOString().slice(0, 10)}T00:00:00Z`) + minutes * MINUTE_MS;
+
+  // The offset at the wall-clock time read as UTC is off near a DST change, so check it at the result
+  const guess = wallClock - utcOffsetMinutes(zone, new Date(wallClock)) * MINUTE_MS;
+  return new Date(wallClock - utcOffsetMinutes(zone, new Date(guess)) * MINUTE_MS);
+};
@@ -0,0 +1,68 @@
+import Booking from '../src/models/booking.model.js';
+
+// Departs 21:00 in Kolkata (+05:30) - 15:30 UTC
+const confirmedBooking = (journey = {}) => new Booking({
+  bookingId: 'SB20260115654321',
+  status: 'confirmed',
+  route: { origin: 'Hyderabad', destination: 'Bengaluru', operatorName: 'Capsule Cabs', timezone: 'Asia/Kolkata' },
+  journey: {
+    travelDate: new Date('2026-01-15T00:00:00Z'),
+    departureTime: '21:00',
+    estimatedArrivalTime: '05:00',
+    pickupPoint: { name: 'Mehdipatnam', address: 'Hyderabad', time: '21:00' },
+    dropPoint: { name: 'Majestic', address: 'Bengaluru', time: '05:00' },
+    ...journey
+  },
+  payment: { totalAmount: 1000, paymentMethod: 'card' }
+});
+
+describe('booking cancellation quote', () => {
+  it('departs at the time of day on the route clock, whatever the server timezone', () => {
+    expect(confirmedBooking().getDepartureDateTime().toISOString()).toBe('2026-01-15T15:30:00.000Z');
+  });
+
+  it('applies a rule right up to its threshold and the next one just after', () => {
+    const booking = confirmedBooking();
+
+    const atThreshold = booking.getCancellationQuote(new Date('2026-01-14T15:30:00Z'));
+    expect(atThreshold.hoursUntilDeparture).toBe(24);
+    expect(atThreshold.refundPercentage).toBe(75);
+
+    const justAfter = booking.getCancellationQuote(new Date('2026-01-14T15:31:00Z'));
+    expect(justAfter.refundPercentage).toBe(50);
+    expect(justAfter.refundAmount).toBe(500);
+  });
+
+  it('stops cancellations at the cutoff before departure', () => {
+    const booking = confirmedBooking();
+
+    expect(booking.getCancellationQuote(new Date('2026-01-15T13:30:00Z')).allowed).toBe(true);
+
+    const pastCutoff = booking.getCancellationQuote(new Date('2026-01-15T13:31:00Z'));
+    expect(pastCutoff.allowed).toBe(false);
+    expect(pastCutoff.reason).toBe('Cannot cancel booking less than 2 hours before departure');
+  });
+});
+
+describe('booking pickup time', () => {
+  it('picks up at an origin point the offset after the route departs', () => {
+    const booking = confirmedBooking({
+      fromStop: 0,
+      pickupPoint: { name: 'Mehdipatnam', address: 'Hyderabad', offsetMinutes: 30, time: '21:30' }
+    });
+
+    expect(booking.getPickupDateTime().toISOString()).toBe('2026-01-15T16:00:00.000Z');
+  });
+
+  it('reaches a later stop past midnight on the day after the travel date', () => {
+    // Route leaves at 21:00; the stop is four hours out
+    const booking = confirmedBooking({
+      fromStop: 1,
+      departureTime: '01:00',
+      pickupPoint: { name: 'Kurnool', address: 'Kurnool', offsetMinutes: 240, time: '01:00' }
+    });
+
+    expect(booking.getDepartureDateTime().toISOString()).toBe('2026-01-15T19:30:00.000Z');
+    expect(booking.getPickupDateTime().toISOString()).toBe('2026-01-15T19:30:00.000Z');
+  });
+});
@@ -0,0 +1,23 @@
+import redis from 'redis';
+import { getRedisUrl } from '../../src/config/redis.js';
+
+// Tests that need Redis use REDIS_HOST/REDIS_PORT/REDIS_PASSWORD, else localhost:6379
+process.env.REDIS_HOST ||= 'localhost';
+process.env.REDIS_PORT ||= '6379';
+process.env.REDIS_PASSWORD ||= '';
+
+/**
+ * Whether a Redis server answers at the configured URL - suites that need one are skipped otherwise
+ * @returns {Promise<boolean>}
+ */
+export const redisAvailable = async () => {
+  const client = redis.createClient({ url: getRedisUrl(), socket: { reconnectStrategy: false, connectTimeout: 1000 } });
+  client.on('error', () => {});
+  try {
+    await client.connect();
+    await client.quit();
+    return true;
+  } catch {
+    return false;
+  }
+};
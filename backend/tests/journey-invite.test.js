@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import net from 'net';
+
+const booking = {
+  bookingId: 'SB20260115654321',
+  user: { name: 'Asha Rao' },
+  route: {
+    origin: 'Hyderabad',
+    destination: 'Bengaluru',
+    operatorName: 'Capsule Cabs',
+    vehicleNumber: 'TS09AB1234',
+    timezone: 'Asia/Kolkata'
+  },
+  journey: {
+    travelDate: new Date('2026-01-15T00:00:00Z'),
+    departureTime: '21:00',
+    estimatedArrivalTime: '05:00',
+    pickupPoint: {
+      name: 'मेहदीपट्नम बस स्टैंड',
+      address: 'मेहदीपट्नम मुख्य सड़क, रायथु बाज़ार के सामने, हैदराबाद, तेलंगाना',
+      time: '21:30'
+    },
+    dropPoint: { name: 'Majestic', address: 'Kempegowda Bus Station, Bengaluru', time: '05:15' }
+  },
+  passengers: [{ name: 'Asha Rao', seatNumber: 'A1' }],
+  seatNumbers: ['A1'],
+  payment: { totalAmount: 950, currency: 'INR' }
+};
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+jest.unstable_mockModule('../src/models/booking.model.js', () => ({
+  default: { findOne: async () => booking, updateOne: async () => ({}) }
+}));
+
+// Local SMTP catcher: accepts every message and keeps its raw DATA
+const startSmtpCatcher = () => new Promise(resolve => {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+
+    socket.write('220 localhost ESMTP test catcher\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('latin1');
+
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push(Buffer.from(data, 'latin1').toString('utf8'));
+            data = null;
+            socket.write('250 OK\r\n');
+          } else {
+            data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO') {
+          socket.write('250-localhost\r\n250 8BITMIME\r\n');
+        } else if (command === 'DATA') {
+          data = '';
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+});
+
+// The .ics attachment of a raw MIME message, decoded
+const calendarPart = message => {
+  const part = message.split(/\r\n--/).find(section => /Content-Type: text\/calendar/i.test(section));
+  const [headers, ...body] = part.split('\r\n\r\n');
+  const content = body.join('\r\n\r\n').trim();
+
+  if (/Content-Transfer-Encoding: base64/i.test(headers)) {
+    return Buffer.from(content.replace(/\s+/g, ''), 'base64').toString('utf8');
+  }
+  if (/Content-Transfer-Encoding: quoted-printable/i.test(headers)) {
+    const bytes = content.replace(/=\r\n/g, '').replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return Buffer.from(bytes, 'latin1').toString('utf8');
+  }
+  return content;
+};
+
+const unfold = ics => ics.replace(/\r\n /g, '');
+
+describe('journey calendar invite', () => {
+  let catcher;
+  let ics;
+
+  beforeAll(async () => {
+    catcher = await startSmtpCatcher();
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(catcher.port);
+    process.env.SMTP_SECURE = 'false';
+    delete process.env.SMTP_USER;
+
+    const { sendEmail } = await import('../src/services/notificationService.js');
+    await sendEmail('asha@example.com', 'Booking confirmed', 'Your booking is confirmed', {
+      purpose: 'booking-confirmation',
+      bookingId: booking.bookingId,
+      language: 'en'
+    });
+
+    ics = calendarPart(catcher.messages[0]);
+  });
+
+  afterAll(async () => {
+    const { getMailTransport } = await import('../src/services/email/mailer.js');
+    getMailTransport().close();
+    await new Promise(resolve => catcher.server.close(resolve));
+  });
+
+  it('attaches the invite to the confirmation email', () => {
+    expect(catcher.messages).toHaveLength(1);
+    expect(catcher.messages[0]).toMatch(/filename=.?SB20260115654321\.ics/);
+    expect(ics).toMatch(/^BEGIN:VCALENDAR\r\n/);
+  });
+
+  it('writes the pickup and drop as local times in the route timezone', () => {
+    const lines = unfold(ics).split('\r\n');
+
+    expect(lines).toContain('TZID:Asia/Kolkata');
+    expect(lines).toContain('TZOFFSETTO:+0530');
+    expect(lines).toContain('DTSTART;TZID=Asia/Kolkata:20260115T213000');
+    // Drop is earlier in the day than pickup, so it is the next morning
+    expect(lines).toContain('DTEND;TZID=Asia/Kolkata:20260116T051500');
+  });
+
+  it('folds long lines at 75 octets without splitting multi-byte characters', () => {
+    const lines = ics.split('\r\n');
+
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(lines.some(line => line.startsWith(' '))).toBe(true);
+    expect(ics).not.toContain('�');
+
+    expect(unfold(ics)).toContain(`LOCATION:${booking.journey.pickupPoint.name}\\, ${booking.journey.pickupPoint.address.replace(/,/g, '\\,')}`);
+  });
+});
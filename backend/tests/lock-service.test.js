@@ -0,0 +1,69 @@
+import { connectRedis, getRedisClient, lockService } from '../src/config/redis.js';
+import { redisAvailable } from './helpers/redis.js';
+
+const describeWithRedis = await redisAvailable() ? describe : describe.skip;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describeWithRedis('lockService', () => {
+  const key = `test_lock:${process.pid}:${Date.now()}`;
+
+  beforeAll(async () => {
+    await connectRedis();
+  });
+
+  afterEach(async () => {
+    await getRedisClient().del(key);
+  });
+
+  afterAll(async () => {
+    await getRedisClient().quit();
+  });
+
+  it('hands the lock to one caller at a time', async () => {
+    const token = await lockService.acquire(key, 5000);
+
+    expect(token).toEqual(expect.any(String));
+    expect(await lockService.acquire(key, 5000)).toBeNull();
+  });
+
+  it('only releases the lock for the token that owns it', async () => {
+    const token = await lockService.acquire(key, 5000);
+
+    expect(await lockService.release(key, 'someone-else')).toBe(false);
+    expect(await getRedisClient().get(key)).toBe(token);
+
+    expect(await lockService.release(key, token)).toBe(true);
+    expect(await lockService.acquire(key, 5000)).toEqual(expect.any(String));
+  });
+
+  it('renews the lock for its owner only', async () => {
+    const token = await lockService.acquire(key, 200);
+
+    expect(await lockService.renew(key, 'someone-else', 5000)).toBe(false);
+    expect(await lockService.renew(key, token, 5000)).toBe(true);
+
+    await sleep(300);
+    expect(await getRedisClient().get(key)).toBe(token);
+    expect(await getRedisClient().pTTL(key)).toBeGreaterThan(4000);
+  });
+
+  it('lets the lock expire, after which the old token can neither renew nor release it', async () => {
+    const token = await lockService.acquire(key, 100);
+    await sleep(200);
+
+    const next = await lockService.acquire(key, 5000);
+    expect(next).toEqual(expect.any(String));
+
+    expect(await lockService.renew(key, token, 5000)).toBe(false);
+    expect(await lockService.release(key, token)).toBe(false);
+    expect(await getRedisClient().get(key)).toBe(next);
+  });
+
+  it('waits for a busy lock when given retries', async () => {
+    await lockService.acquire(key, 150);
+
+    const token = await lockService.acquire(key, 5000, { retries: 10, retryDelayMs: 50 });
+    expect(token).toEqual(expect.any(String));
+  });
+});
@@ -0,0 +1,243 @@
+import { jest } from '@jest/globals';
+
+process.env.PAYMENT_GATEWAY = 'fake';
+
+// Bookings live in memory; updates understand just the operators the payment service uses
+const bookings = new Map();
+
+const getPath = (doc, path) => path.split('.').reduce((node, key) => node?.[key], doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] ??= {}), doc);
+  parent[last] = value;
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  const value = path === '_id' ? doc._id : getPath(doc, path);
+  return condition?.$in ? condition.$in.includes(value) : value === condition;
+});
+
+const toDocument = data => {
+  const doc = structuredClone(data);
+  doc.save = async () => {
+    const { save, ...stored } = doc;
+    bookings.set(doc._id, structuredClone(stored));
+    return doc;
+  };
+  return doc;
+};
+
+const Booking = {
+  findOneAndUpdate: jest.fn(async (filter, update) => {
+    const data = bookings.get(filter._id);
+    if (!data || !matches(data, filter)) return null;
+
+    Object.entries(update.$set || {}).forEach(([path, value]) => setPath(data, path, value));
+    Object.entries(update.$inc || {}).forEach(([path, by]) => setPath(data, path, (getPath(data, path) || 0) + by));
+    return toDocument(data);
+  }),
+  findByIdAndUpdate: jest.fn(async (id, update) => Booking.findOneAndUpdate({ _id: id }, update)),
+  findOne: jest.fn(async filter => {
+    const data = [...bookings.values()].find(booking => matches(booking, filter));
+    return data ? toDocument(data) : null;
+  })
+};
+
+const availability = {
+  areSeatsLockedBy: jest.fn(() => true),
+  confirmBooking: jest.fn(async () => {}),
+  releaseLocks: jest.fn(async () => {})
+};
+
+const SeatAvailability = {
+  findForBooking: jest.fn(async () => availability)
+};
+
+const seatLockingService = { releaseSeats: jest.fn(async () => {}) };
+const bookingNotificationService = { sendConfirmation: jest.fn(async () => {}) };
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.unstable_mockModule('../src/models/booking.model.js', () => ({ default: Booking }));
+jest.unstable_mockModule('../src/models/seat.model.js', () => ({ default: SeatAvailability }));
+jest.unstable_mockModule('../src/services/seat-locking.service.js', () => ({ default: seatLockingService }));
+jest.unstable_mockModule('../src/services/wallet.service.js', () => ({ default: {} }));
+jest.unstable_mockModule('../src/services/booking-notification.service.js', () => ({ default: bookingNotificationService }));
+jest.unstable_mockModule('../src/utils/logger.js', () => ({ default: logger }));
+
+const { default: paymentService } = await import('../src/services/payment.service.js');
+const { getPaymentGateway } = await import('../src/services/gateways/index.js');
+const { FAKE_PAYMENT_METHODS } = await import('../src/services/gateways/fake.gateway.js');
+
+const pendingBooking = () => {
+  const data = {
+    _id: 'booking-1',
+    bookingId: 'SB20260101123456',
+    status: 'pending',
+    user: { userId: 'user-1' },
+    route: { routeId: 'route-1' },
+    journey: { travelDate: new Date('2026-01-01'), departureId: 'departure-1', fromStop: 0, toStop: 1 },
+    passengers: [{ name: 'Asha', seatNumber: 'A1', fare: 500 }, { name: 'Ravi', seatNumber: 'A2', fare: 450 }],
+    payment: { totalAmount: 950, currency: 'INR', paymentMethod: 'card', status: 'pending', attempts: 0 }
+  };
+  bookings.set(data._id, structuredClone(data));
+  return toDocument(data);
+};
+
+describe('paymentService.processPayment', () => {
+  const gateway = getPaymentGateway('fake');
+
+  beforeEach(() => {
+    bookings.clear();
+    jest.clearAllMocks();
+    jest.spyOn(gateway, 'charge');
+  });
+
+  afterEach(() => {
+    gateway.charge.mockRestore();
+  });
+
+  it('charges the booking, then confirms its seats and the booking', async () => {
+    const result = await paymentService.processPayment(pendingBooking(), {
+      paymentMethodId: FAKE_PAYMENT_METHODS.success
+    });
+
+    expect(result.status).toBe('succeeded');
+    expect(gateway.charge).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 950,
+      currency: 'INR',
+      idempotencyKey: 'booking-SB20260101123456-1'
+    }));
+
+    expect(availability.confirmBooking).toHaveBeenCalledWith(
+      ['A1', 'A2'], 'user-1', 'SB20260101123456', expect.objectContaining({ fromStop: 0, toStop: 1 })
+    );
+    expect(seatLockingService.releaseSeats).toHaveBeenCalled();
+    expect(bookingNotificationService.sendConfirmation).toHaveBeenCalledTimes(1);
+
+    const stored = bookings.get('booking-1');
+    expect(stored.status).toBe('confirmed');
+    expect(stored.payment.status).toBe('completed');
+    expect(stored.payment.paidAmount).toBe(950);
+    expect(stored.payment.gateway.transactionId).toMatch(/^fake_txn_/);
+  });
+
+  it('keeps the booking and its seat locks when the card is declined', async () => {
+    const result = await paymentService.processPayment(pendingBooking(), {
+      paymentMethodId: FAKE_PAYMENT_METHODS.declined
+    });
+
+    expect(result.status).toBe('failed');
+    expect(result.failureReason).toBe('Your card was declined');
+
+    const stored = bookings.get('booking-1');
+    expect(stored.status).toBe('pending');
+    expect(stored.payment.status).toBe('pending');
+    expect(stored.payment.failureReason).toBe('Your card was declined');
+
+    expect(availability.releaseLocks).not.toHaveBeenCalled();
+    expect(availability.confirmBooking).not.toHaveBeenCalled();
+    expect(bookingNotificationService.sendConfirmation).not.toHaveBeenCalled();
+  });
+
+  it('lets the customer pay again after a decline, as a new charge', async () => {
+    await paymentService.processPayment(pendingBooking(), { paymentMethodId: FAKE_PAYMENT_METHODS.declined });
+    const result = await paymentService.processPayment(toDocument(bookings.get('booking-1')), {
+      paymentMethodId: FAKE_PAYMENT_METHODS.success
+    });
+
+    expect(result.status).toBe('succeeded');
+    expect(gateway.charge.mock.calls.map(([charge]) => charge.idempotencyKey)).toEqual([
+      'booking-SB20260101123456-1',
+      'booking-SB20260101123456-2'
+    ]);
+    expect(bookings.get('booking-1').status).toBe('confirmed');
+  });
+});
+
+describe('paymentService.applyWebhookEvent', () => {
+  const gateway = getPaymentGateway('fake');
+
+  beforeEach(() => {
+    bookings.clear();
+    jest.clearAllMocks();
+  });
+
+  const failedEvent = booking => ({
+    id: 'evt_1',
+    type: 'payment.failed',
+    gatewayOrderId: booking.payment.gateway.gatewayOrderId,
+    failureReason: 'Authentication failed'
+  });
+
+  it('fails a processing payment and frees its seats when the gateway reports it failed', async () => {
+    const { booking } = await paymentService.processPayment(pendingBooking(), {
+      paymentMethodId: FAKE_PAYMENT_METHODS.processing
+    });
+    expect(booking.payment.status).toBe('processing');
+
+    expect(await paymentService.applyWebhookEvent(gateway.name, failedEvent(booking))).toBe('failed');
+
+    const stored = bookings.get('booking-1');
+    expect(stored.status).toBe('cancelled');
+    expect(stored.payment.status).toBe('failed');
+    expect(stored.cancellation.notes).toBe('Payment failed: Authentication failed');
+    expect(availability.releaseLocks).toHaveBeenCalledWith(['A1', 'A2'], 'user-1');
+  });
+
+  it('leaves a booking declined while the customer waited open for another attempt', async () => {
+    const { booking } = await paymentService.processPayment(pendingBooking(), {
+      paymentMethodId: FAKE_PAYMENT_METHODS.declined
+    });
+
+    expect(await paymentService.applyWebhookEvent(gateway.name, failedEvent(booking))).toBe('declined');
+
+    const stored = bookings.get('booking-1');
+    expect(stored.status).toBe('pending');
+    expect(stored.payment.status).toBe('pending');
+    expect(availability.releaseLocks).not.toHaveBeenCalled();
+  });
+});
+
+describe('paymentService.allocateRefund', () => {
+  const paidBooking = ({ refunded = 0, charges = [] } = {}) => ({
+    payment: {
+      paidAmount: 950 + charges.reduce((sum, charge) => sum + charge.amount, 0),
+      totalAmount: 950,
+      gateway: { name: 'fake', transactionId: 'txn_booking', gatewayOrderId: 'order_booking' },
+      charges
+    },
+    getRefundedAmount: () => refunded
+  });
+
+  const modificationCharge = (amount, refundedAmount = 0) => ({
+    amount,
+    refundedAmount,
+    gateway: { name: 'fake', transactionId: `txn_${amount}`, gatewayOrderId: `order_${amount}` }
+  });
+
+  it('refunds the original payment when nothing else was charged', () => {
+    expect(paymentService.allocateRefund(paidBooking(), 500)).toEqual([
+      { amount: 500, gateway: { name: 'fake', transactionId: 'txn_booking', gatewayOrderId: 'order_booking' } }
+    ]);
+  });
+
+  it('goes back to the latest extra charge first, then the original payment', () => {
+    const parts = paymentService.allocateRefund(paidBooking({ charges: [modificationCharge(200)] }), 600);
+
+    expect(parts).toEqual([
+      { amount: 200, gateway: { name: 'fake', transactionId: 'txn_200', gatewayOrderId: 'order_200' } },
+      { amount: 400, gateway: { name: 'fake', transactionId: 'txn_booking', gatewayOrderId: 'order_booking' } }
+    ]);
+  });
+
+  it('skips what has already been refunded from each charge', () => {
+    const booking = paidBooking({ charges: [modificationCharge(200, 150)], refunded: 150 });
+
+    expect(paymentService.allocateRefund(booking, 100).map(part => [part.gateway.gatewayOrderId, part.amount])).toEqual([
+      ['order_200', 50],
+      ['order_booking', 50]
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
+import { io as connectClient } from 'socket.io-client';
+import { redisAvailable } from './helpers/redis.js';
+
+const user = { _id: '64b7f0c2a1b2c3d4e5f60001' };
+const trip = {
+  routeId: '64b7f0c2a1b2c3d4e5f60002',
+  travelDate: '2026-01-01',
+  departureId: '64b7f0c2a1b2c3d4e5f60003'
+};
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({ default: logger }));
+jest.unstable_mockModule('../src/middleware/auth.middleware.js', () => ({
+  default: {
+    authenticateSocket: (socket, next) => {
+      socket.data.user = user;
+      next();
+    }
+  }
+}));
+jest.unstable_mockModule('../src/models/seat.model.js', () => ({
+  default: { findOne: () => ({ lean: async () => null }) }
+}));
+
+const describeWithRedis = await redisAvailable() ? describe : describe.skip;
+
+// One API instance: its own copy of the app's modules - and so its own in-process seat event bus -
+// with the socket handlers attached to a Socket.IO server on the Redis adapter, as server.js does
+const startInstance = async () => {
+  let modules;
+  await jest.isolateModulesAsync(async () => {
+    modules = {
+      socketHandler: (await import('../src/sockets/socketHandler.js')).default,
+      seatEvents: await import('../src/services/seat-events.service.js'),
+      redisConfig: await import('../src/config/redis.js')
+    };
+  });
+
+  const httpServer = createServer();
+  const io = new Server(httpServer);
+  const pubClient = await modules.redisConfig.createRedisConnection('test pub');
+  const subClient = await modules.redisConfig.createRedisConnection('test sub');
+  io.adapter(createAdapter(pubClient, subClient));
+  modules.socketHandler(io);
+
+  await new Promise(resolve => httpServer.listen(0, resolve));
+
+  return {
+    io,
+    url: `http://localhost:${httpServer.address().port}`,
+    emitSeatChanges: modules.seatEvents.emitSeatChanges,
+    seatRoom: modules.seatEvents.seatRoom,
+    async close() {
+      await new Promise(resolve => io.close(resolve));
+      await Promise.all([pubClient.quit(), subClient.quit()]);
+    }
+  };
+};
+
+describeWithRedis('seat events across API instances', () => {
+  let first;
+  let second;
+  let client;
+
+  beforeAll(async () => {
+    first = await startInstance();
+    second = await startInstance();
+  });
+
+  afterAll(async () => {
+    client?.disconnect();
+    await first?.close();
+    await second?.close();
+  });
+
+  it('delivers a seat change made on one instance to a client connected to the other', async () => {
+    client = connectClient(second.url, { auth: { token: 'test' }, transports: ['websocket'] });
+
+    const joined = await client.timeout(5000).emitWithAck('join-trip', trip);
+    expect(joined.success).toBe(true);
+
+    // The first instance sees the client in the room through Redis, so both adapters are subscribed
+    const viewers = await first.io.in(first.seatRoom(trip.routeId, trip.travelDate, trip.departureId)).fetchSockets();
+    expect(viewers).toHaveLength(1);
+
+    const received = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Seat change never reached the other instance')), 5000);
+      client.once('seat-status-changed', change => {
+        clearTimeout(timer);
+        resolve(change);
+      });
+    });
+
+    first.emitSeatChanges(trip, [{ seatNumber: 'A1', status: 'locked' }], 'locked');
+
+    await expect(received).resolves.toMatchObject({
+      ...trip,
+      seats: [{ seatNumber: 'A1', status: 'locked' }],
+      reason: 'locked'
+    });
+  });
+});
@@ -0,0 +1,35 @@
+// Service worker for booking and trip alerts delivered by Web Push
+
+self.addEventListener("push", (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = { title: "Capsule Cabs", body: event.data ? event.data.text() : "" };
+  }
+
+  const data = payload.data || {};
+  event.waitUntil(
+    self.registration.showNotification(payload.title || "Capsule Cabs", {
+      body: payload.body,
+      icon: "/favicon.ico",
+      badge: "/favicon.ico",
+      // One notification per booking event - a repeat replaces the earlier one
+      tag: data.bookingId ? `${data.type}:${data.bookingId}` : data.type,
+      data,
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || "/", self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) => {
+      const open = clients.find((client) => client.url === url);
+      if (open) return open.focus();
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -4,9 +4,10 @@ import { Button } from "@/components/ui/button";
 import { Calendar } from "@/components/ui/calendar";
 import { Badge } from "@/components/ui/badge";
 import { Calendar as CalendarIcon, Clock, MapPin, CreditCard, CheckCircle, User } from "lucide-react";
-import { format } from "date-fns";
+import { format, parse } from "date-fns";
 import api from "@/services/api";
 import { AuthContext } from "@/contexts/AuthContext";
+import { useSeatUpdates, SeatStatusDiff } from "@/hooks/use-seat-updates";
 
 interface BookingStep {
   id: number;
@@ -22,6 +23,17 @@ interface SeatAvailability {
   seatType: string;
 }
 
+interface Departure {
+  departureId: string;
+  departureTime: string;
+  arrivalTime: string;
+  duration: number;
+  seatAvailability: {
+    totalSeats: number;
+    availableCount: number;
+  };
+}
+
 interface CabWithAvailability {
   id: string;
   routeCode: string;
@@ -31,7 +43,9 @@ interface CabWithAvailability {
   image: string;
   available: boolean;
   route: string;
-  seatsAvailable: SeatAvailability[];
+  // Cities in travel order, origin and destination included
+  stops: string[];
+  departures: Departure[];
 }
 
 interface Passenger {
@@ -51,19 +65,24 @@ const BOOKING_STEPS: BookingStep[] = [
   { id: 6, title: "Confirmation", icon: <CheckCircle className="h-4 w-4" />, completed: false },
 ];
 
-const TIME_SLOTS_BY_ROUTE: Record<string, string[]> = {
-  "AGR-GUR-001": ["6:00 AM"],
-  "GUR-AGR-001": ["6:00 PM"],
-};
+// Schedule times come as 24-hour HH:MM
+const formatDepartureTime = (time: string) => format(parse(time, "H:mm", new Date()), "h:mm a");
+
+// Query string for the stops travelled between on a route with stops - the whole route when unset
+const journeyQuery = (fromStop?: number, toStop?: number) =>
+  `${fromStop !== undefined ? `&fromStop=${fromStop}` : ""}${toStop !== undefined ? `&toStop=${toStop}` : ""}`;
 
 export const BookingSteps = () => {
   const [currentStep, setCurrentStep] = useState(1);
   const [selectedDate, setSelectedDate] = useState<Date | undefined>();
   const [selectedCab, setSelectedCab] = useState<string | null>(null);
-  const [selectedTime, setSelectedTime] = useState<string | null>(null);
+  const [selectedDepartureId, setSelectedDepartureId] = useState<string | null>(null);
   const [selectedSeats, setSelectedSeats] = useState<string[]>([]);
   const [passengers, setPassengers] = useState<Passenger[]>([]);
   const [availableCabs, setAvailableCabs] = useState<CabWithAvailability[]>([]);
+  const [seatsAvailable, setSeatsAvailable] = useState<SeatAvailability[]>([]);
+  const [fromStop, setFromStop] = useState<number | undefined>();
+  const [toStop, setToStop] = useState<number | undefined>();
   const { user } = useContext(AuthContext);
 
   useEffect(() => {
@@ -72,19 +91,16 @@ export const BookingSteps = () => {
         const routesRes = await api.get("/routes/my-routes");
         const routes = routesRes.data.data.routes;
         const cabsWithAvailabilityPromises = routes.map(async (route) => {
-          let seatsAvailable: SeatAvailability[] = [];
-          let available = false;
+          let departures: Departure[] = [];
           if (selectedDate) {
             const dateStr = format(selectedDate, "yyyy-MM-dd");
             try {
-              const seatAvailRes = await api.get(
-                `/routes/${route._id}/availability?travelDate=${dateStr}`
+              const departuresRes = await api.get(
+                `/routes/${route._id}/departures?travelDate=${dateStr}`
               );
-              seatsAvailable = seatAvailRes.data.data.seatsAvailable || [];
-              available = seatsAvailable.some(seat => seat.status === "available");
+              departures = departuresRes.data.data.departures || [];
             } catch {
-              seatsAvailable = [];
-              available = false;
+              departures = [];
             }
           }
           return {
@@ -95,8 +111,13 @@ export const BookingSteps = () => {
             price: route.pricing?.baseFare || 550,
             image: "🚘",
             route: `${route.origin?.city || ""} to ${route.destination?.city || ""}`,
-            available,
-            seatsAvailable,
+            stops: [
+              route.origin?.city || "",
+              ...(route.stops || []).map(stop => stop.city),
+              route.destination?.city || "",
+            ],
+            available: departures.some(departure => departure.seatAvailability.availableCount > 0),
+            departures,
           };
         });
         const cabsWithAvailability = await Promise.all(cabsWithAvailabilityPromises);
@@ -115,15 +136,95 @@ export const BookingSteps = () => {
     }
   }, [availableCabs, selectedCab]);
 
+  // A departure belongs to one cab and date
+  useEffect(() => {
+    setSelectedDepartureId(null);
+  }, [selectedCab, selectedDate]);
+
+  // Stops belong to one cab's route
+  useEffect(() => {
+    setFromStop(undefined);
+    setToStop(undefined);
+  }, [selectedCab]);
+
+  // Departures are listed for the whole route; once stops are picked, re-time and re-count them for that stretch
+  useEffect(() => {
+    if (!selectedCab || !selectedDate || (fromStop === undefined && toStop === undefined)) return;
+
+    const fetchJourneyDepartures = async () => {
+      try {
+        const dateStr = format(selectedDate, "yyyy-MM-dd");
+        const departuresRes = await api.get(
+          `/routes/${selectedCab}/departures?travelDate=${dateStr}${journeyQuery(fromStop, toStop)}`
+        );
+        const departures: Departure[] = departuresRes.data.data.departures || [];
+        setAvailableCabs(prev =>
+          prev.map(cab =>
+            cab.id === selectedCab
+              ? { ...cab, departures, available: departures.some(departure => departure.seatAvailability.availableCount > 0) }
+              : cab
+          )
+        );
+      } catch (error) {
+        console.error("Failed to fetch departures for the selected stops", error);
+      }
+    };
+    fetchJourneyDepartures();
+  }, [selectedCab, selectedDate, fromStop, toStop]);
+
+  useEffect(() => {
+    setSeatsAvailable([]);
+    if (!selectedCab || !selectedDate || !selectedDepartureId) return;
+
+    const fetchSeatAvailability = async () => {
+      try {
+        const dateStr = format(selectedDate, "yyyy-MM-dd");
+        const seatAvailRes = await api.get(
+          `/routes/${selectedCab}/availability?travelDate=${dateStr}&departureId=${selectedDepartureId}${journeyQuery(fromStop, toStop)}`
+        );
+        setSeatsAvailable(seatAvailRes.data.data.seatsAvailable || []);
+      } catch (error) {
+        console.error("Failed to fetch seat availability", error);
+      }
+    };
+    fetchSeatAvailability();
+  }, [selectedCab, selectedDate, selectedDepartureId, fromStop, toStop]);
+
+  const applySeatChanges = (seats: SeatStatusDiff[]) => {
+    const changes = new Map(seats.map(seat => [seat.seatNumber, seat.status]));
+    setSeatsAvailable(prev =>
+      prev.map(seat =>
+        changes.has(seat.seatNumber) ? { ...seat, status: changes.get(seat.seatNumber)! } : seat
+      )
+    );
+    // Someone else took a seat we were about to lock
+    if (currentStep === 3) {
+      setSelectedSeats(prev =>
+        prev.filter(seatNumber => !changes.has(seatNumber) || changes.get(seatNumber) === "available")
+      );
+    }
+  };
+
+  useSeatUpdates(
+    selectedCab,
+    selectedDate ? format(selectedDate, "yyyy-MM-dd") : null,
+    selectedDepartureId,
+    applySeatChanges,
+    { fromStop, toStop }
+  );
+
   const lockSeats = async () => {
-    if (!selectedCab || !selectedDate || selectedSeats.length === 0) return;
+    if (!selectedCab || !selectedDate || !selectedDepartureId || selectedSeats.length === 0) return;
     const travelDateStr = format(selectedDate, "yyyy-MM-dd");
     await api.post(
       "/bookings/lock",
       {
         routeId: selectedCab,
         travelDate: travelDateStr,
+        departureId: selectedDepartureId,
         seatNumbers: selectedSeats,
+        fromStop,
+        toStop,
       }
     );
   };
@@ -140,10 +241,7 @@ export const BookingSteps = () => {
               age: "",
               gender: "",
               seatNumber: seatNum,
-              fare:
-                availableCabs.find(cab => cab.id === selectedCab)?.seatsAvailable.find(
-                  seat => seat.seatNumber === seatNum
-                )?.price || 550,
+              fare: seatsAvailable.find(seat => seat.seatNumber === seatNum)?.price || 550,
             }
           );
         });
@@ -165,18 +263,18 @@ export const BookingSteps = () => {
   };
 
   const selectedCabObj = availableCabs.find(cab => cab.id === selectedCab);
-  const dynamicTimeSlots = selectedCabObj
-    ? TIME_SLOTS_BY_ROUTE[selectedCabObj.routeCode] || []
-    : [];
+  const departures = selectedCabObj?.departures || [];
+  const stops = selectedCabObj?.stops || [];
+  const boardingStop = fromStop ?? 0;
+  const alightingStop = toStop ?? stops.length - 1;
+  const selectedDeparture = departures.find(departure => departure.departureId === selectedDepartureId);
+  const selectedTime = selectedDeparture ? formatDepartureTime(selectedDeparture.departureTime) : null;
 
   const renderSeatLayout = () => {
-    if (!selectedCab) return null;
-    const cab = availableCabs.find(c => c.id === selectedCab);
-    if (!cab) return null;
-    const seats = cab.seatsAvailable || [];
+    if (!selectedCab || !selectedDepartureId) return null;
     return (
       <div className="grid grid-cols-3 gap-4 max-w-xs mx-auto">
-        {seats.map(seat => {
+        {seatsAvailable.map(seat => {
           const isBooked = seat.status === "booked";
           const isSelected = selectedSeats.includes(seat.seatNumber);
           const isLocked = seat.status === "locked";
@@ -277,22 +375,60 @@ export const BookingSteps = () => {
                 </Card>
               ))}
             </div>
+            {stops.length > 2 && (
+              <div className="space-y-4">
+                <h4 className="font-semibold">Your Stops</h4>
+                <div className="grid grid-cols-2 gap-4">
+                  <label className="flex flex-col gap-1 text-sm">
+                    From
+                    <select
+                      value={boardingStop}
+                      onChange={e => {
+                        const stop = Number(e.target.value);
+                        setFromStop(stop);
+                        if (alightingStop <= stop) setToStop(stop + 1);
+                      }}
+                      className="border p-2 rounded"
+                    >
+                      {stops.slice(0, -1).map((city, index) => (
+                        <option key={index} value={index}>{city}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex flex-col gap-1 text-sm">
+                    To
+                    <select
+                      value={alightingStop}
+                      onChange={e => setToStop(Number(e.target.value))}
+                      className="border p-2 rounded"
+                    >
+                      {stops.map((city, index) => index > boardingStop && (
+                        <option key={index} value={index}>{city}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              </div>
+            )}
             <div className="space-y-4">
               <h4 className="font-semibold">Available Time Slots</h4>
               <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
-                {dynamicTimeSlots.length > 0 ? (
-                  dynamicTimeSlots.map(time => (
+                {departures.length > 0 ? (
+                  departures.map(departure => (
                     <Button
-                      key={time}
-                      variant={selectedTime === time ? "default" : "outline"}
-                      onClick={() => setSelectedTime(time)}
+                      key={departure.departureId}
+                      variant={selectedDepartureId === departure.departureId ? "default" : "outline"}
+                      onClick={() => setSelectedDepartureId(departure.departureId)}
+                      disabled={departure.seatAvailability.availableCount === 0}
                       className="transition-smooth"
                     >
-                      {time}
+                      {formatDepartureTime(departure.departureTime)}
                     </Button>
                   ))
                 ) : (
-                  <p className="text-muted-foreground">Select route to get the time slots</p>
+                  <p className="text-muted-foreground">
+                    {selectedCabObj ? "No departures on this date" : "Select route to get the time slots"}
+                  </p>
                 )}
               </div>
             </div>
@@ -492,7 +628,7 @@ export const BookingSteps = () => {
           disabled={
             currentStep === 6 ||
             (currentStep === 1 && !selectedDate) ||
-            (currentStep === 2 && (!selectedCab || !selectedTime)) ||
+            (currentStep === 2 && (!selectedCab || !selectedDepartureId)) ||
             (currentStep === 3 && selectedSeats.length === 0) ||
             (currentStep === 4 && passengers.some(p => !p.name || !p.age || !p.gender))
           }
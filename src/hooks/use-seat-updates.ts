@@ -0,0 +1,124 @@
+import { useEffect, useRef } from "react";
+import { getSocket } from "@/services/socket";
+
+export interface SeatStatusDiff {
+  seatNumber: string;
+  /** Leg of the route the entry covers, on routes with stops */
+  segment?: number;
+  status: "available" | "booked" | "locked" | "blocked";
+  lockExpiry?: string;
+}
+
+export interface JourneyStops {
+  fromStop?: number;
+  toStop?: number;
+}
+
+interface SeatStatusChange {
+  routeId: string;
+  travelDate: string;
+  departureId: string;
+  seats: SeatStatusDiff[];
+  reason: string;
+}
+
+interface JoinTripAck {
+  success: boolean;
+  segmentCount?: number;
+  seats?: SeatStatusDiff[];
+  error?: string;
+}
+
+// A seat is as taken as its most taken segment on the journey
+const STATUS_PRECEDENCE: SeatStatusDiff["status"][] = ["booked", "blocked", "locked", "available"];
+
+const entryKey = (seat: SeatStatusDiff) => `${seat.seatNumber}:${seat.segment ?? ""}`;
+
+/**
+ * Keep a seat map live: joins the departure's room, applies the server snapshot,
+ * then every seat-status diff the server broadcasts for that departure.
+ * On a route with stops the server sends one entry per seat per segment; those are
+ * folded into one status per seat for the journey between the given stops.
+ */
+export function useSeatUpdates(
+  routeId: string | null,
+  travelDate: string | null,
+  departureId: string | null,
+  onSeatsChanged: (seats: SeatStatusDiff[]) => void,
+  journey: JourneyStops = {}
+) {
+  const callbackRef = useRef(onSeatsChanged);
+  callbackRef.current = onSeatsChanged;
+
+  const { fromStop, toStop } = journey;
+
+  useEffect(() => {
+    if (!routeId || !travelDate || !departureId) return;
+
+    const socket = getSocket();
+    const trip = { routeId, travelDate, departureId };
+
+    // Latest status of every seat-segment entry, and how many segments the departure has
+    const entries = new Map<string, SeatStatusDiff>();
+    let segmentCount = 1;
+
+    const rides = (segment: number) =>
+      segment >= (fromStop ?? 0) && segment < (toStop ?? segmentCount);
+
+    const apply = (seats: SeatStatusDiff[]) => {
+      if (!seats.some(seat => seat.segment !== undefined)) {
+        callbackRef.current(seats);
+        return;
+      }
+
+      seats.forEach(seat => entries.set(entryKey(seat), seat));
+
+      const changed = [...new Set(seats.filter(seat => rides(seat.segment ?? 0)).map(seat => seat.seatNumber))];
+      const folded = changed.map(seatNumber => {
+        const riding = [...entries.values()].filter(
+          entry => entry.seatNumber === seatNumber && rides(entry.segment ?? 0)
+        );
+        const taken = riding.reduce((most, entry) =>
+          STATUS_PRECEDENCE.indexOf(entry.status) < STATUS_PRECEDENCE.indexOf(most.status) ? entry : most
+        );
+        return {
+          seatNumber,
+          status: taken.status,
+          ...(taken.status === "locked" && { lockExpiry: taken.lockExpiry }),
+        };
+      });
+
+      if (folded.length > 0) callbackRef.current(folded);
+    };
+
+    const join = () => {
+      socket.emit("join-trip", trip, (ack: JoinTripAck) => {
+        if (!ack?.success || !ack.seats) return;
+        entries.clear();
+        segmentCount = ack.segmentCount || 1;
+        apply(ack.seats);
+      });
+    };
+
+    const handleChange = (change: SeatStatusChange) => {
+      if (
+        change.routeId === routeId &&
+        change.travelDate === travelDate &&
+        change.departureId === departureId
+      ) {
+        apply(change.seats);
+      }
+    };
+
+    socket.on("seat-status-changed", handleChange);
+    // Rejoin after reconnects - rooms do not survive a dropped connection
+    socket.on("connect", join);
+    if (socket.connected) join();
+
+    return () => {
+      socket.off("seat-status-changed", handleChange);
+      socket.off("connect", join);
+      socket.emit("leave-trip", trip);
+    };
+  }, [routeId, travelDate, departureId, fromStop, toStop]);
+}
@@ -3,7 +3,15 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
-import { Calendar, Clock, MapPin, CreditCard, X } from "lucide-react";
+import { Calendar, Clock, MapPin, CreditCard, X, Bell, BellOff } from "lucide-react";
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import {
+  isPushSupported,
+  getPushSubscription,
+  enablePushNotifications,
+  disablePushNotifications,
+} from "@/services/push";
 
 const UPCOMING_BOOKINGS = [
   {
@@ -57,15 +65,50 @@ const PAST_TRIPS = [
 ];
 
 const Dashboard = () => {
+  const [pushEnabled, setPushEnabled] = useState(false);
+  const [pushBusy, setPushBusy] = useState(false);
+
+  useEffect(() => {
+    getPushSubscription().then(subscription => setPushEnabled(Boolean(subscription)));
+  }, []);
+
+  const togglePush = async () => {
+    setPushBusy(true);
+    try {
+      if (pushEnabled) {
+        await disablePushNotifications();
+        setPushEnabled(false);
+        toast("Trip alerts turned off for this device");
+      } else if (await enablePushNotifications()) {
+        setPushEnabled(true);
+        toast("Trip alerts turned on for this device");
+      } else {
+        toast("Allow notifications in your browser to get trip alerts");
+      }
+    } catch {
+      toast("Couldn't update trip alerts, please try again");
+    } finally {
+      setPushBusy(false);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-background">
       <Navigation />
       <main className="container mx-auto px-4 py-8">
-        <div className="mb-8">
-          <h1 className="text-4xl font-bold mb-2">My Dashboard</h1>
-          <p className="text-muted-foreground text-lg">
-            Manage your bookings and view your travel history
-          </p>
+        <div className="mb-8 flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-4xl font-bold mb-2">My Dashboard</h1>
+            <p className="text-muted-foreground text-lg">
+              Manage your bookings and view your travel history
+            </p>
+          </div>
+          {isPushSupported() && (
+            <Button variant="outline" onClick={togglePush} disabled={pushBusy}>
+              {pushEnabled ? <BellOff className="h-4 w-4 mr-2" /> : <Bell className="h-4 w-4 mr-2" />}
+              {pushEnabled ? "Turn off trip alerts" : "Enable trip alerts"}
+            </Button>
+          )}
         </div>
 
         <Tabs defaultValue="upcoming" className="space-y-6">
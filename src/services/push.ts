@@ -0,0 +1,62 @@
+import api from './api';
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+export function isPushSupported(): boolean {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+// VAPID keys are URL-safe base64; pushManager.subscribe wants the raw bytes
+function urlBase64ToUint8Array(base64: string): Uint8Array {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(padded);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+}
+
+async function getRegistration(): Promise<ServiceWorkerRegistration> {
+  await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  return navigator.serviceWorker.ready;
+}
+
+export async function getPushSubscription(): Promise<PushSubscription | null> {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+/**
+ * Ask for permission, subscribe this browser and register the subscription with the backend.
+ * Returns false if the user declined notifications.
+ */
+export async function enablePushNotifications(deviceName?: string): Promise<boolean> {
+  if (!isPushSupported()) return false;
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') return false;
+
+  const registration = await getRegistration();
+  let subscription = await registration.pushManager.getSubscription();
+
+  if (!subscription) {
+    const { data } = await api.get('/notifications/push/public-key');
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(data.data.publicKey),
+    });
+  }
+
+  await api.post('/notifications/push/subscriptions', {
+    subscription: subscription.toJSON(),
+    deviceName: deviceName || navigator.platform || undefined,
+  });
+  return true;
+}
+
+// Revoke the subscription on the backend first so no push is sent to a dead endpoint
+export async function disablePushNotifications(): Promise<void> {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  await api.delete('/notifications/push/subscriptions', { data: { endpoint: subscription.endpoint } });
+  await subscription.unsubscribe();
+}
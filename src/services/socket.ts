@@ -0,0 +1,28 @@
+import { io, Socket } from 'socket.io-client';
+import { getAccessToken } from './authTokens';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api/v1';
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || new URL(API_URL).origin;
+
+let socket: Socket | null = null;
+
+// Shared authenticated connection - the backend rejects sockets without a valid access token
+export function getSocket(): Socket {
+  if (!socket) {
+    socket = io(SOCKET_URL, {
+      autoConnect: false,
+      withCredentials: true,
+      // Read the token on every (re)connect so refreshed tokens are picked up
+      auth: cb => cb({ token: getAccessToken() }),
+    });
+  }
+  if (!socket.connected) {
+    socket.connect();
+  }
+  return socket;
+}
+
+export function disconnectSocket() {
+  socket?.disconnect();
+  socket = null;
+}